@@ -1,5 +1,5 @@
 // File: backend/src/config/db.js
-// Database connection configuration - Updated with better error handling and fallback
+// Database connection configuration - Updated with better error handling
 
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
@@ -9,8 +9,8 @@ const connectDB = async () => {
     // Check if MongoDB URI is provided
     if (!process.env.MONGODB_URI) {
       logger.warn('MONGODB_URI not found in environment variables');
-      logger.info('Falling back to file-based storage...');
-      return { connected: false, storage: 'file-based' };
+      logger.info('💡 Set MONGODB_URI, or STORAGE_DRIVER=file for local development');
+      return { connected: false, storage: 'mongodb' };
     }
 
     // Set mongoose connection options
@@ -78,11 +78,10 @@ const connectDB = async () => {
       logger.error('   Issue: Connection timeout - check network connectivity');
     }
     
-    logger.warn('🔄 Falling back to file-based storage...');
     logger.info('💡 To use MongoDB, ensure MONGODB_URI is set correctly in your .env file');
     
-    // Don't exit the process, let the app continue with file storage
-    return { connected: false, storage: 'file-based', error: error.message };
+    // Let the caller decide whether the app can start without a database
+    return { connected: false, storage: 'mongodb', error: error.message };
   }
 };
 
@@ -0,0 +1,85 @@
+// File: backend/config/intentRules.js
+// Phrases used by the intent classifier to read free-text replies
+//
+// Phrases are written in plain lower case; the classifier removes accents,
+// Arabic diacritics and repeated letters before matching, so "Ouii",
+// "ouï" and "oui" are the same. Extra phrases can be supplied through a JSON
+// file with the same shape (INTENT_RULES_FILE); they are added to these.
+
+module.exports = {
+  intents: {
+    confirm: {
+      en: ['yes', 'yeah', 'yep', 'yup', 'ok', 'okay', 'okey', 'oki', 'sure', 'confirm', 'confirmed',
+        'i confirm', 'i will come', 'i will be there', 'ill be there', 'i ll be there', 'see you',
+        'coming', 'i am coming', 'im coming', 'fine', 'perfect', 'good'],
+      fr: ['oui', 'ouais', 'ouai', 'wi', 'daccord', 'd accord', 'dac', 'dacc', 'je confirme', 'confirme',
+        'je viens', 'je serai la', 'je serai present', 'je serai presente', 'c est bon', 'cest bon',
+        'parfait', 'entendu', 'ca marche', 'pas de souci', 'pas de probleme', 'j y serai', 'jy serai'],
+      ar: ['نعم', 'اه', 'ايوه', 'ايوا', 'موافق', 'اكيد', 'تمام', 'ان شاء الله', 'انشاء الله', 'انشالله',
+        'ساحضر', 'غادي نجي', 'نجي', 'مزيان', 'واخا', 'صافي', 'wakha', 'waxa', 'iyeh', 'ghadi nji',
+        'inchallah', 'inshallah', 'nji']
+    },
+    cancel: {
+      en: ['cancel', 'cancel it', 'please cancel', 'cant come', 'can t come', 'cannot come',
+        'wont come', 'won t come', 'will not come', 'not coming', 'i cant make it', 'i can t make it',
+        'unable to come', 'i will not be there', 'i wont be there'],
+      fr: ['annuler', 'annule', 'annulez', 'je viens pas', 'je ne viens pas', 'je peux pas',
+        'je ne peux pas', 'je ne peux pas venir', 'je peux pas venir', 'pas venir', 'je serai absent',
+        'je serai absente', 'je ne serai pas la', 'je serai pas la', 'impossible', 'j annule', 'jannule'],
+      ar: ['الغاء', 'الغي', 'لن احضر', 'لا استطيع', 'لا يمكنني', 'ما نجيش', 'مانجيش', 'مش جاي',
+        'ما غاديش نجي', 'ma njich', 'manjich', 'mnjich']
+    },
+    reschedule: {
+      en: ['reschedule', 'move it', 'can we move', 'move my appointment', 'change the date', 'change the time',
+        'another day', 'another time', 'different time', 'different day', 'postpone', 'later date'],
+      fr: ['reporter', 'decaler', 'changer la date', 'changer l heure', 'changer le rendez vous',
+        'un autre jour', 'une autre date', 'une autre heure', 'autre creneau', 'plus tard', 'deplacer',
+        'repousser', 'on peut decaler'],
+      ar: ['تاجيل', 'اجل', 'ناجل', 'تغيير الموعد', 'موعد اخر', 'يوم اخر', 'نبدل الموعد', 'بدل الموعد',
+        'نبدلو الموعد', 'nbdel', 'nbedel lmaw3id', 'ajel']
+    },
+    opt_out: {
+      en: ['stop sending', 'stop messaging', 'stop texting', 'dont message me', 'don t message me',
+        'no more messages', 'remove me', 'unsubscribe me'],
+      fr: ['ne plus recevoir', 'arretez les messages', 'arretez de m envoyer', 'plus de messages',
+        'ne m envoyez plus', 'desabonnez moi'],
+      ar: ['توقفوا عن الارسال', 'لا ترسلوا', 'بلا رسائل', 'ما تبقاوش تصيفطو']
+    },
+    // A bare "no" only says no to the last message, which may not be the reminder
+    // (a document request, a survey): it never cancels and is left to staff
+    decline: {
+      en: ['no', 'nope', 'nah', 'no thanks', 'no thank you'],
+      fr: ['non', 'non merci', 'pas du tout'],
+      ar: ['لا', 'لا شكرا']
+    },
+    question: {
+      en: ['what', 'when', 'where', 'how', 'why', 'which', 'is it', 'can i', 'do i', 'should i'],
+      fr: ['quoi', 'quand', 'ou est', 'comment', 'pourquoi', 'combien', 'quel', 'quelle', 'est ce que',
+        'est ce qu', 'je peux', 'dois je'],
+      ar: ['متى', 'كيف', 'اين', 'اش', 'واش', 'هل', 'كم', 'فين', 'علاش', 'لماذا']
+    }
+  },
+
+  // Emojis are read as words
+  emojis: {
+    '👍': 'confirm',
+    '👌': 'confirm',
+    '✅': 'confirm',
+    '✔️': 'confirm',
+    '🙏': 'confirm',
+    '🆗': 'confirm',
+    '👎': 'cancel',
+    '❌': 'cancel',
+    '🚫': 'cancel',
+    '📅': 'reschedule',
+    '🔄': 'reschedule',
+    '🗓️': 'reschedule',
+    '❓': 'question',
+    '🤔': 'question'
+  },
+
+  // Polite words that do not change the meaning of a reply ("ok merci")
+  fillers: ['merci', 'thanks', 'thank you', 'thx', 'please', 'svp', 's il vous plait', 'bonjour', 'hello',
+    'hi', 'salam', 'salut', 'docteur', 'doctor', 'dr', 'شكرا', 'السلام عليكم', 'سلام', 'من فضلك', 'بارك الله فيك',
+    'chokran', 'choukran', 'beaucoup', 'very much', 'a lot']
+};
@@ -0,0 +1,67 @@
+// File: backend/config/storage.js
+// Storage selection - MongoDB by default, JSON files only as an explicit dev mode
+// Both drivers expose the same repositories (see src/repositories)
+
+const mongoose = require('mongoose');
+const { connectDB } = require('./db');
+const { initializeRepositories } = require('../repositories');
+const logger = require('../utils/logger');
+
+const STORAGE_DRIVERS = ['mongodb', 'file'];
+
+let storageType = null;
+
+/**
+ * Initialize the storage driver selected by STORAGE_DRIVER
+ * @returns {Promise<string>} - Active storage type
+ */
+const initializeStorage = async () => {
+  const driver = (process.env.STORAGE_DRIVER || 'mongodb').toLowerCase();
+
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}", expected one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  if (driver === 'file') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('File-based storage is a development mode and cannot be used in production');
+    }
+
+    // MongoDB-only features should fail fast instead of waiting for a connection
+    mongoose.set('bufferCommands', false);
+
+    storageType = 'file';
+    initializeRepositories(storageType);
+    logger.warn('📁 Using file-based storage (development mode)');
+    return storageType;
+  }
+
+  const dbResult = await connectDB();
+
+  if (!dbResult.connected) {
+    throw new Error(`Could not connect to MongoDB: ${dbResult.error || 'MONGODB_URI is not set'}`);
+  }
+
+  storageType = 'mongodb';
+  initializeRepositories(storageType);
+  logger.info('🗄️  Using MongoDB for data storage');
+  return storageType;
+};
+
+/**
+ * Get the active storage type
+ * @returns {string|null} - 'mongodb', 'file' or null before initialization
+ */
+const getStorageType = () => storageType;
+
+/**
+ * Check whether MongoDB is the active storage
+ * @returns {boolean}
+ */
+const isDatabaseStorage = () => storageType === 'mongodb';
+
+module.exports = {
+  initializeStorage,
+  getStorageType,
+  isDatabaseStorage
+};
@@ -5,10 +5,98 @@ const Appointment = require('../models/appointmentModel');
 const Message = require('../models/messageModel');
 const Department = require('../models/departmentModel');
 const Doctor = require('../models/doctorModel');
+const Patient = require('../models/patientModel');
 const { ErrorResponse } = require('../middlewares/errorMiddleware');
 const logger = require('../utils/logger');
 const moment = require('moment');
 
+// Satisfaction survey ratings (0-10): NPS counts 9-10 as promoters and 0-6 as
+// detractors; CSAT is the share of ratings of 8 or more. Both are null until a
+// visit has been rated.
+const countRatings = (condition) => ({
+  $sum: { $cond: [{ $and: [{ $isNumber: '$followUp.rating' }, condition] }, 1, 0] }
+});
+
+const SATISFACTION_GROUP = {
+  surveysSent: {
+    $sum: { $cond: [{ $in: ['$followUp.status', ['sent', 'answered']] }, 1, 0] }
+  },
+  ratedAppointments: countRatings(true),
+  promoters: countRatings({ $gte: ['$followUp.rating', 9] }),
+  detractors: countRatings({ $lte: ['$followUp.rating', 6] }),
+  satisfied: countRatings({ $gte: ['$followUp.rating', 8] }),
+  averageRating: { $avg: '$followUp.rating' }
+};
+
+const ratedShare = (numerator) => ({
+  $cond: [
+    { $eq: ['$ratedAppointments', 0] },
+    null,
+    { $multiply: [{ $divide: [numerator, '$ratedAppointments'] }, 100] }
+  ]
+});
+
+const SATISFACTION_PROJECT = {
+  surveysSent: 1,
+  ratedAppointments: 1,
+  promoters: 1,
+  detractors: 1,
+  averageRating: 1,
+  surveyResponseRate: {
+    $cond: [
+      { $eq: ['$surveysSent', 0] },
+      0,
+      { $multiply: [{ $divide: ['$ratedAppointments', '$surveysSent'] }, 100] }
+    ]
+  },
+  nps: ratedShare({ $subtract: ['$promoters', '$detractors'] }),
+  csat: ratedShare('$satisfied')
+};
+
+// @desc    Get dashboard summary
+// @route   GET /api/analytics/dashboard
+// @access  Private
+exports.getDashboardStats = async (req, res, next) => {
+  try {
+    const now = new Date();
+
+    const [totalPatients, totalAppointments, upcomingAppointments, messagesSent, messagesDelivered, messagesWithResponse] = await Promise.all([
+      Patient.countDocuments(),
+      Appointment.countDocuments(),
+      Appointment.countDocuments({
+        date: { $gte: now },
+        status: { $nin: ['cancelled', 'completed'] }
+      }),
+      Message.countDocuments({ direction: 'outbound', isTest: { $ne: true } }),
+      Message.countDocuments({ direction: 'outbound', isTest: { $ne: true }, status: { $in: ['delivered', 'read'] } }),
+      Message.countDocuments({ direction: 'outbound', isTest: { $ne: true }, responseMessage: { $exists: true, $ne: null } })
+    ]);
+
+    const messageDeliveryRate = messagesSent > 0
+      ? ((messagesDelivered / messagesSent) * 100).toFixed(2)
+      : 0;
+
+    const responseRate = messagesSent > 0
+      ? ((messagesWithResponse / messagesSent) * 100).toFixed(2)
+      : 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalPatients,
+        totalAppointments,
+        upcomingAppointments,
+        messagesSent,
+        messageDeliveryRate,
+        responseRate
+      }
+    });
+  } catch (error) {
+    logger.error(`Get dashboard stats error: ${error.message}`);
+    next(error);
+  }
+};
+
 // @desc    Get appointment statistics
 // @route   GET /api/analytics/appointments
 // @access  Private
@@ -98,14 +186,17 @@ exports.getMessageStats = async (req, res, next) => {
       ? new Date(req.query.startDate) 
       : moment(endDate).subtract(30, 'days').toDate();
 
-    // Get total messages
+    // Get total messages (test sends of template previews are left out of
+    // every count)
     const totalMessages = await Message.countDocuments({
+      isTest: { $ne: true },
       createdAt: { $gte: startDate, $lte: endDate }
     });
 
     // Get outbound messages
     const outboundMessages = await Message.countDocuments({
       direction: 'outbound',
+      isTest: { $ne: true },
       createdAt: { $gte: startDate, $lte: endDate }
     });
 
@@ -120,6 +211,7 @@ exports.getMessageStats = async (req, res, next) => {
       {
         $match: {
           direction: 'outbound',
+          isTest: { $ne: true },
           createdAt: { $gte: startDate, $lte: endDate }
         }
       },
@@ -131,15 +223,83 @@ exports.getMessageStats = async (req, res, next) => {
       }
     ]);
 
-    // Calculate delivery rate
-    const deliveredMessages = messagesByStatus.find(item => item._id === 'delivered' || item._id === 'read');
-    const deliveryRate = outboundMessages > 0 && deliveredMessages
-      ? ((deliveredMessages.count / outboundMessages) * 100).toFixed(2)
+    // Calculate delivery rate (read messages were delivered too)
+    const deliveredMessages = messagesByStatus
+      .filter(item => item._id === 'delivered' || item._id === 'read')
+      .reduce((total, item) => total + item.count, 0);
+    const deliveryRate = outboundMessages > 0
+      ? ((deliveredMessages / outboundMessages) * 100).toFixed(2)
       : 0;
 
+    // Outbound messages per channel, fallback resends included
+    const messagesByChannel = await Message.aggregate([
+      {
+        $match: {
+          direction: 'outbound',
+          isTest: { $ne: true },
+          createdAt: { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: '$channel',
+          count: { $sum: 1 },
+          delivered: {
+            $sum: { $cond: [{ $in: ['$status', ['delivered', 'read']] }, 1, 0] }
+          },
+          failed: {
+            $sum: { $cond: [{ $in: ['$status', ['failed', 'dead_letter']] }, 1, 0] }
+          },
+          fallbacks: {
+            $sum: { $cond: [{ $ifNull: ['$fallback.previous', false] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    // Sent reminders by the channel that finally carried them: the reminder
+    // channel, or the last channel it fell back to. Email has no delivery
+    // receipts, so an email the server accepted (and that did not bounce) counts
+    // as having reached the patient
+    const finalChannel = { $ifNull: ['$reminders.channel', '$reminders.type'] };
+    const remindersByFinalChannel = await Appointment.aggregate([
+      { $unwind: '$reminders' },
+      {
+        $match: {
+          'reminders.sent': true,
+          'reminders.scheduledTime': { $gte: startDate, $lte: endDate }
+        }
+      },
+      {
+        $group: {
+          _id: finalChannel,
+          reminders: { $sum: 1 },
+          reached: {
+            $sum: {
+              $cond: [
+                {
+                  $or: [
+                    { $in: ['$reminders.status', ['delivered', 'read']] },
+                    { $and: [{ $eq: [finalChannel, 'email'] }, { $eq: ['$reminders.status', 'sent'] }] }
+                  ]
+                },
+                1,
+                0
+              ]
+            }
+          },
+          afterFallback: {
+            $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$reminders.fallbacks', []] } }, 0] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { reminders: -1 } }
+    ]);
+
     // Calculate response rate (messages with a linked response)
     const messagesWithResponse = await Message.countDocuments({
       direction: 'outbound',
+      isTest: { $ne: true },
       responseMessage: { $exists: true, $ne: null },
       createdAt: { $gte: startDate, $lte: endDate }
     });
@@ -172,6 +332,8 @@ exports.getMessageStats = async (req, res, next) => {
         outboundMessages,
         inboundMessages,
         messagesByStatus,
+        messagesByChannel,
+        remindersByFinalChannel,
         deliveryRate,
         responseRate,
         actionDistribution,
@@ -242,7 +404,8 @@ exports.getDepartmentPerformance = async (req, res, next) => {
             $sum: {
               $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0]
             }
-          }
+          },
+          ...SATISFACTION_GROUP
         }
       },
       {
@@ -284,7 +447,8 @@ exports.getDepartmentPerformance = async (req, res, next) => {
               0,
               { $multiply: [{ $divide: ['$cancelledAppointments', '$totalAppointments'] }, 100] }
             ]
-          }
+          },
+          ...SATISFACTION_PROJECT
         }
       },
       {
@@ -362,7 +526,8 @@ exports.getDoctorPerformance = async (req, res, next) => {
             $sum: {
               $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0]
             }
-          }
+          },
+          ...SATISFACTION_GROUP
         }
       },
       {
@@ -404,7 +569,8 @@ exports.getDoctorPerformance = async (req, res, next) => {
               0,
               { $multiply: [{ $divide: ['$cancelledAppointments', '$totalAppointments'] }, 100] }
             ]
-          }
+          },
+          ...SATISFACTION_PROJECT
         }
       },
       {
@@ -538,6 +704,7 @@ exports.getResponseRates = async (req, res, next) => {
       {
         $match: {
           direction: 'outbound',
+          isTest: { $ne: true },
           createdAt: { $gte: startDate, $lte: endDate }
         }
       },
@@ -1,22 +1,26 @@
 // File: backend/controllers/appointmentController.js
 // Appointment controller
 
-const Appointment = require('../models/appointmentModel');
-const Patient = require('../models/patientModel');
-const Doctor = require('../models/doctorModel');
-const Department = require('../models/departmentModel');
+const repositories = require('../repositories');
 const { ErrorResponse } = require('../middlewares/errorMiddleware');
 const logger = require('../utils/logger');
 const whatsappService = require('../services/whatsappService');
+const documentService = require('../services/documentService');
+const eventBus = require('../services/eventBus');
 const moment = require('moment');
 
+// Reference fields populated in appointment list responses
+const LIST_POPULATE = [
+  { path: 'patient', select: 'name phoneNumber' },
+  { path: 'doctor', select: 'name specialization' },
+  { path: 'department', select: 'name location' }
+];
+
 // @desc    Get all appointments
 // @route   GET /api/appointments
 // @access  Private
 exports.getAppointments = async (req, res, next) => {
   try {
-    let query;
-
     // Copy req.query
     const reqQuery = { ...req.query };
 
@@ -32,37 +36,29 @@ exports.getAppointments = async (req, res, next) => {
     // Create operators ($gt, $gte, etc)
     queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
 
-    // Finding resource
-    query = Appointment.find(JSON.parse(queryStr))
-      .populate('patient', 'name phoneNumber')
-      .populate('doctor', 'name specialization')
-      .populate('department', 'name location');
+    const filter = JSON.parse(queryStr);
 
     // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
-    }
+    const select = req.query.select ? req.query.select.split(',').join(' ') : undefined;
 
     // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-date');
-    }
+    const sort = req.query.sort ? req.query.sort.split(',').join(' ') : '-date';
 
     // Pagination
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 25;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
-    const total = await Appointment.countDocuments(JSON.parse(queryStr));
-
-    query = query.skip(startIndex).limit(limit);
+    const total = await repositories.appointments.count(filter);
 
     // Executing query
-    const appointments = await query;
+    const appointments = await repositories.appointments.find(filter, {
+      select,
+      sort,
+      skip: startIndex,
+      limit,
+      populate: LIST_POPULATE
+    });
 
     // Pagination result
     const pagination = {};
@@ -99,10 +95,13 @@ exports.getAppointments = async (req, res, next) => {
 // @access  Private
 exports.getAppointment = async (req, res, next) => {
   try {
-    const appointment = await Appointment.findById(req.params.id)
-      .populate('patient', 'name phoneNumber email dateOfBirth gender')
-      .populate('doctor', 'name specialization')
-      .populate('department', 'name location');
+    const appointment = await repositories.appointments.findById(req.params.id, {
+      populate: [
+        { path: 'patient', select: 'name phoneNumber email dateOfBirth gender' },
+        { path: 'doctor', select: 'name specialization' },
+        { path: 'department', select: 'name location' }
+      ]
+    });
 
     if (!appointment) {
       return next(
@@ -126,9 +125,9 @@ exports.getAppointment = async (req, res, next) => {
 exports.createAppointment = async (req, res, next) => {
   try {
     // Validate patient, doctor, and department exist
-    const patient = await Patient.findById(req.body.patient);
-    const doctor = await Doctor.findById(req.body.doctor);
-    const department = await Department.findById(req.body.department);
+    const patient = await repositories.patients.findById(req.body.patient);
+    const doctor = await repositories.doctors.findById(req.body.doctor);
+    const department = await repositories.departments.findById(req.body.department);
 
     if (!patient) {
       return next(new ErrorResponse(`Patient not found with id of ${req.body.patient}`, 404));
@@ -143,7 +142,7 @@ exports.createAppointment = async (req, res, next) => {
     }
 
     // Check for appointment conflicts
-    const isAvailable = await Appointment.checkAvailability(
+    const isAvailable = await repositories.appointments.checkAvailability(
       req.body.doctor,
       req.body.date,
       req.body.startTime,
@@ -177,7 +176,7 @@ exports.createAppointment = async (req, res, next) => {
     req.body.createdBy = req.user.id;
 
     // Create appointment
-    const appointment = await Appointment.create(req.body);
+    const appointment = await repositories.appointments.create(req.body);
 
     // Send initial notification if requested
     if (req.body.sendNotification) {
@@ -204,7 +203,7 @@ exports.createAppointment = async (req, res, next) => {
 // @access  Private
 exports.updateAppointment = async (req, res, next) => {
   try {
-    let appointment = await Appointment.findById(req.params.id);
+    let appointment = await repositories.appointments.findById(req.params.id);
 
     if (!appointment) {
       return next(
@@ -229,7 +228,7 @@ exports.updateAppointment = async (req, res, next) => {
       }
 
       // Check for conflicts with other appointments
-      const isAvailable = await Appointment.checkAvailability(
+      const isAvailable = await repositories.appointments.checkAvailability(
         req.body.doctor || appointment.doctor,
         req.body.date || appointment.date,
         req.body.startTime || appointment.startTime,
@@ -253,12 +252,10 @@ exports.updateAppointment = async (req, res, next) => {
     }
 
     // Update appointment
-    appointment = await Appointment.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    }).populate('patient', 'name phoneNumber')
-      .populate('doctor', 'name specialization')
-      .populate('department', 'name location');
+    await repositories.appointments.updateById(req.params.id, req.body);
+    appointment = await repositories.appointments.findById(req.params.id, {
+      populate: LIST_POPULATE
+    });
 
     // Send notification if status changed or appointment was rescheduled
     if (
@@ -288,7 +285,7 @@ exports.updateAppointment = async (req, res, next) => {
 // @access  Private
 exports.deleteAppointment = async (req, res, next) => {
   try {
-    const appointment = await Appointment.findById(req.params.id);
+    const appointment = await repositories.appointments.deleteById(req.params.id);
 
     if (!appointment) {
       return next(
@@ -296,8 +293,6 @@ exports.deleteAppointment = async (req, res, next) => {
       );
     }
 
-    await appointment.deleteOne();
-
     res.status(200).json({
       success: true,
       data: {}
@@ -315,14 +310,13 @@ exports.getUpcomingAppointments = async (req, res, next) => {
   try {
     const now = new Date();
     
-    const appointments = await Appointment.find({
+    const appointments = await repositories.appointments.find({
       date: { $gte: now },
       status: { $nin: ['cancelled', 'completed'] }
-    })
-      .populate('patient', 'name phoneNumber')
-      .populate('doctor', 'name specialization')
-      .populate('department', 'name location')
-      .sort('date startTime');
+    }, {
+      sort: 'date startTime',
+      populate: LIST_POPULATE
+    });
 
     res.status(200).json({
       success: true,
@@ -343,14 +337,13 @@ exports.getTodayAppointments = async (req, res, next) => {
     const startOfDay = moment().startOf('day').toDate();
     const endOfDay = moment().endOf('day').toDate();
     
-    const appointments = await Appointment.find({
+    const appointments = await repositories.appointments.find({
       date: { $gte: startOfDay, $lte: endOfDay },
       status: { $nin: ['cancelled'] }
-    })
-      .populate('patient', 'name phoneNumber')
-      .populate('doctor', 'name specialization')
-      .populate('department', 'name location')
-      .sort('startTime');
+    }, {
+      sort: 'startTime',
+      populate: LIST_POPULATE
+    });
 
     res.status(200).json({
       success: true,
@@ -363,15 +356,91 @@ exports.getTodayAppointments = async (req, res, next) => {
   }
 };
 
+// @desc    Get upcoming appointments that still owe documents
+// @route   GET /api/appointments/documents/outstanding
+// @access  Private
+exports.getOutstandingDocuments = async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 7;
+
+    const filter = {
+      date: {
+        $gte: moment().startOf('day').toDate(),
+        $lte: moment().add(days, 'days').endOf('day').toDate()
+      },
+      status: { $nin: ['cancelled', 'completed', 'no-show'] },
+      documentsStatus: { $in: ['incomplete', 'pending_review'] }
+    };
+
+    if (req.query.department) {
+      filter.department = req.query.department;
+    }
+
+    const appointments = await repositories.appointments.find(filter, {
+      sort: 'date startTime',
+      populate: LIST_POPULATE
+    });
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      data: appointments
+    });
+  } catch (error) {
+    logger.error(`Get outstanding documents error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Review a document of the appointment checklist
+// @route   PUT /api/appointments/:id/documents/:itemId
+// @access  Private
+exports.reviewAppointmentDocument = async (req, res, next) => {
+  try {
+    const { status, rejectionReason, attachmentId, notifyPatient } = req.body;
+
+    const { appointment, item } = await documentService.reviewDocument(req.params.id, req.params.itemId, {
+      status,
+      rejectionReason,
+      attachmentId,
+      userId: req.user.id
+    });
+
+    // The request message lists rejected documents with the reason
+    if (item.status === 'rejected' && notifyPatient !== false) {
+      try {
+        await whatsappService.requestMissingDocuments(appointment, appointment.patient.getWhatsAppNumber());
+      } catch (error) {
+        logger.error(`Failed to ask for a new copy of "${item.name}": ${error.message}`);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        item,
+        documentsStatus: appointment.documentsStatus,
+        documentProgress: appointment.documentProgress
+      }
+    });
+  } catch (error) {
+    logger.error(`Review appointment document error: ${error.message}`);
+    next(error);
+  }
+};
+
 // @desc    Get appointments by patient
 // @route   GET /api/appointments/patient/:patientId
 // @access  Private
 exports.getPatientAppointments = async (req, res, next) => {
   try {
-    const appointments = await Appointment.find({ patient: req.params.patientId })
-      .populate('doctor', 'name specialization')
-      .populate('department', 'name location')
-      .sort('-date');
+    const appointments = await repositories.appointments.find({ patient: req.params.patientId }, {
+      sort: '-date',
+      populate: [
+        { path: 'doctor', select: 'name specialization' },
+        { path: 'department', select: 'name location' }
+      ]
+    });
 
     res.status(200).json({
       success: true,
@@ -389,10 +458,13 @@ exports.getPatientAppointments = async (req, res, next) => {
 // @access  Private
 exports.getDoctorAppointments = async (req, res, next) => {
   try {
-    const appointments = await Appointment.find({ doctor: req.params.doctorId })
-      .populate('patient', 'name phoneNumber')
-      .populate('department', 'name location')
-      .sort('-date');
+    const appointments = await repositories.appointments.find({ doctor: req.params.doctorId }, {
+      sort: '-date',
+      populate: [
+        { path: 'patient', select: 'name phoneNumber' },
+        { path: 'department', select: 'name location' }
+      ]
+    });
 
     res.status(200).json({
       success: true,
@@ -410,10 +482,7 @@ exports.getDoctorAppointments = async (req, res, next) => {
 // @access  Private
 exports.sendAppointmentReminder = async (req, res, next) => {
   try {
-    const appointment = await Appointment.findById(req.params.id)
-      .populate('patient')
-      .populate('doctor')
-      .populate('department');
+    const appointment = await repositories.appointments.findById(req.params.id);
 
     if (!appointment) {
       return next(
@@ -421,8 +490,12 @@ exports.sendAppointmentReminder = async (req, res, next) => {
       );
     }
 
-    // Send the reminder
-    const result = await whatsappService.sendAppointmentReminder(appointment._id, req.body.templateId);
+    // Send the given scheduled reminder, or an extra one when no reminder is specified
+    const result = await whatsappService.sendAppointmentReminder(
+      appointment._id,
+      req.body.templateId,
+      req.body.reminderId
+    );
 
     res.status(200).json({
       success: true,
@@ -434,6 +507,59 @@ exports.sendAppointmentReminder = async (req, res, next) => {
   }
 };
 
+// @desc    Send the appointment location to the patient as a map pin
+// @route   POST /api/appointments/:id/send-location
+// @access  Private
+exports.sendAppointmentLocation = async (req, res, next) => {
+  try {
+    const message = await whatsappService.sendAppointmentLocation(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error(`Send appointment location error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Send the appointment preparation document to the patient
+// @route   POST /api/appointments/:id/send-preparation
+// @access  Private
+exports.sendPreparationDocument = async (req, res, next) => {
+  try {
+    const message = await whatsappService.sendPreparationDocument(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error(`Send preparation document error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Send the pre-visit questionnaire to the patient
+// @route   POST /api/appointments/:id/send-questionnaire
+// @access  Private
+exports.sendAppointmentQuestionnaire = async (req, res, next) => {
+  try {
+    const message = await whatsappService.sendQuestionnaire(req.params.id, {
+      resend: req.body.resend === true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error(`Send questionnaire error: ${error.message}`);
+    next(error);
+  }
+};
+
 // @desc    Change appointment status
 // @route   PUT /api/appointments/:id/status
 // @access  Private
@@ -465,22 +591,25 @@ exports.changeAppointmentStatus = async (req, res, next) => {
       };
     }
     
-    const appointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate('patient', 'name phoneNumber')
-      .populate('doctor', 'name specialization')
-      .populate('department', 'name location');
-    
-    if (!appointment) {
+    const existing = await repositories.appointments.findById(req.params.id);
+
+    if (!existing) {
       return next(
         new ErrorResponse(`Appointment not found with id of ${req.params.id}`, 404)
       );
     }
+
+    await repositories.appointments.updateById(req.params.id, updateData);
+
+    const appointment = await repositories.appointments.findById(req.params.id, {
+      populate: LIST_POPULATE
+    });
+
+    eventBus.publishAppointmentStatus(
+      appointment,
+      existing.status,
+      req.body.patientInitiated ? 'patient' : 'staff'
+    );
     
     // Send notification for status change if not initiated by patient
     if (!req.body.patientInitiated) {
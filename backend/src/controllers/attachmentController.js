@@ -0,0 +1,165 @@
+// File: backend/controllers/attachmentController.js
+// Attachment controller
+
+const Attachment = require('../models/attachmentModel');
+const repositories = require('../repositories');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+const attachmentStore = require('../services/attachmentStore');
+const mediaService = require('../services/mediaService');
+
+// Send a stored file as the response body
+const streamFile = (res, attachment, disposition) => {
+  const stream = attachmentStore.openFile(attachment.storageKey);
+  const filename = (attachment.filename || `${attachment._id}`).replace(/"/g, '');
+
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `${disposition}; filename="${filename}"`
+  });
+
+  stream.on('error', (error) => {
+    logger.error(`Attachment ${attachment._id} read error: ${error.message}`);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// @desc    Get attachments
+// @route   GET /api/attachments
+// @access  Private
+exports.getAttachments = async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.query.patient) {
+      query.patient = req.query.patient;
+    }
+
+    if (req.query.direction) {
+      query.direction = req.query.direction;
+    }
+
+    if (req.query.kind) {
+      query.kind = req.query.kind;
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const startIndex = (page - 1) * limit;
+
+    const total = await Attachment.countDocuments(query);
+
+    const attachments = await Attachment.find(query)
+      .populate('patient', 'name phoneNumber')
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      total,
+      data: attachments
+    });
+  } catch (error) {
+    logger.error(`Get attachments error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get single attachment
+// @route   GET /api/attachments/:id
+// @access  Private
+exports.getAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id)
+      .populate('patient', 'name phoneNumber')
+      .populate('uploadedBy', 'name email');
+
+    if (!attachment) {
+      return next(new ErrorResponse(`Attachment not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: attachment
+    });
+  } catch (error) {
+    logger.error(`Get attachment error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Upload a file (raw request body; Content-Type is the file type)
+// @route   POST /api/attachments?filename=&patient=&caption=
+// @access  Private
+exports.uploadAttachment = async (req, res, next) => {
+  try {
+    if (req.query.patient) {
+      const patient = await repositories.patients.findById(req.query.patient);
+
+      if (!patient) {
+        return next(new ErrorResponse(`Patient not found with id of ${req.query.patient}`, 404));
+      }
+    }
+
+    const attachment = await mediaService.createUpload(Buffer.isBuffer(req.body) ? req.body : null, {
+      mimeType: req.get('Content-Type'),
+      filename: req.query.filename,
+      caption: req.query.caption,
+      patient: req.query.patient,
+      uploadedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: attachment
+    });
+  } catch (error) {
+    logger.error(`Upload attachment error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Download an attachment
+// @route   GET /api/attachments/:id/download
+// @access  Private
+exports.downloadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id);
+
+    if (!attachment || attachment.status !== 'stored') {
+      return next(new ErrorResponse(`Attachment not found with id of ${req.params.id}`, 404));
+    }
+
+    streamFile(res, attachment, 'attachment');
+  } catch (error) {
+    logger.error(`Download attachment error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Fetch an attachment through a signed link (used by the messaging provider)
+// @route   GET /api/attachments/:id/file?expires=&signature=
+// @access  Public (signed link)
+exports.getSignedAttachmentFile = async (req, res, next) => {
+  try {
+    if (!attachmentStore.verifySignedUrl(req.params.id, req.query.expires, req.query.signature)) {
+      return next(new ErrorResponse('This link is invalid or has expired', 403));
+    }
+
+    const attachment = await Attachment.findById(req.params.id);
+
+    if (!attachment || attachment.status !== 'stored') {
+      return next(new ErrorResponse(`Attachment not found with id of ${req.params.id}`, 404));
+    }
+
+    streamFile(res, attachment, 'inline');
+  } catch (error) {
+    logger.error(`Get signed attachment file error: ${error.message}`);
+    next(error);
+  }
+};
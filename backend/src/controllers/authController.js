@@ -1,10 +1,9 @@
 // File: backend/controllers/authController.js
 // Authentication controller
 
-const User = require('../models/userModel');
+const repositories = require('../repositories');
 const { ErrorResponse } = require('../middlewares/errorMiddleware');
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
 
 // @desc    Register user
@@ -12,22 +11,23 @@ const logger = require('../utils/logger');
 // @access  Public
 exports.register = async (req, res, next) => {
   try {
-    const { name, email, password, role, department } = req.body;
+    const { name, email, password, role, department, phoneNumber } = req.body;
 
     // Check if user already exists
-    const userExists = await User.findOne({ email });
+    const userExists = await repositories.users.findByEmail(email);
 
     if (userExists) {
       return next(new ErrorResponse('User already exists', 400));
     }
 
     // Create user
-    const user = await User.create({
+    const user = await repositories.users.create({
       name,
       email,
       password,
       role,
-      department
+      department,
+      phoneNumber
     });
 
     sendTokenResponse(user, 201, res);
@@ -50,14 +50,14 @@ exports.login = async (req, res, next) => {
     }
 
     // Check for user
-    const user = await User.findOne({ email }).select('+password');
+    const user = await repositories.users.findByEmail(email, { withPassword: true });
 
     if (!user) {
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
     // Check if password matches
-    const isMatch = await user.matchPassword(password);
+    const isMatch = await repositories.users.matchPassword(user, password);
 
     if (!isMatch) {
       return next(new ErrorResponse('Invalid credentials', 401));
@@ -76,7 +76,7 @@ exports.login = async (req, res, next) => {
 exports.getMe = async (req, res, next) => {
   try {
     // user is already available in req due to the protect middleware
-    const user = await User.findById(req.user.id);
+    const user = await repositories.users.findById(req.user.id);
 
     res.status(200).json({
       success: true,
@@ -115,13 +115,11 @@ exports.updateDetails = async (req, res, next) => {
   try {
     const fieldsToUpdate = {
       name: req.body.name,
-      email: req.body.email
+      email: req.body.email,
+      phoneNumber: req.body.phoneNumber
     };
 
-    const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
-      new: true,
-      runValidators: true
-    });
+    const user = await repositories.users.updateById(req.user.id, fieldsToUpdate);
 
     res.status(200).json({
       success: true,
@@ -138,15 +136,15 @@ exports.updateDetails = async (req, res, next) => {
 // @access  Private
 exports.updatePassword = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await repositories.users.findById(req.user.id, { select: '+password' });
 
     // Check current password
-    if (!(await user.matchPassword(req.body.currentPassword))) {
+    if (!(await repositories.users.matchPassword(user, req.body.currentPassword))) {
       return next(new ErrorResponse('Password is incorrect', 401));
     }
 
-    user.password = req.body.newPassword;
-    await user.save();
+    // The repository hashes the new password before storing it
+    await repositories.users.updateById(req.user.id, { password: req.body.newPassword });
 
     sendTokenResponse(user, 200, res);
   } catch (error) {
@@ -158,7 +156,9 @@ exports.updatePassword = async (req, res, next) => {
 // Helper function to get token from model, create cookie and send response
 const sendTokenResponse = (user, statusCode, res) => {
   // Create token
-  const token = user.getSignedJwtToken();
+  const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE
+  });
 
   const options = {
     expires: new Date(
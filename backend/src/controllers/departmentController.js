@@ -1,7 +1,7 @@
 // File: backend/controllers/departmentController.js
 // Department controller
 
-const Department = require('../models/departmentModel');
+const repositories = require('../repositories');
 const { ErrorResponse } = require('../middlewares/errorMiddleware');
 const logger = require('../utils/logger');
 
@@ -10,8 +10,6 @@ const logger = require('../utils/logger');
 // @access  Private
 exports.getDepartments = async (req, res, next) => {
   try {
-    let query;
-
     // Copy req.query
     const reqQuery = { ...req.query };
 
@@ -27,34 +25,28 @@ exports.getDepartments = async (req, res, next) => {
     // Create operators ($gt, $gte, etc)
     queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
 
-    // Finding resource
-    query = Department.find(JSON.parse(queryStr));
+    const filter = JSON.parse(queryStr);
 
     // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
-    }
+    const select = req.query.select ? req.query.select.split(',').join(' ') : undefined;
 
     // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('name');
-    }
+    const sort = req.query.sort ? req.query.sort.split(',').join(' ') : 'name';
 
     // Pagination
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 25;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
-    const total = await Department.countDocuments(JSON.parse(queryStr));
-
-    query = query.skip(startIndex).limit(limit);
+    const total = await repositories.departments.count(filter);
 
     // Executing query
-    const departments = await query;
+    const departments = await repositories.departments.find(filter, {
+      select,
+      sort,
+      skip: startIndex,
+      limit
+    });
 
     // Pagination result
     const pagination = {};
@@ -91,8 +83,9 @@ exports.getDepartments = async (req, res, next) => {
 // @access  Private
 exports.getDepartment = async (req, res, next) => {
   try {
-    const department = await Department.findById(req.params.id)
-      .populate('head', 'name specialization');
+    const department = await repositories.departments.findById(req.params.id, {
+      populate: { path: 'head', select: 'name specialization' }
+    });
 
     if (!department) {
       return next(
@@ -115,7 +108,7 @@ exports.getDepartment = async (req, res, next) => {
 // @access  Private
 exports.createDepartment = async (req, res, next) => {
   try {
-    const department = await Department.create(req.body);
+    const department = await repositories.departments.create(req.body);
 
     res.status(201).json({
       success: true,
@@ -132,10 +125,7 @@ exports.createDepartment = async (req, res, next) => {
 // @access  Private
 exports.updateDepartment = async (req, res, next) => {
   try {
-    const department = await Department.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    const department = await repositories.departments.updateById(req.params.id, req.body);
 
     if (!department) {
       return next(
@@ -158,7 +148,7 @@ exports.updateDepartment = async (req, res, next) => {
 // @access  Private
 exports.deleteDepartment = async (req, res, next) => {
   try {
-    const department = await Department.findById(req.params.id);
+    const department = await repositories.departments.deleteById(req.params.id);
 
     if (!department) {
       return next(
@@ -166,8 +156,6 @@ exports.deleteDepartment = async (req, res, next) => {
       );
     }
 
-    await department.deleteOne();
-
     res.status(200).json({
       success: true,
       data: {}
@@ -183,7 +171,7 @@ exports.deleteDepartment = async (req, res, next) => {
 // @access  Private
 exports.getDepartmentDoctors = async (req, res, next) => {
   try {
-    const department = await Department.findById(req.params.id);
+    const department = await repositories.departments.findById(req.params.id);
 
     if (!department) {
       return next(
@@ -191,7 +179,7 @@ exports.getDepartmentDoctors = async (req, res, next) => {
       );
     }
 
-    const doctors = await Doctor.find({ department: req.params.id, active: true });
+    const doctors = await repositories.doctors.find({ department: req.params.id, active: true });
 
     res.status(200).json({
       success: true,
@@ -1,18 +1,16 @@
 // File: backend/controllers/doctorController.js
 // Doctor controller
 
-const Doctor = require('../models/doctorModel');
-const User = require('../models/userModel');
+const repositories = require('../repositories');
 const { ErrorResponse } = require('../middlewares/errorMiddleware');
 const logger = require('../utils/logger');
+const availabilityService = require('../services/availabilityService');
 
 // @desc    Get all doctors
 // @route   GET /api/doctors
 // @access  Private
 exports.getDoctors = async (req, res, next) => {
   try {
-    let query;
-
     // Copy req.query
     const reqQuery = { ...req.query };
 
@@ -28,35 +26,29 @@ exports.getDoctors = async (req, res, next) => {
     // Create operators ($gt, $gte, etc)
     queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
 
-    // Finding resource
-    query = Doctor.find(JSON.parse(queryStr))
-      .populate('department', 'name location');
+    const filter = JSON.parse(queryStr);
 
     // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
-    }
+    const select = req.query.select ? req.query.select.split(',').join(' ') : undefined;
 
     // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('name');
-    }
+    const sort = req.query.sort ? req.query.sort.split(',').join(' ') : 'name';
 
     // Pagination
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 25;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
-    const total = await Doctor.countDocuments(JSON.parse(queryStr));
-
-    query = query.skip(startIndex).limit(limit);
+    const total = await repositories.doctors.count(filter);
 
     // Executing query
-    const doctors = await query;
+    const doctors = await repositories.doctors.find(filter, {
+      select,
+      sort,
+      skip: startIndex,
+      limit,
+      populate: { path: 'department', select: 'name location' }
+    });
 
     // Pagination result
     const pagination = {};
@@ -93,8 +85,9 @@ exports.getDoctors = async (req, res, next) => {
 // @access  Private
 exports.getDoctor = async (req, res, next) => {
   try {
-    const doctor = await Doctor.findById(req.params.id)
-      .populate('department', 'name location');
+    const doctor = await repositories.doctors.findById(req.params.id, {
+      populate: { path: 'department', select: 'name location' }
+    });
 
     if (!doctor) {
       return next(
@@ -119,7 +112,7 @@ exports.createDoctor = async (req, res, next) => {
   try {
     // If a user account is provided, link it
     if (req.body.user) {
-      const user = await User.findById(req.body.user);
+      const user = await repositories.users.findById(req.body.user);
       
       if (!user) {
         return next(
@@ -129,11 +122,11 @@ exports.createDoctor = async (req, res, next) => {
       
       // Update user's role to doctor if not already
       if (user.role !== 'doctor') {
-        await User.findByIdAndUpdate(user._id, { role: 'doctor' });
+        await repositories.users.updateById(user._id, { role: 'doctor' });
       }
     }
     
-    const doctor = await Doctor.create(req.body);
+    const doctor = await repositories.doctors.create(req.body);
 
     res.status(201).json({
       success: true,
@@ -150,10 +143,7 @@ exports.createDoctor = async (req, res, next) => {
 // @access  Private
 exports.updateDoctor = async (req, res, next) => {
   try {
-    const doctor = await Doctor.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    const doctor = await repositories.doctors.updateById(req.params.id, req.body);
 
     if (!doctor) {
       return next(
@@ -176,7 +166,7 @@ exports.updateDoctor = async (req, res, next) => {
 // @access  Private
 exports.deleteDoctor = async (req, res, next) => {
   try {
-    const doctor = await Doctor.findById(req.params.id);
+    const doctor = await repositories.doctors.deleteById(req.params.id);
 
     if (!doctor) {
       return next(
@@ -184,8 +174,6 @@ exports.deleteDoctor = async (req, res, next) => {
       );
     }
 
-    await doctor.deleteOne();
-
     res.status(200).json({
       success: true,
       data: {}
@@ -201,7 +189,7 @@ exports.deleteDoctor = async (req, res, next) => {
 // @access  Private
 exports.getDoctorAvailability = async (req, res, next) => {
   try {
-    const doctor = await Doctor.findById(req.params.id);
+    const doctor = await repositories.doctors.findById(req.params.id);
 
     if (!doctor) {
       return next(
@@ -214,16 +202,10 @@ exports.getDoctorAvailability = async (req, res, next) => {
       ? new Date(req.query.date) 
       : new Date();
     
-    // Get day of week (0-6, where 0 is Sunday)
-    const dayOfWeek = date.getDay();
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    // Slots from the doctor's hours for that day, minus booked and held ones
+    const { available, availableHours, slots } = await availabilityService.getDoctorDaySlots(doctor, date);
     
-    // Get doctor's available hours for that day
-    const availableHours = doctor.availableHours.find(
-      hours => hours.day === days[dayOfWeek] && hours.isAvailable
-    );
-    
-    if (!availableHours) {
+    if (!available) {
       return res.status(200).json({
         success: true,
         available: false,
@@ -232,58 +214,6 @@ exports.getDoctorAvailability = async (req, res, next) => {
       });
     }
     
-    // Get all appointments for that doctor on that date
-    const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(date.setHours(23, 59, 59, 999));
-    
-    const appointments = await Appointment.find({
-      doctor: doctor._id,
-      date: { $gte: startOfDay, $lte: endOfDay },
-      status: { $nin: ['cancelled'] }
-    }).select('startTime endTime');
-    
-    // Parse start and end times to compare
-    const start = availableHours.startTime.split(':').map(Number);
-    const end = availableHours.endTime.split(':').map(Number);
-    
-    // Create slots based on doctor's average appointment duration
-    const slotDuration = doctor.averageAppointmentDuration || 30; // minutes
-    const slots = [];
-    
-    let current = new Date(date);
-    current.setHours(start[0], start[1], 0, 0);
-    
-    const endTime = new Date(date);
-    endTime.setHours(end[0], end[1], 0, 0);
-    
-    while (current < endTime) {
-      const slotStart = new Date(current);
-      current.setMinutes(current.getMinutes() + slotDuration);
-      
-      if (current <= endTime) {
-        const slotEnd = new Date(current);
-        
-        // Format times to string for comparison
-        const startTimeStr = `${slotStart.getHours().toString().padStart(2, '0')}:${slotStart.getMinutes().toString().padStart(2, '0')}`;
-        const endTimeStr = `${slotEnd.getHours().toString().padStart(2, '0')}:${slotEnd.getMinutes().toString().padStart(2, '0')}`;
-        
-        // Check if the slot conflicts with any appointment
-        const isBooked = appointments.some(appointment => {
-          return (
-            (startTimeStr >= appointment.startTime && startTimeStr < appointment.endTime) ||
-            (endTimeStr > appointment.startTime && endTimeStr <= appointment.endTime) ||
-            (startTimeStr <= appointment.startTime && endTimeStr >= appointment.endTime)
-          );
-        });
-        
-        slots.push({
-          startTime: startTimeStr,
-          endTime: endTimeStr,
-          available: !isBooked
-        });
-      }
-    }
-    
     res.status(200).json({
       success: true,
       available: true,
@@ -0,0 +1,52 @@
+// File: backend/controllers/eventController.js
+// Real-time event stream controller (Server-Sent Events)
+
+const eventBus = require('../services/eventBus');
+const logger = require('../utils/logger');
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_MS = parseInt(process.env.EVENT_HEARTBEAT_MS, 10) || 25 * 1000;
+
+// @desc    Stream domain events scoped to the user's role and department
+// @route   GET /api/events
+// @access  Private
+exports.streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event) => {
+    try {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+        ...event.data,
+        department: event.department,
+        occurredAt: event.occurredAt
+      })}\n\n`);
+    } catch (error) {
+      logger.error(`Event stream write error: ${error.message}`);
+    }
+  };
+
+  // Browsers resend the last id they saw when they reconnect
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  const types = req.query.types ? req.query.types.split(',') : null;
+
+  const unsubscribe = eventBus.subscribe(req.user, send, {
+    lastEventId: Number.isNaN(lastEventId) ? null : lastEventId,
+    types
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  logger.info(`Event stream opened for user ${req.user.id}`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info(`Event stream closed for user ${req.user.id}`);
+  });
+};
@@ -0,0 +1,244 @@
+// File: backend/controllers/inboxController.js
+// Staff inbox controller
+
+const InboxThread = require('../models/inboxThreadModel');
+const Message = require('../models/messageModel');
+const Patient = require('../models/patientModel');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+const inboxService = require('../services/inboxService');
+const whatsappService = require('../services/whatsappService');
+
+// Add the requesting user's read state to a thread
+const withReadState = (thread, userId) => ({
+  ...thread.toObject(),
+  unread: thread.isUnreadBy(userId)
+});
+
+// Populate the fields the inbox shows
+const populateThread = (query) => query
+  .populate('patient', 'name phoneNumber')
+  .populate('assignedTo', 'name email')
+  .populate('assignedDepartment', 'name')
+  .populate('notes.author', 'name email');
+
+// @desc    Get inbox threads
+// @route   GET /api/inbox
+// @access  Private
+exports.getThreads = async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Open threads by default; status=all lists everything
+    if (req.query.status !== 'all') {
+      query.status = req.query.status || 'open';
+    }
+
+    if (req.query.assignedTo === 'me') {
+      query.assignedTo = req.user.id;
+    } else if (req.query.assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (req.query.assignedTo) {
+      query.assignedTo = req.query.assignedTo;
+    }
+
+    if (req.query.department) {
+      query.assignedDepartment = req.query.department;
+    }
+
+    if (req.query.unread === 'true') {
+      query.lastInboundAt = { $ne: null };
+      query['readBy.user'] = { $ne: req.user.id };
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const startIndex = (page - 1) * limit;
+
+    const total = await InboxThread.countDocuments(query);
+
+    const threads = await populateThread(InboxThread.find(query))
+      .sort({ lastMessageAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: threads.length,
+      total,
+      data: threads.map(thread => withReadState(thread, req.user.id))
+    });
+  } catch (error) {
+    logger.error(`Get inbox threads error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get an inbox thread with its messages (marks it read)
+// @route   GET /api/inbox/:id
+// @access  Private
+exports.getThread = async (req, res, next) => {
+  try {
+    await inboxService.markRead(req.params.id, req.user.id);
+
+    const thread = await populateThread(InboxThread.findById(req.params.id));
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    const messages = await Message.find({ patient: thread.patient._id })
+      .populate('appointment', 'date startTime status')
+      .populate('sentBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...withReadState(thread, req.user.id),
+        messages: messages.reverse()
+      }
+    });
+  } catch (error) {
+    logger.error(`Get inbox thread error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Mark an inbox thread as read
+// @route   POST /api/inbox/:id/read
+// @access  Private
+exports.markThreadRead = async (req, res, next) => {
+  try {
+    const thread = await inboxService.markRead(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: withReadState(thread, req.user.id)
+    });
+  } catch (error) {
+    logger.error(`Mark inbox thread read error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Mark an inbox thread as unread
+// @route   POST /api/inbox/:id/unread
+// @access  Private
+exports.markThreadUnread = async (req, res, next) => {
+  try {
+    const thread = await inboxService.markUnread(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: withReadState(thread, req.user.id)
+    });
+  } catch (error) {
+    logger.error(`Mark inbox thread unread error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Assign an inbox thread to a staff member and/or department
+// @route   PUT /api/inbox/:id/assign
+// @access  Private
+exports.assignThread = async (req, res, next) => {
+  try {
+    const { userId, departmentId } = req.body;
+
+    if (userId === undefined && departmentId === undefined) {
+      return next(new ErrorResponse('Please provide a userId and/or a departmentId', 400));
+    }
+
+    const thread = await inboxService.assignThread(req.params.id, { userId, departmentId });
+
+    res.status(200).json({
+      success: true,
+      data: withReadState(thread, req.user.id)
+    });
+  } catch (error) {
+    logger.error(`Assign inbox thread error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Open, snooze or close an inbox thread
+// @route   PUT /api/inbox/:id/status
+// @access  Private
+exports.updateThreadStatus = async (req, res, next) => {
+  try {
+    const thread = await inboxService.setStatus(req.params.id, {
+      status: req.body.status,
+      snoozedUntil: req.body.snoozedUntil,
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: withReadState(thread, req.user.id)
+    });
+  } catch (error) {
+    logger.error(`Update inbox thread status error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Add an internal note to an inbox thread
+// @route   POST /api/inbox/:id/notes
+// @access  Private
+exports.addThreadNote = async (req, res, next) => {
+  try {
+    const thread = await inboxService.addNote(req.params.id, req.body.text, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: withReadState(thread, req.user.id)
+    });
+  } catch (error) {
+    logger.error(`Add inbox thread note error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Reply to the patient of an inbox thread
+// @route   POST /api/inbox/:id/reply
+// @access  Private
+exports.replyToThread = async (req, res, next) => {
+  try {
+    const { content, appointmentId } = req.body;
+
+    if (!content) {
+      return next(new ErrorResponse('Message content is required', 400));
+    }
+
+    const thread = await inboxService.getThreadOrFail(req.params.id);
+    const patient = await Patient.findById(thread.patient);
+
+    if (!patient) {
+      return next(new ErrorResponse(`Patient not found with id of ${thread.patient}`, 404));
+    }
+
+    const message = await whatsappService.sendTextMessage(
+      patient.getWhatsAppNumber(),
+      content,
+      {
+        patient: patient._id,
+        appointment: appointmentId,
+        sentBy: req.user.id
+      }
+    );
+
+    await inboxService.recordMessage(message, { userId: req.user.id });
+
+    // Whoever answers first takes the thread
+    if (!thread.assignedTo) {
+      await inboxService.assignThread(thread._id, { userId: req.user.id });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error(`Reply to inbox thread error: ${error.message}`);
+    next(error);
+  }
+};
@@ -3,18 +3,41 @@
 
 const MessageTemplate = require('../models/messageTemplateModel');
 const Message = require('../models/messageModel');
+const Patient = require('../models/patientModel');
+const Attachment = require('../models/attachmentModel');
+const repositories = require('../repositories');
 const { ErrorResponse } = require('../middlewares/errorMiddleware');
 const logger = require('../utils/logger');
 const whatsappService = require('../services/whatsappService');
+const messageQueue = require('../services/messageQueue');
+const channels = require('../services/channels');
+const { renderTemplate } = require('../utils/templateRenderer');
+const { normalizeSmsText, getSmsInfo } = require('../utils/smsEncoding');
+const { isDatabaseStorage } = require('../config/storage');
+
+// Values used to preview a template when no appointment is chosen
+const SAMPLE_VARIABLES = {
+  patient_name: 'Jane Doe',
+  appointment_date: 'Monday, March 2, 2026',
+  appointment_time: '09:30 - 10:00',
+  doctor_name: 'Dr. John Smith',
+  department: 'Cardiology',
+  location: 'Main Building, Floor 2, Room 204',
+  preparation: 'No special preparation required.'
+};
+
+// WhatsApp template bodies are limited to 1024 characters
+const WHATSAPP_TEMPLATE_LIMIT = 1024;
 
 // @desc    Get all message templates
 // @route   GET /api/messages/templates
 // @access  Private
 exports.getMessageTemplates = async (req, res, next) => {
   try {
-    const templates = await MessageTemplate.find()
-      .sort('name')
-      .populate('createdBy', 'name email');
+    const templates = await repositories.templates.find({}, {
+      sort: 'name',
+      populate: { path: 'createdBy', select: 'name email' }
+    });
 
     res.status(200).json({
       success: true,
@@ -32,8 +55,9 @@ exports.getMessageTemplates = async (req, res, next) => {
 // @access  Private
 exports.getMessageTemplate = async (req, res, next) => {
   try {
-    const template = await MessageTemplate.findById(req.params.id)
-      .populate('createdBy', 'name email');
+    const template = await repositories.templates.findById(req.params.id, {
+      populate: { path: 'createdBy', select: 'name email' }
+    });
 
     if (!template) {
       return next(
@@ -59,7 +83,7 @@ exports.createMessageTemplate = async (req, res, next) => {
     // Add user as template creator
     req.body.createdBy = req.user.id;
 
-    const template = await MessageTemplate.create(req.body);
+    const template = await repositories.templates.create(req.body);
 
     res.status(201).json({
       success: true,
@@ -76,10 +100,7 @@ exports.createMessageTemplate = async (req, res, next) => {
 // @access  Private
 exports.updateMessageTemplate = async (req, res, next) => {
   try {
-    const template = await MessageTemplate.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    const template = await repositories.templates.updateById(req.params.id, req.body);
 
     if (!template) {
       return next(
@@ -102,7 +123,7 @@ exports.updateMessageTemplate = async (req, res, next) => {
 // @access  Private
 exports.deleteMessageTemplate = async (req, res, next) => {
   try {
-    const template = await MessageTemplate.findById(req.params.id);
+    const template = await repositories.templates.deleteById(req.params.id);
 
     if (!template) {
       return next(
@@ -110,8 +131,6 @@ exports.deleteMessageTemplate = async (req, res, next) => {
       );
     }
 
-    await template.deleteOne();
-
     res.status(200).json({
       success: true,
       data: {}
@@ -122,13 +141,115 @@ exports.deleteMessageTemplate = async (req, res, next) => {
   }
 };
 
+// @desc    Preview a message template, optionally sending it to yourself
+// @route   POST /api/messages/templates/:id/preview
+// @access  Private/Admin
+exports.previewMessageTemplate = async (req, res, next) => {
+  try {
+    const { appointmentId, testSend } = req.body;
+
+    const template = await repositories.templates.findById(req.params.id);
+
+    if (!template) {
+      return next(
+        new ErrorResponse(`Message template not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    // Values from the chosen appointment (or the samples), overridden by the request
+    let baseVariables = SAMPLE_VARIABLES;
+
+    if (appointmentId) {
+      const appointment = await repositories.appointments.findById(appointmentId, {
+        populate: [
+          { path: 'patient' },
+          { path: 'doctor' },
+          { path: 'department' }
+        ]
+      });
+
+      if (!appointment) {
+        return next(new ErrorResponse(`Appointment not found with id of ${appointmentId}`, 404));
+      }
+
+      baseVariables = whatsappService.buildReminderVariables(appointment);
+    }
+
+    const given = req.body.variables || {};
+    const variables = { ...baseVariables, ...given };
+
+    let rendered;
+
+    try {
+      rendered = renderTemplate(template.content, variables, template.variables);
+    } catch (error) {
+      return next(new ErrorResponse(`Template ${template.name} cannot be rendered: ${error.message}`, 400));
+    }
+
+    const characters = [...rendered.text].length;
+
+    const preview = {
+      text: rendered.text,
+      source: appointmentId ? 'appointment' : 'sample',
+      variables: rendered.variables,
+      missing: rendered.missing,
+      // Only the values given in the request: the appointment and sample
+      // values cover every template, so most of them are always unused
+      unused: rendered.unused.filter(name => name in given),
+      length: {
+        characters,
+        whatsapp: {
+          limit: WHATSAPP_TEMPLATE_LIMIT,
+          remaining: WHATSAPP_TEMPLATE_LIMIT - characters
+        },
+        sms: getSmsInfo(normalizeSmsText(rendered.text))
+      }
+    };
+
+    if (testSend) {
+      if (!isDatabaseStorage()) {
+        return next(
+          new ErrorResponse('Test sends require MongoDB storage (STORAGE_DRIVER=mongodb)', 503)
+        );
+      }
+
+      if (rendered.missing.length) {
+        return next(new ErrorResponse(`Cannot send a test, variables are missing: ${rendered.missing.join(', ')}`, 400));
+      }
+
+      const user = await repositories.users.findById(req.user.id);
+
+      if (!user || !user.phoneNumber) {
+        return next(new ErrorResponse('Add a phone number to your profile to receive test messages', 400));
+      }
+
+      // No patient or appointment: the message stays out of their history
+      preview.message = await whatsappService.sendTemplatedMessage(
+        user.phoneNumber,
+        template.externalTemplateId,
+        variables,
+        {
+          messageTemplate: template,
+          isTest: true
+        }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    logger.error(`Preview message template error: ${error.message}`);
+    next(error);
+  }
+};
+
 // @desc    Get message history
 // @route   GET /api/messages
 // @access  Private
 exports.getMessages = async (req, res, next) => {
   try {
-    let query;
-
     // Copy req.query
     const reqQuery = { ...req.query };
 
@@ -144,37 +265,36 @@ exports.getMessages = async (req, res, next) => {
     // Create operators ($gt, $gte, etc)
     queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
 
-    // Finding resource
-    query = Message.find(JSON.parse(queryStr))
-      .populate('patient', 'name phoneNumber')
-      .populate('appointment')
-      .populate('messageTemplate', 'name type');
+    const filter = JSON.parse(queryStr);
+
+    // Template test sends are not part of the message history
+    filter.isTest = { $ne: true };
 
     // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
-    }
+    const select = req.query.select ? req.query.select.split(',').join(' ') : undefined;
 
     // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
-    }
+    const sort = req.query.sort ? req.query.sort.split(',').join(' ') : '-createdAt';
 
     // Pagination
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 25;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
-    const total = await Message.countDocuments(JSON.parse(queryStr));
-
-    query = query.skip(startIndex).limit(limit);
+    const total = await repositories.messages.count(filter);
 
     // Executing query
-    const messages = await query;
+    const messages = await repositories.messages.find(filter, {
+      select,
+      sort,
+      skip: startIndex,
+      limit,
+      populate: [
+        { path: 'patient', select: 'name phoneNumber' },
+        { path: 'appointment' },
+        { path: 'messageTemplate', select: 'name type' }
+      ]
+    });
 
     // Pagination result
     const pagination = {};
@@ -211,10 +331,13 @@ exports.getMessages = async (req, res, next) => {
 // @access  Private
 exports.getPatientMessages = async (req, res, next) => {
   try {
-    const messages = await Message.find({ patient: req.params.patientId })
-      .populate('appointment')
-      .populate('messageTemplate', 'name type')
-      .sort('-createdAt');
+    const messages = await repositories.messages.find({ patient: req.params.patientId }, {
+      sort: '-createdAt',
+      populate: [
+        { path: 'appointment' },
+        { path: 'messageTemplate', select: 'name type' }
+      ]
+    });
 
     res.status(200).json({
       success: true,
@@ -232,10 +355,13 @@ exports.getPatientMessages = async (req, res, next) => {
 // @access  Private
 exports.getAppointmentMessages = async (req, res, next) => {
   try {
-    const messages = await Message.find({ appointment: req.params.appointmentId })
-      .populate('patient', 'name phoneNumber')
-      .populate('messageTemplate', 'name type')
-      .sort('createdAt');
+    const messages = await repositories.messages.find({ appointment: req.params.appointmentId }, {
+      sort: 'createdAt',
+      populate: [
+        { path: 'patient', select: 'name phoneNumber' },
+        { path: 'messageTemplate', select: 'name type' }
+      ]
+    });
 
     res.status(200).json({
       success: true,
@@ -253,12 +379,22 @@ exports.getAppointmentMessages = async (req, res, next) => {
 // @access  Private
 exports.sendCustomMessage = async (req, res, next) => {
   try {
-    const { patientId, appointmentId, content, useTemplate, templateId } = req.body;
+    const { patientId, appointmentId, content, useTemplate, templateId, attachmentId } = req.body;
+    const channel = req.body.channel || 'whatsapp';
 
     if (!patientId) {
       return next(new ErrorResponse('Patient ID is required', 400));
     }
 
+    if (!channels.getChannelNames().includes(channel)) {
+      return next(new ErrorResponse(`Channel must be one of: ${channels.getChannelNames().join(', ')}`, 400));
+    }
+
+    // Templates and files are WhatsApp features
+    if (channel !== 'whatsapp' && ((useTemplate && templateId) || attachmentId)) {
+      return next(new ErrorResponse(`Only text messages can be sent by ${channel}`, 400));
+    }
+
     // Find the patient
     const patient = await Patient.findById(patientId);
 
@@ -266,9 +402,7 @@ exports.sendCustomMessage = async (req, res, next) => {
       return next(new ErrorResponse(`Patient not found with id of ${patientId}`, 404));
     }
 
-    let messageResponse;
-
-    // Send either templated or text message
+    // Queue either templated or text message
     if (useTemplate && templateId) {
       // Find the template
       const template = await MessageTemplate.findById(templateId);
@@ -280,26 +414,39 @@ exports.sendCustomMessage = async (req, res, next) => {
       // Extract variables from request body
       const variables = req.body.variables || {};
 
-      // Send templated message
-      messageResponse = await whatsappService.sendTemplatedMessage(
+      // Queue templated message
+      const message = await whatsappService.sendTemplatedMessage(
         patient.getWhatsAppNumber(),
         template.externalTemplateId,
-        variables
+        variables,
+        {
+          patient: patientId,
+          appointment: appointmentId,
+          messageTemplate: template
+        }
       );
 
-      // Create message record
-      const message = await Message.create({
-        patient: patientId,
-        appointment: appointmentId,
-        direction: 'outbound',
-        channel: 'whatsapp',
-        messageTemplate: templateId,
-        content: template.content,
-        variables: variables,
-        externalMessageId: messageResponse.id,
-        status: 'sent',
-        sentAt: new Date()
+      res.status(200).json({
+        success: true,
+        data: message
       });
+    } else if (attachmentId) {
+      // Send a stored file, with the content as its caption
+      const attachment = await Attachment.findById(attachmentId);
+
+      if (!attachment) {
+        return next(new ErrorResponse(`Attachment not found with id of ${attachmentId}`, 404));
+      }
+
+      const message = await whatsappService.sendMediaMessage(
+        patient.getWhatsAppNumber(),
+        attachment,
+        content,
+        {
+          patient: patientId,
+          appointment: appointmentId
+        }
+      );
 
       res.status(200).json({
         success: true,
@@ -311,22 +458,19 @@ exports.sendCustomMessage = async (req, res, next) => {
         return next(new ErrorResponse('Message content is required', 400));
       }
 
-      messageResponse = await whatsappService.sendTextMessage(
-        patient.getWhatsAppNumber(),
-        content
-      );
+      if (channel === 'email' && !patient.email) {
+        return next(new ErrorResponse(`Patient ${patient.name} has no email address`, 400));
+      }
 
-      // Create message record
-      const message = await Message.create({
-        patient: patientId,
-        appointment: appointmentId,
-        direction: 'outbound',
-        channel: 'whatsapp',
-        content: content,
-        externalMessageId: messageResponse.id,
-        status: 'sent',
-        sentAt: new Date()
-      });
+      const message = await channels.getChannel(channel).sendText(
+        channel === 'email' ? patient.email : patient.getWhatsAppNumber(),
+        content,
+        {
+          patient: patientId,
+          appointment: appointmentId,
+          ...(channel === 'email' && req.body.subject ? { subject: req.body.subject } : {})
+        }
+      );
 
       res.status(200).json({
         success: true,
@@ -339,3 +483,142 @@ exports.sendCustomMessage = async (req, res, next) => {
   }
 };
 
+
+// @desc    Get failed and dead-lettered outbound messages
+// @route   GET /api/messages/failed
+// @access  Private
+exports.getFailedMessages = async (req, res, next) => {
+  try {
+    const statuses = req.query.status ? req.query.status.split(',') : ['dead_letter', 'failed'];
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const startIndex = (page - 1) * limit;
+
+    const query = {
+      direction: 'outbound',
+      status: { $in: statuses }
+    };
+
+    const total = await Message.countDocuments(query);
+
+    const messages = await Message.find(query)
+      .populate('patient', 'name phoneNumber')
+      .populate('appointment', 'date startTime')
+      .sort({ updatedAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      data: messages
+    });
+  } catch (error) {
+    logger.error(`Get failed messages error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Put a failed message back in the outbound queue
+// @route   POST /api/messages/:id/retry
+// @access  Private
+exports.retryQueuedMessage = async (req, res, next) => {
+  try {
+    const message = await messageQueue.retryMessage(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error(`Retry message error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Discard a failed message
+// @route   POST /api/messages/:id/discard
+// @access  Private
+exports.discardQueuedMessage = async (req, res, next) => {
+  try {
+    const message = await messageQueue.discardMessage(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error(`Discard message error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get patient replies waiting for staff review
+// @route   GET /api/messages/review
+// @access  Private
+exports.getReviewQueue = async (req, res, next) => {
+  try {
+    const query = {
+      direction: 'inbound',
+      'review.status': req.query.status || 'pending'
+    };
+
+    if (req.query.intent) {
+      query['intent.name'] = req.query.intent;
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const startIndex = (page - 1) * limit;
+
+    const total = await Message.countDocuments(query);
+
+    const messages = await Message.find(query)
+      .populate('patient', 'name phoneNumber')
+      .populate('appointment', 'date startTime status')
+      .populate('review.reviewedBy', 'name email')
+      .sort({ createdAt: 1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      data: messages
+    });
+  } catch (error) {
+    logger.error(`Get review queue error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Resolve a patient reply waiting for review
+// @route   POST /api/messages/:id/review
+// @access  Private
+exports.reviewMessage = async (req, res, next) => {
+  try {
+    const { action, appointmentId, note } = req.body;
+
+    if (!action) {
+      return next(new ErrorResponse('Review action is required', 400));
+    }
+
+    const message = await whatsappService.resolveReview(req.params.id, {
+      action,
+      appointmentId,
+      note,
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error(`Review message error: ${error.message}`);
+    next(error);
+  }
+};
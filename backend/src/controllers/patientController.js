@@ -1,17 +1,18 @@
 // File: backend/controllers/patientController.js
 // Patient controller
 
-const Patient = require('../models/patientModel');
+const repositories = require('../repositories');
 const { ErrorResponse } = require('../middlewares/errorMiddleware');
 const logger = require('../utils/logger');
+const consentService = require('../services/consentService');
+const conversationService = require('../services/conversationService');
+const Conversation = require('../models/conversationModel');
 
 // @desc    Get all patients
 // @route   GET /api/patients
 // @access  Private
 exports.getPatients = async (req, res, next) => {
   try {
-    let query;
-
     // Copy req.query
     const reqQuery = { ...req.query };
 
@@ -27,34 +28,28 @@ exports.getPatients = async (req, res, next) => {
     // Create operators ($gt, $gte, etc)
     queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
 
-    // Finding resource
-    query = Patient.find(JSON.parse(queryStr));
+    const filter = JSON.parse(queryStr);
 
     // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
-    }
+    const select = req.query.select ? req.query.select.split(',').join(' ') : undefined;
 
     // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
-    }
+    const sort = req.query.sort ? req.query.sort.split(',').join(' ') : '-createdAt';
 
     // Pagination
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 25;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
-    const total = await Patient.countDocuments(JSON.parse(queryStr));
-
-    query = query.skip(startIndex).limit(limit);
+    const total = await repositories.patients.count(filter);
 
     // Executing query
-    const patients = await query;
+    const patients = await repositories.patients.find(filter, {
+      select,
+      sort,
+      skip: startIndex,
+      limit
+    });
 
     // Pagination result
     const pagination = {};
@@ -91,14 +86,15 @@ exports.getPatients = async (req, res, next) => {
 // @access  Private
 exports.getPatient = async (req, res, next) => {
   try {
-    const patient = await Patient.findById(req.params.id)
-      .populate({
+    const patient = await repositories.patients.findById(req.params.id, {
+      populate: {
         path: 'upcomingAppointments',
         populate: [
           { path: 'doctor', select: 'name specialization' },
           { path: 'department', select: 'name location' }
         ]
-      });
+      }
+    });
 
     if (!patient) {
       return next(
@@ -121,7 +117,12 @@ exports.getPatient = async (req, res, next) => {
 // @access  Private
 exports.createPatient = async (req, res, next) => {
   try {
-    const patient = await Patient.create(req.body);
+    const patient = await repositories.patients.create(req.body);
+
+    await consentService.recordConsentChanges(null, patient, {
+      source: 'registration',
+      changedBy: req.user.id
+    });
 
     res.status(201).json({
       success: true,
@@ -138,17 +139,22 @@ exports.createPatient = async (req, res, next) => {
 // @access  Private
 exports.updatePatient = async (req, res, next) => {
   try {
-    const patient = await Patient.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    const previous = await repositories.patients.findById(req.params.id);
 
-    if (!patient) {
+    if (!previous) {
       return next(
         new ErrorResponse(`Patient not found with id of ${req.params.id}`, 404)
       );
     }
 
+    const patient = await repositories.patients.updateById(req.params.id, req.body);
+
+    // Opt-out and channel preference changes go to the consent ledger
+    await consentService.recordConsentChanges(previous, patient, {
+      source: 'staff',
+      changedBy: req.user.id
+    });
+
     res.status(200).json({
       success: true,
       data: patient
@@ -164,7 +170,7 @@ exports.updatePatient = async (req, res, next) => {
 // @access  Private
 exports.deletePatient = async (req, res, next) => {
   try {
-    const patient = await Patient.findById(req.params.id);
+    const patient = await repositories.patients.deleteById(req.params.id);
 
     if (!patient) {
       return next(
@@ -172,8 +178,6 @@ exports.deletePatient = async (req, res, next) => {
       );
     }
 
-    await patient.deleteOne();
-
     res.status(200).json({
       success: true,
       data: {}
@@ -184,3 +188,63 @@ exports.deletePatient = async (req, res, next) => {
   }
 };
 
+
+// @desc    Get consent history for a patient
+// @route   GET /api/patients/:id/consent
+// @access  Private
+exports.getPatientConsentHistory = async (req, res, next) => {
+  try {
+    const patient = await repositories.patients.findById(req.params.id);
+
+    if (!patient) {
+      return next(
+        new ErrorResponse(`Patient not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const events = await repositories.consentEvents.find({ patient: req.params.id }, {
+      sort: '-occurredAt',
+      populate: { path: 'changedBy', select: 'name email' }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: {
+        optOut: patient.optOut,
+        communicationPreferences: patient.communicationPreferences,
+        events
+      }
+    });
+  } catch (error) {
+    logger.error(`Get patient consent history error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get a patient's WhatsApp conversation state
+// @route   GET /api/patients/:id/conversation
+// @access  Private
+exports.getPatientConversation = async (req, res, next) => {
+  try {
+    const patient = await repositories.patients.findById(req.params.id);
+
+    if (!patient) {
+      return next(
+        new ErrorResponse(`Patient not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    // Expired states are reported as idle
+    const active = await conversationService.getActiveConversation(req.params.id);
+    const conversation = active || await Conversation.findOne({ patient: req.params.id, channel: 'whatsapp' });
+
+    res.status(200).json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    logger.error(`Get patient conversation error: ${error.message}`);
+    next(error);
+  }
+};
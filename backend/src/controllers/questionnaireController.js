@@ -0,0 +1,174 @@
+// File: backend/controllers/questionnaireController.js
+// Questionnaire controller
+
+const Questionnaire = require('../models/questionnaireModel');
+const questionnaireService = require('../services/questionnaireService');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+// @desc    Get all questionnaires
+// @route   GET /api/questionnaires
+// @access  Private
+exports.getQuestionnaires = async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.query.department) {
+      query.department = req.query.department;
+    }
+
+    if (req.query.appointmentType) {
+      query.appointmentType = req.query.appointmentType;
+    }
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const questionnaires = await Questionnaire.find(query)
+      .populate('department', 'name')
+      .sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: questionnaires.length,
+      data: questionnaires
+    });
+  } catch (error) {
+    logger.error(`Get questionnaires error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get single questionnaire
+// @route   GET /api/questionnaires/:id
+// @access  Private
+exports.getQuestionnaire = async (req, res, next) => {
+  try {
+    const questionnaire = await Questionnaire.findById(req.params.id).populate('department', 'name');
+
+    if (!questionnaire) {
+      return next(
+        new ErrorResponse(`Questionnaire not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: questionnaire
+    });
+  } catch (error) {
+    logger.error(`Get questionnaire error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Create new questionnaire
+// @route   POST /api/questionnaires
+// @access  Private/Admin
+exports.createQuestionnaire = async (req, res, next) => {
+  try {
+    req.body.createdBy = req.user.id;
+
+    const questionnaire = await Questionnaire.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: questionnaire
+    });
+  } catch (error) {
+    logger.error(`Create questionnaire error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Update questionnaire
+// @route   PUT /api/questionnaires/:id
+// @access  Private/Admin
+exports.updateQuestionnaire = async (req, res, next) => {
+  try {
+    const questionnaire = await Questionnaire.findById(req.params.id);
+
+    if (!questionnaire) {
+      return next(
+        new ErrorResponse(`Questionnaire not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    delete req.body.createdBy;
+    questionnaire.set(req.body);
+    await questionnaire.save();
+
+    res.status(200).json({
+      success: true,
+      data: questionnaire
+    });
+  } catch (error) {
+    logger.error(`Update questionnaire error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Delete questionnaire
+// @route   DELETE /api/questionnaires/:id
+// @access  Private/Admin
+exports.deleteQuestionnaire = async (req, res, next) => {
+  try {
+    const questionnaire = await Questionnaire.findByIdAndDelete(req.params.id);
+
+    if (!questionnaire) {
+      return next(
+        new ErrorResponse(`Questionnaire not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Delete questionnaire error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get red-flag alerts not acknowledged yet
+// @route   GET /api/questionnaires/alerts
+// @access  Private
+exports.getRedFlagAlerts = async (req, res, next) => {
+  try {
+    const alerts = await questionnaireService.getOpenAlerts(req.user);
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      data: alerts
+    });
+  } catch (error) {
+    logger.error(`Get red-flag alerts error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Acknowledge a red-flag alert
+// @route   PUT /api/questionnaires/alerts/:alertId/acknowledge
+// @access  Private
+exports.acknowledgeRedFlagAlert = async (req, res, next) => {
+  try {
+    const alert = await questionnaireService.acknowledgeAlert(req.params.alertId, req.user);
+
+    if (!alert) {
+      return next(
+        new ErrorResponse(`Open red-flag alert not found with id of ${req.params.alertId}`, 404)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    logger.error(`Acknowledge red-flag alert error: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,157 @@
+// File: backend/controllers/reminderPolicyController.js
+// Reminder policy controller
+
+const ReminderPolicy = require('../models/reminderPolicyModel');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+const reminderPolicyService = require('../services/reminderPolicyService');
+
+// Policy scope used to find the appointments a change affects
+const getScope = (policy) => ({
+  department: policy.department,
+  appointmentType: policy.appointmentType
+});
+
+// @desc    Get all reminder policies
+// @route   GET /api/reminder-policies
+// @access  Private
+exports.getReminderPolicies = async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.query.department) {
+      query.department = req.query.department;
+    }
+
+    if (req.query.appointmentType) {
+      query.appointmentType = req.query.appointmentType;
+    }
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const policies = await ReminderPolicy.find(query)
+      .populate('department', 'name')
+      .populate('reminders.template', 'name type')
+      .sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    logger.error(`Get reminder policies error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get single reminder policy
+// @route   GET /api/reminder-policies/:id
+// @access  Private
+exports.getReminderPolicy = async (req, res, next) => {
+  try {
+    const policy = await ReminderPolicy.findById(req.params.id)
+      .populate('department', 'name')
+      .populate('reminders.template', 'name type');
+
+    if (!policy) {
+      return next(
+        new ErrorResponse(`Reminder policy not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    logger.error(`Get reminder policy error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Create new reminder policy
+// @route   POST /api/reminder-policies
+// @access  Private/Admin
+exports.createReminderPolicy = async (req, res, next) => {
+  try {
+    req.body.createdBy = req.user.id;
+
+    const policy = await ReminderPolicy.create(req.body);
+
+    const recomputed = await reminderPolicyService.recomputePendingReminders([getScope(policy)]);
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+      recomputed
+    });
+  } catch (error) {
+    logger.error(`Create reminder policy error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Update reminder policy
+// @route   PUT /api/reminder-policies/:id
+// @access  Private/Admin
+exports.updateReminderPolicy = async (req, res, next) => {
+  try {
+    const policy = await ReminderPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return next(
+        new ErrorResponse(`Reminder policy not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    // Appointments matched by the old scope may now fall under another policy
+    const previousScope = getScope(policy);
+
+    delete req.body.createdBy;
+    policy.set(req.body);
+    await policy.save();
+
+    const recomputed = await reminderPolicyService.recomputePendingReminders([
+      previousScope,
+      getScope(policy)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: policy,
+      recomputed
+    });
+  } catch (error) {
+    logger.error(`Update reminder policy error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Delete reminder policy
+// @route   DELETE /api/reminder-policies/:id
+// @access  Private/Admin
+exports.deleteReminderPolicy = async (req, res, next) => {
+  try {
+    const policy = await ReminderPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return next(
+        new ErrorResponse(`Reminder policy not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const recomputed = await reminderPolicyService.recomputePendingReminders([getScope(policy)]);
+
+    res.status(200).json({
+      success: true,
+      data: {},
+      recomputed
+    });
+  } catch (error) {
+    logger.error(`Delete reminder policy error: ${error.message}`);
+    next(error);
+  }
+};
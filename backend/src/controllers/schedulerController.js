@@ -0,0 +1,112 @@
+// File: backend/controllers/schedulerController.js
+// Scheduler controller for job status, run history and manual runs
+
+const JobRun = require('../models/jobRunModel');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+const schedulerService = require('../services/schedulerService');
+
+// @desc    Get scheduled jobs with their lease and last run
+// @route   GET /api/scheduler/jobs
+// @access  Private/Admin
+exports.getJobs = async (req, res, next) => {
+  try {
+    const jobs = await schedulerService.getJobs();
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    logger.error(`Get jobs error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Run a job now
+// @route   POST /api/scheduler/jobs/:name/run
+// @access  Private/Admin
+exports.runJob = async (req, res, next) => {
+  try {
+    const run = await schedulerService.runJob(req.params.name, {
+      trigger: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    logger.info(`Job ${req.params.name} run manually by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    logger.error(`Run job error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get job run history
+// @route   GET /api/scheduler/runs
+// @access  Private/Admin
+exports.getJobRuns = async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.query.job) {
+      query.job = req.query.job;
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.trigger) {
+      query.trigger = req.query.trigger;
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const startIndex = (page - 1) * limit;
+
+    const total = await JobRun.countDocuments(query);
+
+    const runs = await JobRun.find(query)
+      .select('-details')
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      total,
+      data: runs
+    });
+  } catch (error) {
+    logger.error(`Get job runs error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get a single job run with its details
+// @route   GET /api/scheduler/runs/:id
+// @access  Private/Admin
+exports.getJobRun = async (req, res, next) => {
+  try {
+    const run = await JobRun.findById(req.params.id).populate('triggeredBy', 'name email');
+
+    if (!run) {
+      return next(new ErrorResponse(`Job run not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    logger.error(`Get job run error: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,114 @@
+// File: backend/controllers/simulatorController.js
+// 1CONFIRMED simulator controller: the provider's /messages endpoint and the
+// developer controls (inspect messages, inject replies, simulate failures)
+
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+const confirmedSimulator = require('../services/confirmedSimulator');
+
+// @desc    Accept an outbound message, like the 1CONFIRMED API
+// @route   POST /api/simulator/confirmed/messages
+// @access  Public (API key)
+exports.receiveMessage = (req, res, next) => {
+  try {
+    const apiKey = process.env.CONFIRMED_API_KEY;
+
+    if (apiKey && req.get('Authorization') !== `Bearer ${apiKey}`) {
+      return res.status(401).json({
+        error: { code: 'unauthorized', title: 'Invalid API key' }
+      });
+    }
+
+    const failure = confirmedSimulator.checkFailure();
+
+    if (failure) {
+      return res.status(failure.status).set(failure.headers).json(failure.body);
+    }
+
+    res.status(200).json(confirmedSimulator.acceptMessage(req.body));
+  } catch (error) {
+    logger.error(`Simulator receive message error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get the messages the simulator accepted
+// @route   GET /api/simulator/confirmed/messages
+// @access  Private/Admin
+exports.getSimulatedMessages = (req, res, next) => {
+  try {
+    const messages = confirmedSimulator.getMessages({ to: req.query.to });
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    logger.error(`Get simulated messages error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Get simulator settings
+// @route   GET /api/simulator/confirmed/settings
+// @access  Private/Admin
+exports.getSimulatorSettings = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: confirmedSimulator.getSettings()
+  });
+};
+
+// @desc    Change delays, error rates and rate limits
+// @route   PUT /api/simulator/confirmed/settings
+// @access  Private/Admin
+exports.updateSimulatorSettings = (req, res, next) => {
+  try {
+    const settings = confirmedSimulator.updateSettings(req.body || {});
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error(`Update simulator settings error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Send a patient reply (text, button or list choice) to the webhook
+// @route   POST /api/simulator/confirmed/replies
+// @access  Private/Admin
+exports.injectReply = async (req, res, next) => {
+  try {
+    const result = await confirmedSimulator.injectReply(req.body || {});
+
+    logger.info(`Simulated reply from ${result.payload.from} injected by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    // The webhook answered with an error: pass it on
+    if (error.response) {
+      return next(new ErrorResponse(`Webhook rejected the reply: ${JSON.stringify(error.response.data)}`, 502));
+    }
+
+    logger.error(`Inject reply error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Forget simulated messages and rate limit counters
+// @route   POST /api/simulator/confirmed/reset
+// @access  Private/Admin
+exports.resetSimulator = (req, res) => {
+  confirmedSimulator.reset();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+};
@@ -1,16 +1,19 @@
 // File: backend/controllers/webhookController.js
 // Webhook controller for handling incoming messages from 1CONFIRMED
 
-const { ErrorResponse } = require('../src/services/middlewares/errorMiddleware');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
 const logger = require('../utils/logger');
 const whatsappService = require('../services/whatsappService');
+const smsService = require('../services/smsService');
+const emailService = require('../services/emailService');
+const webhookMiddleware = require('../middlewares/webhookMiddleware');
 
-// @desc    Handle incoming message webhook from 1CONFIRMED
+// @desc    Handle incoming message and delivery status webhooks from 1CONFIRMED
 // @route   POST /api/webhooks/whatsapp
-// @access  Public
+// @access  Public (signed)
 exports.handleWhatsAppWebhook = async (req, res, next) => {
   try {
-    logger.info(`Received webhook: ${JSON.stringify(req.body)}`);
+    logger.info(`Received webhook event: ${req.webhookEventId}`);
     
     // Validate the webhook payload
     const payload = req.body;
@@ -26,9 +29,9 @@ exports.handleWhatsAppWebhook = async (req, res, next) => {
       message: 'Webhook received'
     });
     
-    // Process the message asynchronously
+    // Process the message or status callback asynchronously
     try {
-      await whatsappService.processIncomingMessage(payload);
+      await whatsappService.processWebhookPayload(payload);
     } catch (error) {
       logger.error(`Error processing webhook: ${error.message}`);
     }
@@ -38,6 +41,56 @@ exports.handleWhatsAppWebhook = async (req, res, next) => {
   }
 };
 
+// @desc    Handle SMS delivery receipts from the SMS gateway
+// @route   POST /api/webhooks/sms/status
+// @access  Public (signed)
+exports.handleSmsStatusWebhook = async (req, res, next) => {
+  try {
+    if (!req.body || typeof req.body !== 'object') {
+      return next(new ErrorResponse('Invalid webhook payload', 400));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook received'
+    });
+
+    try {
+      await smsService.processDeliveryReceipts(req.body);
+    } catch (error) {
+      logger.error(`Error processing SMS delivery receipt: ${error.message}`);
+    }
+  } catch (error) {
+    logger.error(`SMS webhook handling error: ${error.message}`);
+    next(error);
+  }
+};
+
+// @desc    Handle email bounces forwarded by the mail server
+// @route   POST /api/webhooks/email/bounce
+// @access  Public (signed)
+exports.handleEmailBounceWebhook = async (req, res, next) => {
+  try {
+    if (!req.body || typeof req.body !== 'object') {
+      return next(new ErrorResponse('Invalid webhook payload', 400));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook received'
+    });
+
+    try {
+      await emailService.processBounces(req.body);
+    } catch (error) {
+      logger.error(`Error processing email bounce: ${error.message}`);
+    }
+  } catch (error) {
+    logger.error(`Email webhook handling error: ${error.message}`);
+    next(error);
+  }
+};
+
 // @desc    Handle webhook verification from 1CONFIRMED
 // @route   GET /api/webhooks/whatsapp
 // @access  Public
@@ -62,4 +115,14 @@ exports.verifyWebhook = (req, res) => {
     success: false,
     message: 'Verification failed'
   });
-};
\ No newline at end of file
+};
+
+// @desc    Get webhook verification counters
+// @route   GET /api/webhooks/stats
+// @access  Private/Admin
+exports.getWebhookStats = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: webhookMiddleware.getWebhookStats()
+  });
+};
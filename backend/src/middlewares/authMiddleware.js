@@ -3,7 +3,7 @@
 
 const jwt = require('jsonwebtoken');
 const { ErrorResponse } = require('./errorMiddleware');
-const User = require('../models/userModel');
+const repositories = require('../repositories');
 const logger = require('../utils/logger');
 
 // Protect routes
@@ -33,7 +33,7 @@ const protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Get user from the token
-      req.user = await User.findById(decoded.id).select('-password');
+      req.user = await repositories.users.findById(decoded.id);
 
       if (!req.user) {
         return next(new ErrorResponse('User not found', 404));
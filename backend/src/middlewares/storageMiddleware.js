@@ -0,0 +1,17 @@
+// File: backend/middlewares/storageMiddleware.js
+// Guards for routes that depend on a specific storage driver
+
+const { ErrorResponse } = require('./errorMiddleware');
+const { isDatabaseStorage } = require('../config/storage');
+
+// Reject requests to MongoDB-only features while running on file storage
+const requireDatabase = (req, res, next) => {
+  if (!isDatabaseStorage()) {
+    return next(
+      new ErrorResponse('This endpoint requires MongoDB storage (STORAGE_DRIVER=mongodb)', 503)
+    );
+  }
+  next();
+};
+
+module.exports = { requireDatabase };
@@ -3,6 +3,11 @@
 
 const mongoose = require('mongoose');
 const moment = require('moment');
+const ReminderPolicy = require('./reminderPolicyModel');
+
+// Hours between completing a visit and sending the satisfaction survey
+const FOLLOW_UP_DELAY_HOURS = parseFloat(process.env.FOLLOW_UP_DELAY_HOURS) || 2;
+const FOLLOW_UP_ENABLED = process.env.FOLLOW_UP_ENABLED !== 'false';
 
 const AppointmentSchema = new mongoose.Schema(
   {
@@ -60,7 +65,122 @@ const AppointmentSchema = new mongoose.Schema(
     preparationInstructions: {
       type: String
     },
+    preparationDocument: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment'
+      // PDF sent with the preparation instructions
+    },
     documentsRequired: [String],
+    // One item per required document, kept in line with documentsRequired
+    documentChecklist: [
+      {
+        name: {
+          type: String,
+          required: true
+        },
+        status: {
+          type: String,
+          enum: ['missing', 'received', 'accepted', 'rejected'],
+          default: 'missing'
+        },
+        attachments: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attachment'
+          }
+        ],
+        requestedAt: Date,
+        receivedAt: Date,
+        reviewedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        reviewedAt: Date,
+        rejectionReason: String
+      }
+    ],
+    documentsStatus: {
+      type: String,
+      enum: ['none', 'incomplete', 'pending_review', 'complete'],
+      default: 'none'
+      // Summary of documentChecklist, stored so it can be filtered on
+    },
+    // Pre-visit questionnaire sent over WhatsApp and the patient's answers
+    questionnaire: {
+      questionnaire: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Questionnaire'
+      },
+      status: {
+        type: String,
+        enum: ['sent', 'in_progress', 'completed', 'expired']
+      },
+      sentAt: Date,
+      completedAt: Date,
+      answers: [
+        {
+          key: String,
+          question: String,
+          answer: String,
+          optionId: String,
+          redFlag: {
+            type: Boolean,
+            default: false
+          },
+          answeredAt: Date
+        }
+      ],
+      hasRedFlags: {
+        type: Boolean,
+        default: false
+      },
+      // One alert per red-flag answer, kept until the doctor or staff acknowledge it
+      alerts: [
+        {
+          key: String,
+          question: String,
+          answer: String,
+          doctorUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          },
+          raisedAt: {
+            type: Date,
+            default: Date.now
+          },
+          acknowledgedAt: Date,
+          acknowledgedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          }
+        }
+      ]
+    },
+    // Satisfaction survey sent some hours after the visit is completed
+    followUp: {
+      status: {
+        type: String,
+        enum: ['scheduled', 'sent', 'answered', 'skipped']
+      },
+      scheduledFor: Date,
+      sentAt: Date,
+      message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+      },
+      rating: {
+        type: Number,
+        min: 0,
+        max: 10
+        // 0-10 likelihood to recommend
+      },
+      comment: {
+        type: String,
+        maxlength: [1000, 'Comment cannot be more than 1000 characters']
+      },
+      answeredAt: Date,
+      skipReason: String
+    },
     reminders: [
       {
         type: {
@@ -74,11 +194,58 @@ const AppointmentSchema = new mongoose.Schema(
           default: false
         },
         messageId: String,
+        idempotencyKey: String,
         status: {
           type: String,
-          enum: ['pending', 'sent', 'delivered', 'read', 'failed'],
+          enum: ['pending', 'sent', 'delivered', 'read', 'failed', 'skipped'],
           default: 'pending'
         },
+        // Channel of the message now carrying the reminder: the reminder type,
+        // or the channel of its last fallback
+        channel: {
+          type: String,
+          enum: ['whatsapp', 'email', 'sms']
+        },
+        // Resends on other channels, in order (see the policy fallback rules)
+        fallbacks: [
+          {
+            channel: {
+              type: String,
+              enum: ['whatsapp', 'email', 'sms']
+            },
+            reason: {
+              type: String,
+              enum: ['failed', 'not_delivered']
+            },
+            previousMessageId: String,
+            messageId: String,
+            error: String,
+            createdAt: Date
+          }
+        ],
+        // No channel left to fall back to
+        fallbackExhausted: Boolean,
+        skipReason: {
+          type: String,
+          enum: ['superseded', 'appointment_started', 'condition_not_met', 'opted_out', 'channel_not_consented']
+        },
+        // Where the reminder came from (empty for the default schedule)
+        policy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ReminderPolicy'
+        },
+        rule: mongoose.Schema.Types.ObjectId,
+        offsetHours: Number,
+        template: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'MessageTemplate'
+        },
+        conditions: {
+          appointmentStatuses: [String],
+          onlyIfUnconfirmed: Boolean,
+          requiresPreparationInstructions: Boolean
+        },
+        skippedAt: Date,
         response: {
           received: {
             type: Boolean,
@@ -107,41 +274,151 @@ const AppointmentSchema = new mongoose.Schema(
     }
   },
   {
-    timestamps: true
+    timestamps: true,
+    // documentProgress is part of the API output
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
   }
 );
 
-// Create reminder objects based on appointment date
-AppointmentSchema.pre('save', function (next) {
-  // If it's a new appointment or its date was modified
-  if (this.isNew || this.isModified('date')) {
-    const appointmentDate = moment(this.date);
-    
-    // Clear existing reminders
-    this.reminders = [];
-    
-    // Create reminder 24 hours before
-    this.reminders.push({
-      type: 'whatsapp',
-      scheduledTime: moment(appointmentDate).subtract(24, 'hours').toDate(),
-      sent: false,
-      status: 'pending'
-    });
-    
-    // Create reminder 2 hours before
-    this.reminders.push({
-      type: 'whatsapp',
-      scheduledTime: moment(appointmentDate).subtract(2, 'hours').toDate(),
+// Date and time at which the appointment starts (date + startTime)
+AppointmentSchema.methods.getStartDateTime = function () {
+  const [hours, minutes] = (this.startTime || '00:00').split(':').map(Number);
+
+  return moment(this.date)
+    .startOf('day')
+    .add(hours || 0, 'hours')
+    .add(minutes || 0, 'minutes')
+    .toDate();
+};
+
+// Reminders used when no reminder policy applies
+const DEFAULT_REMINDER_RULES = [
+  { offsetHours: 24, channel: 'whatsapp' },
+  { offsetHours: 2, channel: 'whatsapp' }
+];
+
+// Whether the visit was just completed and has no survey yet
+AppointmentSchema.methods.needsFollowUp = function () {
+  return FOLLOW_UP_ENABLED && this.isModified('status') && this.status === 'completed' &&
+    !(this.followUp && this.followUp.status);
+};
+
+// Plan the satisfaction survey of a completed visit
+AppointmentSchema.methods.scheduleFollowUp = function (delayHours = FOLLOW_UP_DELAY_HOURS) {
+  this.followUp = {
+    status: 'scheduled',
+    scheduledFor: moment().add(delayHours, 'hours').toDate()
+  };
+};
+
+// Whether a change to this appointment affects its reminders
+AppointmentSchema.methods.needsReminderUpdate = function () {
+  return this.isNew || ['date', 'startTime', 'department', 'type'].some(path => this.isModified(path));
+};
+
+// Create reminder objects from a reminder policy (or the default 24h/2h schedule)
+// Kept as a method so the file repository can apply the same logic as the save hook
+AppointmentSchema.methods.prepareReminders = function (policy = null) {
+  const appointmentDate = moment(this.getStartDateTime());
+  const rules = policy ? policy.reminders : DEFAULT_REMINDER_RULES;
+
+  // A new date makes every earlier reminder irrelevant; otherwise reminders that
+  // were already sent or skipped are kept and only pending ones are recomputed
+  const reset = this.isNew || this.isModified('date') || this.isModified('startTime');
+  const kept = reset ? [] : this.reminders.filter(reminder => reminder.sent || reminder.status !== 'pending');
+
+  const handled = (rule) => kept.some(reminder => (
+    rule._id
+      ? reminder.rule && reminder.rule.toString() === rule._id.toString()
+      : reminder.offsetHours === rule.offsetHours && reminder.type === rule.channel
+  ));
+
+  const reminders = rules
+    .filter(rule => !handled(rule))
+    .map(rule => ({
+      type: rule.channel || 'whatsapp',
+      scheduledTime: moment(appointmentDate).subtract(rule.offsetHours, 'hours').toDate(),
       sent: false,
-      status: 'pending'
-    });
+      status: 'pending',
+      policy: policy ? policy._id : undefined,
+      rule: rule._id,
+      offsetHours: rule.offsetHours,
+      template: rule.template,
+      conditions: rule.conditions
+    }));
+
+  this.reminders = [...kept, ...reminders];
+};
+
+// Documents still expected from the patient (never sent, or rejected)
+AppointmentSchema.methods.getOutstandingDocuments = function () {
+  return (this.documentChecklist || []).filter(item => ['missing', 'rejected'].includes(item.status));
+};
+
+// Add checklist items for new required documents, drop those no longer required
+// and refresh the stored summary
+AppointmentSchema.methods.syncDocumentChecklist = function () {
+  const key = (name) => name.trim().toLowerCase();
+  const required = (this.documentsRequired || []).filter(name => name && name.trim());
+  const existing = this.documentChecklist || [];
+
+  this.documentChecklist = required.map(name => (
+    existing.find(item => key(item.name) === key(name)) || { name: name.trim(), status: 'missing' }
+  ));
+
+  const statuses = this.documentChecklist.map(item => item.status);
+
+  if (!statuses.length) {
+    this.documentsStatus = 'none';
+  } else if (statuses.some(status => ['missing', 'rejected'].includes(status))) {
+    this.documentsStatus = 'incomplete';
+  } else if (statuses.every(status => status === 'accepted')) {
+    this.documentsStatus = 'complete';
+  } else {
+    this.documentsStatus = 'pending_review';
   }
-  
-  next();
+};
+
+// Whether a change to this appointment affects its document checklist
+AppointmentSchema.methods.needsDocumentUpdate = function () {
+  return this.isNew || this.isModified('documentsRequired') || this.isModified('documentChecklist');
+};
+
+// How far the patient is with the required documents
+AppointmentSchema.virtual('documentProgress').get(function () {
+  const checklist = this.documentChecklist || [];
+  const count = (status) => checklist.filter(item => item.status === status).length;
+
+  return {
+    required: checklist.length,
+    missing: count('missing'),
+    received: count('received'),
+    accepted: count('accepted'),
+    rejected: count('rejected'),
+    percentComplete: checklist.length ? Math.round((count('accepted') / checklist.length) * 100) : 100
+  };
 });
 
-// Method to check if appointment times conflict with existing appointments
-AppointmentSchema.statics.checkAvailability = async function (doctorId, date, startTime, endTime, excludeAppointmentId = null) {
+AppointmentSchema.pre('save', async function () {
+  if (this.needsDocumentUpdate()) {
+    this.syncDocumentChecklist();
+  }
+
+  if (this.needsFollowUp()) {
+    this.scheduleFollowUp();
+  }
+
+  if (!this.needsReminderUpdate()) {
+    return;
+  }
+
+  const policy = await ReminderPolicy.findForAppointment(this);
+  this.prepareReminders(policy);
+});
+
+// Build the query matching appointments that conflict with the given time slot
+AppointmentSchema.statics.buildAvailabilityQuery = function (doctorId, date, startTime, endTime, excludeAppointmentId = null) {
   const appointmentDate = moment(date).startOf('day').toDate();
   const nextDay = moment(date).add(1, 'days').startOf('day').toDate();
   
@@ -177,6 +454,12 @@ AppointmentSchema.statics.checkAvailability = async function (doctorId, date, st
     query._id = { $ne: excludeAppointmentId };
   }
   
+  return query;
+};
+
+// Method to check if appointment times conflict with existing appointments
+AppointmentSchema.statics.checkAvailability = async function (doctorId, date, startTime, endTime, excludeAppointmentId = null) {
+  const query = this.buildAvailabilityQuery(doctorId, date, startTime, endTime, excludeAppointmentId);
   const conflicts = await this.find(query).select('startTime endTime');
   return conflicts.length === 0;
 };
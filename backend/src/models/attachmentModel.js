@@ -0,0 +1,61 @@
+// File: backend/models/attachmentModel.js
+// Attachment model - files received from or sent to patients, kept in the local attachment store
+
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient'
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    direction: {
+      type: String,
+      enum: ['inbound', 'outbound'],
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ['document', 'image', 'audio', 'video', 'sticker'],
+      required: true
+    },
+    filename: {
+      type: String,
+      trim: true
+    },
+    mimeType: String,
+    size: Number,
+    sha256: String,
+    storageKey: {
+      type: String
+      // Path of the file inside the attachment store
+    },
+    caption: String,
+    externalMediaId: {
+      type: String
+      // Media ID in the 1CONFIRMED system (inbound media)
+    },
+    status: {
+      type: String,
+      enum: ['stored', 'failed'],
+      default: 'stored'
+    },
+    error: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+AttachmentSchema.index({ patient: 1, createdAt: -1 });
+AttachmentSchema.index({ message: 1 });
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
@@ -0,0 +1,53 @@
+// File: backend/models/consentEventModel.js
+// Consent event model - append-only ledger of patient opt-out/opt-in changes
+
+const mongoose = require('mongoose');
+
+const ConsentEventSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['opt_out', 'opt_in'],
+      required: true
+    },
+    // 'all' is the global opt-out flag; other values are per-channel preferences
+    channel: {
+      type: String,
+      enum: ['all', 'whatsapp', 'email', 'sms'],
+      default: 'all'
+    },
+    source: {
+      type: String,
+      enum: ['inbound_keyword', 'staff', 'registration'],
+      required: true
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    },
+    keyword: String,
+    language: String,
+    // Raw inbound message text, kept as proof of the patient's request
+    rawMessage: String,
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+ConsentEventSchema.index({ patient: 1, occurredAt: -1 });
+
+module.exports = mongoose.model('ConsentEvent', ConsentEventSchema);
@@ -0,0 +1,78 @@
+// File: backend/models/conversationModel.js
+// Conversation model - where each patient is in a WhatsApp exchange and what reply is expected
+
+const mongoose = require('mongoose');
+
+const ConversationSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true
+    },
+    channel: {
+      type: String,
+      enum: ['whatsapp', 'sms', 'email'],
+      default: 'whatsapp'
+    },
+    flow: {
+      type: String,
+      enum: ['none', 'appointment_reply', 'reschedule', 'questionnaire', 'follow_up'],
+      default: 'none'
+    },
+    state: {
+      type: String,
+      enum: ['idle', 'awaiting_appointment_reply', 'choosing_slot', 'confirming_slot', 'answering_questionnaire', 'awaiting_rating', 'awaiting_feedback_comment'],
+      default: 'idle'
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null
+    },
+    expectedInput: {
+      type: [String],
+      default: []
+      // Answers the current state accepts (e.g. confirm, cancel, reschedule)
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+      // Step data, e.g. the slot hold being confirmed
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    lastOutboundMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    lastInboundMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    endedReason: {
+      type: String,
+      enum: ['completed', 'expired', 'replaced', 'opted_out']
+    },
+    transitionedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One conversation per patient and channel
+ConversationSchema.index({ patient: 1, channel: 1 }, { unique: true });
+ConversationSchema.index({ appointment: 1 });
+
+// Whether the conversation is waiting for a reply that has not timed out
+ConversationSchema.methods.isActive = function(now = new Date()) {
+  return this.state !== 'idle' && (!this.expiresAt || this.expiresAt > now);
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -22,6 +22,15 @@ const DepartmentSchema = new mongoose.Schema(
       floor: String,
       roomNumberPrefix: String
     },
+    address: {
+      type: String,
+      trim: true
+    },
+    coordinates: {
+      // Used for the location pin sent to patients
+      latitude: Number,
+      longitude: Number
+    },
     contactNumber: {
       type: String
     },
@@ -0,0 +1,99 @@
+// File: backend/models/inboxThreadModel.js
+// Inbox thread model - groups a patient's messages for the staff inbox
+
+const mongoose = require('mongoose');
+
+const ReadReceiptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const NoteSchema = new mongoose.Schema(
+  {
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    text: {
+      type: String,
+      required: [true, 'Please add the note text'],
+      trim: true,
+      maxlength: [2000, 'Note cannot be more than 2000 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const InboxThreadSchema = new mongoose.Schema(
+  {
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+      unique: true
+    },
+    status: {
+      type: String,
+      enum: ['open', 'snoozed', 'closed'],
+      default: 'open'
+    },
+    snoozedUntil: Date,
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    assignedDepartment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      default: null
+    },
+    lastMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    lastMessageAt: Date,
+    lastInboundAt: Date,
+    preview: String,
+    readBy: {
+      type: [ReadReceiptSchema],
+      default: []
+      // Staff who have read the thread since the patient last wrote
+    },
+    notes: [NoteSchema],
+    closedAt: Date,
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+InboxThreadSchema.index({ status: 1, lastMessageAt: -1 });
+InboxThreadSchema.index({ assignedTo: 1, status: 1 });
+InboxThreadSchema.index({ assignedDepartment: 1, status: 1 });
+InboxThreadSchema.index({ status: 1, snoozedUntil: 1 });
+
+// Whether a staff user has unread patient messages in the thread
+InboxThreadSchema.methods.isUnreadBy = function (userId) {
+  return Boolean(this.lastInboundAt) &&
+    !this.readBy.some(receipt => receipt.user.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('InboxThread', InboxThreadSchema);
@@ -0,0 +1,28 @@
+// File: backend/models/jobLockModel.js
+// Job lock model - a time-limited lease so only one instance runs a job at a time
+
+const mongoose = require('mongoose');
+
+const JobLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    owner: {
+      type: String,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      required: true
+    },
+    acquiredAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('JobLock', JobLockSchema);
@@ -0,0 +1,51 @@
+// File: backend/models/jobRunModel.js
+// Job run model - history of scheduled and manually triggered job executions
+
+const mongoose = require('mongoose');
+
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 30;
+
+const JobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      default: 'schedule'
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    owner: String,
+    status: {
+      type: String,
+      enum: ['succeeded', 'failed'],
+      required: true
+    },
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    finishedAt: Date,
+    durationMs: Number,
+    counts: {
+      type: Map,
+      of: Number
+    },
+    details: [mongoose.Schema.Types.Mixed],
+    error: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+// Keep run history bounded
+JobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
@@ -8,7 +8,10 @@ const MessageSchema = new mongoose.Schema(
     patient: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Patient',
-      required: true
+      // Test sends go to a staff member, not to a patient
+      required: function () {
+        return !this.isTest;
+      }
     },
     appointment: {
       type: mongoose.Schema.Types.ObjectId,
@@ -42,12 +45,71 @@ const MessageSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['queued', 'sent', 'delivered', 'read', 'failed'],
+      enum: ['queued', 'sent', 'delivered', 'read', 'failed', 'dead_letter', 'discarded'],
       default: 'queued'
     },
     statusDetails: {
       type: String
     },
+    recipient: {
+      type: String
+      // Phone number (or email address) the message is addressed to
+    },
+    // Test send of a template preview: kept out of patient history and analytics
+    isTest: {
+      type: Boolean,
+      default: false
+    },
+    // SMS only: how the text is encoded and how many parts it is billed as
+    sms: {
+      encoding: {
+        type: String,
+        enum: ['GSM-7', 'UCS-2']
+      },
+      segments: Number,
+      characters: Number
+    },
+    // Reminder resent on another channel: the attempt this one replaced, and
+    // the attempt that replaced this one
+    fallback: {
+      previous: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+      },
+      next: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+      },
+      reason: {
+        type: String,
+        enum: ['failed', 'not_delivered']
+      }
+    },
+    // Email only
+    email: {
+      subject: String,
+      attachments: [String]
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed
+      // Request body sent to the provider, kept so the queue can retry it
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    lastError: String,
+    errorType: {
+      type: String,
+      enum: ['retryable', 'permanent']
+    },
+    deadLetteredAt: Date,
+    idempotencyKey: {
+      type: String
+      // Set for messages that must be sent at most once (e.g. a specific reminder)
+    },
     sentAt: Date,
     deliveredAt: Date,
     readAt: Date,
@@ -61,6 +123,48 @@ const MessageSchema = new mongoose.Schema(
       enum: ['confirm', 'reschedule', 'cancel', 'other', 'none'],
       default: 'none'
     },
+    // Inbound free-text replies: what the intent classifier made of them
+    intent: {
+      name: {
+        type: String,
+        enum: ['confirm', 'cancel', 'reschedule', 'opt_out', 'decline', 'question', 'unknown']
+      },
+      confidence: Number,
+      language: String,
+      matched: [String]
+    },
+    // Replies the system did not act on are reviewed by staff
+    review: {
+      status: {
+        type: String,
+        enum: ['pending', 'applied', 'dismissed']
+      },
+      action: String,
+      note: String,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date
+    },
+    attachments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attachment'
+      }
+    ],
+    location: {
+      // Location pin sent or received
+      latitude: Number,
+      longitude: Number,
+      name: String,
+      address: String
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+      // Staff member who wrote an outbound message by hand
+    },
     metadata: {
       type: Map,
       of: mongoose.Schema.Types.Mixed
@@ -71,5 +175,11 @@ const MessageSchema = new mongoose.Schema(
   }
 );
 
+// Queue worker picks due messages in order
+MessageSchema.index({ status: 1, nextAttemptAt: 1 });
+MessageSchema.index({ externalMessageId: 1 });
+MessageSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+MessageSchema.index({ 'review.status': 1, createdAt: -1 });
+
 module.exports = mongoose.model('Message', MessageSchema);
 
@@ -2,6 +2,7 @@
 // Message Template model for WhatsApp message templates
 
 const mongoose = require('mongoose');
+const { NAME_PATTERN, getPlaceholders } = require('../utils/templateRenderer');
 
 const MessageTemplateSchema = new mongoose.Schema(
   {
@@ -26,7 +27,8 @@ const MessageTemplateSchema = new mongoose.Schema(
       {
         name: {
           type: String,
-          required: true
+          required: true,
+          match: [NAME_PATTERN, 'Variable names can only contain letters, digits and underscores']
         },
         description: String,
         required: {
@@ -54,5 +56,31 @@ const MessageTemplateSchema = new mongoose.Schema(
   }
 );
 
+// Content must parse (see utils/templateRenderer) and every placeholder in it
+// must be a declared variable
+MessageTemplateSchema.pre('validate', function () {
+  const names = (this.variables || []).map(variable => variable.name);
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+
+  if (duplicates.length) {
+    this.invalidate('variables', `Variables declared more than once: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  let placeholders;
+
+  try {
+    placeholders = getPlaceholders(this.content);
+  } catch (error) {
+    this.invalidate('content', error.message);
+    return;
+  }
+
+  const undeclared = placeholders.filter(name => !names.includes(name));
+
+  if (undeclared.length) {
+    this.invalidate('content', `Placeholders not declared in variables: ${undeclared.join(', ')}`);
+  }
+});
+
 module.exports = mongoose.model('MessageTemplate', MessageTemplateSchema);
 
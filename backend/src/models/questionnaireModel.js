@@ -0,0 +1,153 @@
+// File: backend/models/questionnaireModel.js
+// Questionnaire model - pre-visit questions sent over WhatsApp, per department and/or type
+
+const mongoose = require('mongoose');
+
+// Question keys and option ids end up in signed reply ids, which providers may lowercase
+const ID_PATTERN = /^[a-z0-9_-]{1,20}$/;
+
+const QuestionOptionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Please add an option id'],
+    lowercase: true,
+    trim: true,
+    match: [ID_PATTERN, 'Option ids can only contain letters, digits, - and _ (20 characters max)']
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add an option title'],
+    trim: true,
+    maxlength: [24, 'Option title cannot be more than 24 characters']
+  },
+  redFlag: {
+    type: Boolean,
+    default: false
+    // Choosing this option alerts the doctor
+  }
+}, { _id: false });
+
+const QuestionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Please add a question key'],
+    lowercase: true,
+    trim: true,
+    match: [ID_PATTERN, 'Question keys can only contain letters, digits, - and _ (20 characters max)']
+    // Name the answer is stored under, e.g. fever or last_meal
+  },
+  text: {
+    type: String,
+    required: [true, 'Please add the question text'],
+    maxlength: [1024, 'Question text cannot be more than 1024 characters']
+  },
+  answerType: {
+    type: String,
+    enum: ['buttons', 'list', 'text'],
+    default: 'buttons'
+  },
+  options: [QuestionOptionSchema],
+  redFlagKeywords: {
+    type: [String],
+    default: []
+    // Free-text answers containing one of these words alert the doctor
+  }
+}, { _id: false });
+
+const QuestionnaireSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a questionnaire name'],
+      trim: true,
+      maxlength: [100, 'Questionnaire name cannot be more than 100 characters']
+    },
+    description: String,
+    introduction: {
+      type: String,
+      maxlength: [1024, 'Introduction cannot be more than 1024 characters']
+      // Sent before the first question
+    },
+    // Leave department and/or appointmentType empty to match any value
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      default: null
+    },
+    appointmentType: {
+      type: String,
+      enum: ['consultation', 'follow-up', 'procedure', 'test', 'vaccination', 'other', null],
+      default: null
+    },
+    sendBeforeHours: {
+      type: Number,
+      default: 48,
+      min: [1, 'Questionnaire must be sent at least 1 hour before the appointment']
+    },
+    questions: [QuestionSchema],
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One questionnaire per department/type combination
+QuestionnaireSchema.index({ department: 1, appointmentType: 1 }, { unique: true });
+
+// WhatsApp allows 3 reply buttons and 10 list rows
+const OPTION_LIMITS = { buttons: 3, list: 10, text: 0 };
+
+QuestionnaireSchema.pre('validate', function () {
+  if (!this.questions.length) {
+    this.invalidate('questions', 'Please add at least one question');
+  }
+
+  const keys = new Set();
+
+  this.questions.forEach((question, index) => {
+    if (keys.has(question.key)) {
+      this.invalidate(`questions.${index}.key`, `Question key ${question.key} is used more than once`);
+    }
+    keys.add(question.key);
+
+    const limit = OPTION_LIMITS[question.answerType];
+
+    if (question.answerType !== 'text' && (question.options.length < 2 || question.options.length > limit)) {
+      this.invalidate(`questions.${index}.options`, `A ${question.answerType} question needs between 2 and ${limit} options`);
+    }
+
+    if (question.answerType === 'buttons' && question.options.some(option => option.title.length > 20)) {
+      this.invalidate(`questions.${index}.options`, 'Button titles cannot be more than 20 characters');
+    }
+
+    if (new Set(question.options.map(option => option.id)).size !== question.options.length) {
+      this.invalidate(`questions.${index}.options`, 'Option ids must be unique within a question');
+    }
+  });
+});
+
+// Find the most specific active questionnaire for an appointment:
+// department + type, then type only, then department only, then the catch-all questionnaire
+QuestionnaireSchema.statics.findForAppointment = async function (appointment) {
+  const department = appointment.department && (appointment.department._id || appointment.department);
+
+  const questionnaires = await this.find({
+    isActive: true,
+    department: { $in: [department, null] },
+    appointmentType: { $in: [appointment.type, null] }
+  });
+
+  const specificity = questionnaire => (questionnaire.appointmentType ? 2 : 0) + (questionnaire.department ? 1 : 0);
+
+  return questionnaires.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+module.exports = mongoose.model('Questionnaire', QuestionnaireSchema);
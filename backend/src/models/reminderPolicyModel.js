@@ -0,0 +1,142 @@
+// File: backend/models/reminderPolicyModel.js
+// Reminder policy model - which reminders an appointment gets, per department and/or type
+
+const mongoose = require('mongoose');
+
+const ReminderRuleSchema = new mongoose.Schema({
+  name: String,
+  offsetHours: {
+    type: Number,
+    required: [true, 'Please add how many hours before the appointment to remind'],
+    min: [0, 'Reminder offset cannot be negative']
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'email', 'sms'],
+    default: 'whatsapp'
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MessageTemplate'
+  },
+  // Checked when the reminder is due; a reminder whose conditions fail is skipped
+  conditions: {
+    appointmentStatuses: [
+      {
+        type: String,
+        enum: ['scheduled', 'confirmed', 'rescheduled']
+      }
+    ],
+    onlyIfUnconfirmed: {
+      type: Boolean,
+      default: false
+    },
+    requiresPreparationInstructions: {
+      type: Boolean,
+      default: false
+    }
+  }
+});
+
+// What to do when a reminder does not reach the patient on its channel: send it
+// again on the first of `channels` the patient accepts, then the next one, ...
+const FallbackRuleSchema = new mongoose.Schema({
+  // Reminders (or earlier fallbacks) sent on this channel
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'email', 'sms'],
+    default: 'whatsapp'
+  },
+  onFailure: {
+    type: Boolean,
+    default: true
+  },
+  // Also fall back when the message is not delivered within this time (null: never)
+  deliveryTimeoutMinutes: {
+    type: Number,
+    min: [1, 'Delivery timeout must be at least 1 minute'],
+    default: 30
+  },
+  channels: {
+    type: [
+      {
+        type: String,
+        enum: ['whatsapp', 'email', 'sms']
+      }
+    ],
+    default: ['sms', 'email']
+  }
+});
+
+const ReminderPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a policy name'],
+      trim: true,
+      maxlength: [100, 'Policy name cannot be more than 100 characters']
+    },
+    description: String,
+    // Leave department and/or appointmentType empty to match any value
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      default: null
+    },
+    appointmentType: {
+      type: String,
+      enum: ['consultation', 'follow-up', 'procedure', 'test', 'vaccination', 'other', null],
+      default: null
+    },
+    reminders: [ReminderRuleSchema],
+    fallbacks: [FallbackRuleSchema],
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A fallback must go to another channel, and a channel has one fallback rule
+ReminderPolicySchema.pre('validate', function () {
+  const seen = new Set();
+
+  (this.fallbacks || []).forEach((rule, index) => {
+    if (!rule.channels.length || rule.channels.includes(rule.channel)) {
+      this.invalidate(`fallbacks.${index}.channels`, `Fallback for ${rule.channel} reminders needs at least one other channel`);
+    }
+
+    if (seen.has(rule.channel)) {
+      this.invalidate(`fallbacks.${index}.channel`, `Only one fallback rule can apply to ${rule.channel} reminders`);
+    }
+    seen.add(rule.channel);
+  });
+});
+
+// One policy per department/type combination
+ReminderPolicySchema.index({ department: 1, appointmentType: 1 }, { unique: true });
+
+// Find the most specific active policy for an appointment:
+// department + type, then type only, then department only, then the catch-all policy
+ReminderPolicySchema.statics.findForAppointment = async function (appointment) {
+  const department = appointment.department && (appointment.department._id || appointment.department);
+
+  const policies = await this.find({
+    isActive: true,
+    department: { $in: [department, null] },
+    appointmentType: { $in: [appointment.type, null] }
+  });
+
+  const specificity = policy => (policy.appointmentType ? 2 : 0) + (policy.department ? 1 : 0);
+
+  return policies.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+module.exports = mongoose.model('ReminderPolicy', ReminderPolicySchema);
@@ -0,0 +1,50 @@
+// File: backend/models/slotHoldModel.js
+// Slot hold model - keeps a doctor's slot aside while a patient confirms a reschedule
+
+const mongoose = require('mongoose');
+
+const SlotHoldSchema = new mongoose.Schema(
+  {
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      required: true
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      required: true
+    },
+    patient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true
+    },
+    date: {
+      type: Date,
+      required: true
+    },
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A slot can only be held once at a time
+SlotHoldSchema.index({ doctor: 1, date: 1, startTime: 1 }, { unique: true });
+// Let MongoDB drop holds once they expire
+SlotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotHold', SlotHoldSchema);
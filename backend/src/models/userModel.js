@@ -38,6 +38,12 @@ const UserSchema = new mongoose.Schema(
       ref: 'Department',
       required: false
     },
+    // WhatsApp number that receives template test sends
+    phoneNumber: {
+      type: String,
+      trim: true,
+      match: [/^\+?[0-9\s]{7,20}$/, 'Please add a valid phone number']
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date
   },
@@ -46,14 +52,19 @@ const UserSchema = new mongoose.Schema(
   }
 );
 
+// Hash a plain text password
+UserSchema.statics.hashPassword = async function (password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
 // Encrypt password using bcrypt
-UserSchema.pre('save', async function (next) {
+UserSchema.pre('save', async function () {
   if (!this.isModified('password')) {
-    next();
+    return;
   }
 
-  const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(this.password, salt);
+  this.password = await this.constructor.hashPassword(this.password);
 });
 
 // Sign JWT and return
@@ -0,0 +1,31 @@
+// File: backend/models/webhookEventModel.js
+// Webhook event model used to detect replayed or duplicate provider callbacks
+
+const mongoose = require('mongoose');
+
+const WebhookEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    source: {
+      type: String,
+      default: 'whatsapp'
+    },
+    signedAt: Date,
+    expireAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Let MongoDB drop processed event ids once they can no longer be replayed
+WebhookEventSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -0,0 +1,60 @@
+// File: backend/repositories/appointmentRepository.js
+// Appointment repository definition
+
+const moment = require('moment');
+const Appointment = require('../models/appointmentModel');
+
+// Older JSON records stored a single `time` instead of startTime/endTime
+const normalize = (record) => {
+  if (record.time && !record.startTime) {
+    const start = moment(record.time, ['HH:mm', 'h:mm A'], true);
+
+    if (start.isValid()) {
+      record.startTime = start.format('HH:mm');
+      record.endTime = record.endTime || start.add(30, 'minutes').format('HH:mm');
+    } else {
+      record.startTime = record.time;
+    }
+  }
+  delete record.time;
+  delete record.phone;
+
+  return record;
+};
+
+// Mirror of the pre('save') hook
+// Reminder policies are stored in MongoDB only, so file storage uses the default schedule
+const beforeSave = async (doc) => {
+  if (doc.needsDocumentUpdate()) {
+    doc.syncDocumentChecklist();
+  }
+
+  if (doc.needsFollowUp()) {
+    doc.scheduleFollowUp();
+  }
+
+  if (doc.needsReminderUpdate()) {
+    doc.prepareReminders();
+  }
+};
+
+const methods = {
+  /**
+   * Check that a doctor has no conflicting appointment in the given slot
+   * @returns {Promise<boolean>} - True if the slot is free
+   */
+  async checkAvailability(doctorId, date, startTime, endTime, excludeAppointmentId = null) {
+    const conflicts = await this.count(
+      Appointment.buildAvailabilityQuery(doctorId, date, startTime, endTime, excludeAppointmentId)
+    );
+    return conflicts === 0;
+  }
+};
+
+module.exports = {
+  Model: Appointment,
+  collection: 'appointments',
+  normalize,
+  beforeSave,
+  methods
+};
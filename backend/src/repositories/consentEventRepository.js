@@ -0,0 +1,9 @@
+// File: backend/repositories/consentEventRepository.js
+// Consent event repository definition
+
+const ConsentEvent = require('../models/consentEventModel');
+
+module.exports = {
+  Model: ConsentEvent,
+  collection: 'consentEvents'
+};
@@ -0,0 +1,9 @@
+// File: backend/repositories/departmentRepository.js
+// Department repository definition
+
+const Department = require('../models/departmentModel');
+
+module.exports = {
+  Model: Department,
+  collection: 'departments'
+};
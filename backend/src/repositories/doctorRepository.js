@@ -0,0 +1,20 @@
+// File: backend/repositories/doctorRepository.js
+// Doctor repository definition
+
+const Doctor = require('../models/doctorModel');
+
+// Older JSON records stored the contact number as `phone`
+const normalize = (record) => {
+  if (record.phone && !record.contactNumber) {
+    record.contactNumber = record.phone;
+  }
+  delete record.phone;
+
+  return record;
+};
+
+module.exports = {
+  Model: Doctor,
+  collection: 'doctors',
+  normalize
+};
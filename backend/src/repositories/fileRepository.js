@@ -0,0 +1,478 @@
+// File: backend/repositories/fileRepository.js
+// Repository backed by the JSON DataStore (development mode)
+//
+// Records are validated with the same Mongoose schema as the MongoDB repository
+// and returned in the same plain object shape, so controllers cannot tell the
+// two stores apart. Filters support the subset of MongoDB query operators the
+// controllers use.
+
+const mongoose = require('mongoose');
+const { withoutUndefined } = require('./mongooseRepository');
+
+const isOperatorObject = (value) => {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    !(value instanceof mongoose.Types.ObjectId) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key.startsWith('$'));
+};
+
+// Reduce a value to something that can be compared with === and < / >
+const comparable = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  if (value && typeof value === 'object' && value._id) {
+    // Populated reference
+    return comparable(value._id);
+  }
+  return value;
+};
+
+// Collect every value found at a dotted path, descending into arrays like MongoDB does
+const getPathValues = (value, segments) => {
+  if (Array.isArray(value)) {
+    return value.length > 0
+      ? value.flatMap(item => getPathValues(item, segments))
+      : [undefined];
+  }
+  if (segments.length === 0) {
+    return [value];
+  }
+  if (value === null || value === undefined) {
+    return [undefined];
+  }
+  return getPathValues(value[segments[0]], segments.slice(1));
+};
+
+const isPresent = (value) => value !== undefined && value !== null;
+
+const matchesOperator = (values, operator, operand) => {
+  const candidates = values.map(comparable);
+
+  switch (operator) {
+    case '$eq':
+      return candidates.some(value => value === comparable(operand));
+    case '$ne':
+      return !candidates.some(value => value === comparable(operand));
+    case '$gt':
+      return candidates.some(value => isPresent(value) && value > comparable(operand));
+    case '$gte':
+      return candidates.some(value => isPresent(value) && value >= comparable(operand));
+    case '$lt':
+      return candidates.some(value => isPresent(value) && value < comparable(operand));
+    case '$lte':
+      return candidates.some(value => isPresent(value) && value <= comparable(operand));
+    case '$in':
+      return candidates.some(value => operand.map(comparable).includes(isPresent(value) ? value : null));
+    case '$nin':
+      return !candidates.some(value => operand.map(comparable).includes(isPresent(value) ? value : null));
+    case '$exists':
+      return candidates.some(isPresent) === Boolean(operand);
+    case '$options':
+      return true;
+    default:
+      throw new Error(`Unsupported query operator in file storage: ${operator}`);
+  }
+};
+
+const matchesCondition = (values, condition) => {
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$regex') {
+        const regex = new RegExp(operand, condition.$options || '');
+        return values.some(value => typeof value === 'string' && regex.test(value));
+      }
+      return matchesOperator(values, operator, operand);
+    });
+  }
+
+  if (condition instanceof RegExp) {
+    return values.some(value => typeof value === 'string' && condition.test(value));
+  }
+
+  if (!isPresent(condition)) {
+    return values.every(value => !isPresent(value));
+  }
+
+  return values.some(value => comparable(value) === comparable(condition));
+};
+
+const matchesFilter = (record, filter) => {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(subFilter => matchesFilter(record, subFilter));
+    }
+    if (key === '$and') {
+      return condition.every(subFilter => matchesFilter(record, subFilter));
+    }
+    return matchesCondition(getPathValues(record, key.split('.')), condition);
+  });
+};
+
+// Parse a Mongoose style sort ('name -date' or { name: 1, date: -1 })
+const parseSort = (sort) => {
+  if (typeof sort === 'string') {
+    return sort.split(/[\s,]+/).filter(Boolean).map(field => (
+      field.startsWith('-')
+        ? { path: field.slice(1), direction: -1 }
+        : { path: field, direction: 1 }
+    ));
+  }
+  return Object.entries(sort).map(([path, direction]) => ({
+    path,
+    direction: direction === -1 || direction === 'desc' ? -1 : 1
+  }));
+};
+
+const compareBy = (fields) => (a, b) => {
+  for (const { path, direction } of fields) {
+    const left = comparable(getPathValues(a, path.split('.'))[0]);
+    const right = comparable(getPathValues(b, path.split('.'))[0]);
+
+    if (left === right) {
+      continue;
+    }
+    if (!isPresent(left)) {
+      return 1;
+    }
+    if (!isPresent(right)) {
+      return -1;
+    }
+    return (left < right ? -1 : 1) * direction;
+  }
+  return 0;
+};
+
+// Normalize populate options to an array of { path, select, populate }
+const parsePopulate = (populate) => {
+  if (!populate) {
+    return [];
+  }
+  if (Array.isArray(populate)) {
+    return populate.flatMap(parsePopulate);
+  }
+  if (typeof populate === 'string') {
+    return populate.split(/\s+/).filter(Boolean).map(path => ({ path }));
+  }
+  return [populate];
+};
+
+// Numeric ids from older JSON files are mapped onto stable ObjectId strings
+const toObjectIdString = (id) => {
+  const value = String(id);
+
+  if (mongoose.Types.ObjectId.isValid(value) && /^[0-9a-f]{24}$/i.test(value)) {
+    return value.toLowerCase();
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10).toString(16).padStart(24, '0');
+  }
+  return value;
+};
+
+class FileRepository {
+  /**
+   * @param {Object} Model - Mongoose model providing the schema
+   * @param {Object} options - Repository options
+   * @param {Object} options.store - DataStore instance
+   * @param {string} options.collection - DataStore collection name
+   * @param {Function} options.resolveRepository - Look up the repository for a model name
+   * @param {Function} [options.normalize] - Map legacy record fields onto the schema
+   * @param {Function} [options.beforeSave] - Mirror of the schema's pre('save') logic
+   */
+  constructor(Model, { store, collection, resolveRepository, normalize, beforeSave }) {
+    this.Model = Model;
+    this.store = store;
+    this.collection = collection;
+    this.resolveRepository = resolveRepository;
+    this.normalize = normalize || (record => record);
+    this.beforeSave = beforeSave || (async () => {});
+
+    this.hiddenPaths = [];
+    this.uniquePaths = [];
+
+    Model.schema.eachPath((path, schemaType) => {
+      if (schemaType.options.select === false) {
+        this.hiddenPaths.push(path);
+      }
+      if (schemaType.options.unique) {
+        this.uniquePaths.push(path);
+      }
+    });
+  }
+
+  records() {
+    return this.store.getCollection(this.collection).map(record => {
+      const normalized = this.normalize({ ...record });
+
+      if (!normalized._id && normalized.id !== undefined) {
+        normalized._id = normalized.id;
+      }
+      normalized._id = toObjectIdString(normalized._id);
+      delete normalized.id;
+
+      return normalized;
+    });
+  }
+
+  // Cast filter values with the schema so '2025-01-01' compares as a Date, etc.
+  castFilter(filter) {
+    const cast = {};
+
+    Object.entries(filter).forEach(([key, condition]) => {
+      if (key === '$or' || key === '$and') {
+        cast[key] = condition.map(subFilter => this.castFilter(subFilter));
+        return;
+      }
+
+      let schemaType = this.Model.schema.path(key);
+      if (schemaType && schemaType.instance === 'Array' && schemaType.caster) {
+        schemaType = schemaType.caster;
+      }
+
+      const castValue = (value) => {
+        if (!schemaType || typeof schemaType.cast !== 'function' || value === null || value instanceof RegExp) {
+          return value;
+        }
+        try {
+          return schemaType.cast(value);
+        } catch (error) {
+          return value;
+        }
+      };
+
+      if (isOperatorObject(condition)) {
+        cast[key] = {};
+        Object.entries(condition).forEach(([operator, operand]) => {
+          if (operator === '$in' || operator === '$nin') {
+            cast[key][operator] = [].concat(operand).map(castValue);
+          } else if (['$exists', '$regex', '$options'].includes(operator)) {
+            cast[key][operator] = operand;
+          } else {
+            cast[key][operator] = castValue(operand);
+          }
+        });
+      } else {
+        cast[key] = castValue(condition);
+      }
+    });
+
+    return cast;
+  }
+
+  toObject(record) {
+    return this.Model.hydrate(record).toObject({ virtuals: true, versionKey: false });
+  }
+
+  toRecord(doc) {
+    return JSON.parse(JSON.stringify(
+      doc.toObject({ depopulate: true, versionKey: false, flattenMaps: true })
+    ));
+  }
+
+  applySelect(object, select) {
+    const fields = typeof select === 'string'
+      ? select.split(/[\s,]+/).filter(Boolean)
+      : [];
+    const forced = fields.filter(field => field.startsWith('+')).map(field => field.slice(1));
+    const excluded = fields.filter(field => field.startsWith('-')).map(field => field.slice(1));
+    const included = fields.filter(field => !field.startsWith('+') && !field.startsWith('-'));
+
+    this.hiddenPaths
+      .filter(path => !forced.includes(path) && !included.includes(path))
+      .forEach(path => delete object[path]);
+
+    excluded.forEach(path => delete object[path]);
+
+    if (included.length > 0) {
+      const keep = ['_id', 'id', ...included, ...forced].map(path => path.split('.')[0]);
+      Object.keys(object).forEach(key => {
+        if (!keep.includes(key)) {
+          delete object[key];
+        }
+      });
+    }
+
+    return object;
+  }
+
+  async populatePath(object, { path, select, populate }) {
+    const virtual = this.Model.schema.virtuals[path];
+
+    if (virtual && virtual.options && virtual.options.ref) {
+      const { ref, localField, foreignField, match, options = {} } = virtual.options;
+      object[path] = await this.resolveRepository(ref).find(
+        { ...(match || {}), [foreignField]: object[localField] },
+        { sort: options.sort, select, populate }
+      );
+      return;
+    }
+
+    const schemaType = this.Model.schema.path(path);
+
+    if (!schemaType) {
+      return;
+    }
+
+    const ref = schemaType.options.ref ||
+      (schemaType.caster && schemaType.caster.options && schemaType.caster.options.ref);
+
+    if (!ref || !isPresent(object[path])) {
+      return;
+    }
+
+    const repository = this.resolveRepository(ref);
+
+    if (Array.isArray(object[path])) {
+      const populated = await Promise.all(
+        object[path].map(id => repository.findById(id, { select, populate }))
+      );
+      object[path] = populated.filter(Boolean);
+    } else {
+      object[path] = await repository.findById(object[path], { select, populate });
+    }
+  }
+
+  async output(record, { select, populate } = {}) {
+    const object = this.applySelect(this.toObject(record), select);
+
+    for (const spec of parsePopulate(populate)) {
+      await this.populatePath(object, spec);
+    }
+
+    return object;
+  }
+
+  checkUnique(record) {
+    const others = this.records().filter(item => item._id !== record._id);
+
+    this.uniquePaths.forEach(path => {
+      const value = comparable(getPathValues(record, path.split('.'))[0]);
+
+      if (!isPresent(value) || path === '_id') {
+        return;
+      }
+
+      const duplicate = others.some(item => (
+        comparable(getPathValues(item, path.split('.'))[0]) === value
+      ));
+
+      if (duplicate) {
+        // Same shape as a MongoDB duplicate key error so the error handler treats it alike
+        const error = new Error(`E11000 duplicate key error collection: ${this.collection} index: ${path}`);
+        error.code = 11000;
+        error.keyValue = { [path]: value };
+        throw error;
+      }
+    });
+  }
+
+  write(records) {
+    this.store.setCollection(this.collection, records);
+  }
+
+  async find(filter = {}, { select, sort, skip, limit, populate } = {}) {
+    const castFilter = this.castFilter(filter);
+    let records = this.records().filter(record => matchesFilter(this.toObject(record), castFilter));
+
+    if (sort) {
+      records = records
+        .map(record => ({ record, object: this.toObject(record) }))
+        .sort((a, b) => compareBy(parseSort(sort))(a.object, b.object))
+        .map(item => item.record);
+    }
+
+    const start = skip || 0;
+    records = records.slice(start, limit ? start + limit : undefined);
+
+    return Promise.all(records.map(record => this.output(record, { select, populate })));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [record] = await this.find(filter, { ...options, limit: 1 });
+    return record || null;
+  }
+
+  async findById(id, options = {}) {
+    if (!isPresent(id)) {
+      return null;
+    }
+
+    const record = this.records().find(item => item._id === toObjectIdString(comparable(id)));
+    return record ? this.output(record, options) : null;
+  }
+
+  async count(filter = {}) {
+    const castFilter = this.castFilter(filter);
+    return this.records().filter(record => matchesFilter(this.toObject(record), castFilter)).length;
+  }
+
+  async create(data) {
+    const doc = new this.Model(data);
+
+    await this.beforeSave(doc);
+    await doc.validate();
+
+    const record = this.toRecord(doc);
+
+    if (this.Model.schema.options.timestamps) {
+      record.createdAt = record.updatedAt = new Date().toISOString();
+    }
+
+    this.checkUnique(record);
+    this.write([...this.records(), record]);
+
+    return this.output(record);
+  }
+
+  async updateById(id, data) {
+    const records = this.records();
+    const index = records.findIndex(item => item._id === toObjectIdString(comparable(id)));
+
+    if (index === -1) {
+      return null;
+    }
+
+    const doc = this.Model.hydrate(records[index]);
+    doc.set(withoutUndefined(data));
+
+    await this.beforeSave(doc);
+    await doc.validate();
+
+    const record = this.toRecord(doc);
+
+    if (this.Model.schema.options.timestamps) {
+      record.createdAt = records[index].createdAt;
+      record.updatedAt = new Date().toISOString();
+    }
+
+    this.checkUnique(record);
+    records[index] = record;
+    this.write(records);
+
+    return this.output(record);
+  }
+
+  async deleteById(id) {
+    const records = this.records();
+    const index = records.findIndex(item => item._id === toObjectIdString(comparable(id)));
+
+    if (index === -1) {
+      return null;
+    }
+
+    const [deleted] = records.splice(index, 1);
+    this.write(records);
+
+    return this.output(deleted);
+  }
+}
+
+module.exports = { FileRepository, toObjectIdString };
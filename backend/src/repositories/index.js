@@ -0,0 +1,72 @@
+// File: backend/repositories/index.js
+// Storage repositories - one per entity, backed by MongoDB or the JSON DataStore
+//
+// Controllers use `repositories.patients.find(...)` and never talk to a store
+// directly. initializeRepositories() is called once the storage driver is known.
+
+const { MongooseRepository } = require('./mongooseRepository');
+const { FileRepository } = require('./fileRepository');
+
+const definitions = {
+  users: require('./userRepository'),
+  patients: require('./patientRepository'),
+  doctors: require('./doctorRepository'),
+  departments: require('./departmentRepository'),
+  appointments: require('./appointmentRepository'),
+  templates: require('./templateRepository'),
+  messages: require('./messageRepository'),
+  consentEvents: require('./consentEventRepository'),
+  slotHolds: require('./slotHoldRepository')
+};
+
+const repositories = {};
+
+// Find the repository for a Mongoose model name (used to populate references)
+const resolveRepository = (modelName) => {
+  const name = Object.keys(definitions).find(
+    key => definitions[key].Model.modelName === modelName
+  );
+
+  if (!name) {
+    throw new Error(`No repository registered for model ${modelName}`);
+  }
+
+  return repositories[name];
+};
+
+/**
+ * Create the repositories for the active storage driver
+ * @param {string} driver - 'mongodb' or 'file'
+ */
+const initializeRepositories = (driver) => {
+  const store = driver === 'file' ? require('../utils/data') : null;
+
+  Object.entries(definitions).forEach(([name, definition]) => {
+    const repository = driver === 'file'
+      ? new FileRepository(definition.Model, {
+        store,
+        collection: definition.collection,
+        normalize: definition.normalize,
+        beforeSave: definition.beforeSave,
+        resolveRepository
+      })
+      : new MongooseRepository(definition.Model);
+
+    Object.assign(repository, definition.methods);
+    repositories[name] = repository;
+  });
+};
+
+module.exports = { initializeRepositories };
+
+Object.keys(definitions).forEach(name => {
+  Object.defineProperty(module.exports, name, {
+    enumerable: true,
+    get: () => {
+      if (!repositories[name]) {
+        throw new Error('Repositories have not been initialized');
+      }
+      return repositories[name];
+    }
+  });
+});
@@ -0,0 +1,9 @@
+// File: backend/repositories/messageRepository.js
+// Message repository definition
+
+const Message = require('../models/messageModel');
+
+module.exports = {
+  Model: Message,
+  collection: 'messageHistory'
+};
@@ -0,0 +1,90 @@
+// File: backend/repositories/mongooseRepository.js
+// Repository backed by a Mongoose model
+
+// Convert a document to the plain object shape every repository returns
+const toPlainObject = (doc) => {
+  return doc ? doc.toObject({ virtuals: true, versionKey: false }) : null;
+};
+
+// Fields left undefined in an update are not changed
+const withoutUndefined = (data) => {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined)
+  );
+};
+
+class MongooseRepository {
+  constructor(Model) {
+    this.Model = Model;
+  }
+
+  applyOptions(query, { select, sort, skip, limit, populate } = {}) {
+    if (select) {
+      query = query.select(select);
+    }
+    if (sort) {
+      query = query.sort(sort);
+    }
+    if (skip) {
+      query = query.skip(skip);
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+    if (populate) {
+      query = query.populate(populate);
+    }
+    return query;
+  }
+
+  async find(filter = {}, options = {}) {
+    const docs = await this.applyOptions(this.Model.find(filter), options);
+    return docs.map(toPlainObject);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const doc = await this.applyOptions(this.Model.findOne(filter), options);
+    return toPlainObject(doc);
+  }
+
+  async findById(id, options = {}) {
+    const doc = await this.applyOptions(this.Model.findById(id), options);
+    return toPlainObject(doc);
+  }
+
+  async count(filter = {}) {
+    return this.Model.countDocuments(filter);
+  }
+
+  async create(data) {
+    const doc = await this.Model.create(data);
+    return toPlainObject(doc);
+  }
+
+  // Updates go through save() so schema hooks and full validation run like on create
+  async updateById(id, data) {
+    const doc = await this.Model.findById(id);
+
+    if (!doc) {
+      return null;
+    }
+
+    doc.set(withoutUndefined(data));
+    await doc.save();
+
+    return toPlainObject(doc);
+  }
+
+  async deleteById(id) {
+    const doc = await this.Model.findById(id);
+
+    if (!doc) {
+      return null;
+    }
+
+    await doc.deleteOne();
+    return toPlainObject(doc);
+  }
+}
+
+module.exports = { MongooseRepository, withoutUndefined };
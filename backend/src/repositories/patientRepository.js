@@ -0,0 +1,26 @@
+// File: backend/repositories/patientRepository.js
+// Patient repository definition
+
+const Patient = require('../models/patientModel');
+
+// Older JSON records stored the phone number as `phone`
+const normalize = (record) => {
+  if (record.phone && !record.phoneNumber) {
+    record.phoneNumber = record.phone;
+  }
+  delete record.phone;
+
+  if (typeof record.gender === 'string') {
+    record.gender = record.gender.toLowerCase() === 'not specified'
+      ? 'prefer not to say'
+      : record.gender.toLowerCase();
+  }
+
+  return record;
+};
+
+module.exports = {
+  Model: Patient,
+  collection: 'patients',
+  normalize
+};
@@ -0,0 +1,9 @@
+// File: backend/repositories/slotHoldRepository.js
+// Slot hold repository definition
+
+const SlotHold = require('../models/slotHoldModel');
+
+module.exports = {
+  Model: SlotHold,
+  collection: 'slotHolds'
+};
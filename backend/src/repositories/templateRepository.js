@@ -0,0 +1,37 @@
+// File: backend/repositories/templateRepository.js
+// Message template repository definition
+
+const MessageTemplate = require('../models/messageTemplateModel');
+
+const LEGACY_CATEGORIES = {
+  reminder: 'appointment_reminder',
+  confirmation: 'appointment_confirmation',
+  rescheduled: 'appointment_rescheduled',
+  cancellation: 'appointment_cancelled',
+  'follow-up': 'follow_up'
+};
+
+// Older JSON records used `category`, `status` and plain variable names
+const normalize = (record) => {
+  if (record.category && !record.type) {
+    record.type = LEGACY_CATEGORIES[record.category.toLowerCase()] || 'general_notification';
+  }
+  if (record.status && record.isActive === undefined) {
+    record.isActive = record.status === 'active';
+  }
+  if (Array.isArray(record.variables)) {
+    record.variables = record.variables.map(variable => (
+      typeof variable === 'string' ? { name: variable } : variable
+    ));
+  }
+  delete record.category;
+  delete record.status;
+
+  return record;
+};
+
+module.exports = {
+  Model: MessageTemplate,
+  collection: 'messageTemplates',
+  normalize
+};
@@ -0,0 +1,41 @@
+// File: backend/repositories/userRepository.js
+// User repository definition
+
+const bcrypt = require('bcryptjs');
+const User = require('../models/userModel');
+
+// Mirror of the pre('save') password hashing hook
+const beforeSave = async (doc) => {
+  if (doc.isModified('password')) {
+    doc.password = await User.hashPassword(doc.password);
+  }
+};
+
+const methods = {
+  /**
+   * Find a user by email
+   * @param {string} email - Email address
+   * @param {Object} options - { withPassword } to include the password hash
+   * @returns {Promise<Object|null>}
+   */
+  async findByEmail(email, { withPassword = false } = {}) {
+    return this.findOne({ email }, { select: withPassword ? '+password' : undefined });
+  },
+
+  /**
+   * Compare a plain text password with the user's stored hash
+   * @param {Object} user - User loaded with its password
+   * @param {string} password - Plain text password
+   * @returns {Promise<boolean>}
+   */
+  async matchPassword(user, password) {
+    return bcrypt.compare(password, user.password);
+  }
+};
+
+module.exports = {
+  Model: User,
+  collection: 'users',
+  beforeSave,
+  methods
+};
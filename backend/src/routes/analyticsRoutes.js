@@ -4,6 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const {
+  getDashboardStats,
   getAppointmentStats,
   getMessageStats,
   getDepartmentPerformance,
@@ -15,6 +16,7 @@ const { protect, authorize } = require('../middlewares/authMiddleware');
 
 router.use(protect); // All analytics routes require authentication
 
+router.get('/dashboard', getDashboardStats);
 router.get('/appointments', getAppointmentStats);
 router.get('/messages', getMessageStats);
 router.get('/departments', getDepartmentPerformance);
@@ -14,9 +14,15 @@ const {
   getPatientAppointments,
   getDoctorAppointments,
   sendAppointmentReminder,
+  sendAppointmentLocation,
+  sendPreparationDocument,
+  sendAppointmentQuestionnaire,
+  getOutstandingDocuments,
+  reviewAppointmentDocument,
   changeAppointmentStatus
 } = require('../controllers/appointmentController');
 const { protect, authorize } = require('../middlewares/authMiddleware');
+const { requireDatabase } = require('../middlewares/storageMiddleware');
 
 router.use(protect); // All appointment routes require authentication
 
@@ -25,6 +31,12 @@ router
   .get(getAppointments)
   .post(createAppointment);
 
+// Static paths must be registered before /:id so they are not treated as ids
+router.get('/upcoming', getUpcomingAppointments);
+router.get('/today', getTodayAppointments);
+router.get('/patient/:patientId', getPatientAppointments);
+router.get('/doctor/:doctorId', getDoctorAppointments);
+router.get('/documents/outstanding', getOutstandingDocuments);
 
 router
   .route('/:id')
@@ -32,11 +44,11 @@ router
   .put(updateAppointment)
   .delete(authorize('admin'), deleteAppointment);
 
-router.get('/upcoming', getUpcomingAppointments);
-router.get('/today', getTodayAppointments);
-router.get('/patient/:patientId', getPatientAppointments);
-router.get('/doctor/:doctorId', getDoctorAppointments);
-router.post('/:id/remind', sendAppointmentReminder);
+router.post('/:id/remind', requireDatabase, sendAppointmentReminder);
+router.post('/:id/send-location', requireDatabase, sendAppointmentLocation);
+router.post('/:id/send-preparation', requireDatabase, sendPreparationDocument);
+router.post('/:id/send-questionnaire', requireDatabase, sendAppointmentQuestionnaire);
+router.put('/:id/documents/:itemId', requireDatabase, reviewAppointmentDocument);
 router.put('/:id/status', changeAppointmentStatus);
 
 module.exports = router;
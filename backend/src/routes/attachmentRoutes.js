@@ -0,0 +1,29 @@
+// File: backend/routes/attachmentRoutes.js
+// Attachment routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAttachments,
+  getAttachment,
+  uploadAttachment,
+  downloadAttachment,
+  getSignedAttachmentFile
+} = require('../controllers/attachmentController');
+const { protect } = require('../middlewares/authMiddleware');
+const attachmentStore = require('../services/attachmentStore');
+
+// Signed links are fetched by the messaging provider, without a session
+router.get('/:id/file', getSignedAttachmentFile);
+
+router.use(protect); // All other attachment routes require authentication
+
+router
+  .route('/')
+  .get(getAttachments)
+  .post(express.raw({ type: '*/*', limit: attachmentStore.config.maxBytes }), uploadAttachment);
+
+router.get('/:id', getAttachment);
+router.get('/:id/download', downloadAttachment);
+
+module.exports = router;
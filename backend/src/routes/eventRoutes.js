@@ -0,0 +1,13 @@
+// File: backend/routes/eventRoutes.js
+// Real-time event stream routes
+
+const express = require('express');
+const router = express.Router();
+const { streamEvents } = require('../controllers/eventController');
+const { protect } = require('../middlewares/authMiddleware');
+
+router.use(protect); // The stream requires authentication (header or cookie)
+
+router.get('/', streamEvents);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// File: backend/routes/inboxRoutes.js
+// Staff inbox routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getThreads,
+  getThread,
+  markThreadRead,
+  markThreadUnread,
+  assignThread,
+  updateThreadStatus,
+  addThreadNote,
+  replyToThread
+} = require('../controllers/inboxController');
+const { protect } = require('../middlewares/authMiddleware');
+
+router.use(protect); // All inbox routes require authentication
+
+router.get('/', getThreads);
+router.get('/:id', getThread);
+
+router.post('/:id/read', markThreadRead);
+router.post('/:id/unread', markThreadUnread);
+router.put('/:id/assign', assignThread);
+router.put('/:id/status', updateThreadStatus);
+router.post('/:id/notes', addThreadNote);
+router.post('/:id/reply', replyToThread);
+
+module.exports = router;
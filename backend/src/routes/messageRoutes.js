@@ -9,12 +9,19 @@ const {
   createMessageTemplate,
   updateMessageTemplate,
   deleteMessageTemplate,
+  previewMessageTemplate,
   getMessages,
   getPatientMessages,
   getAppointmentMessages,
-  sendCustomMessage
+  sendCustomMessage,
+  getFailedMessages,
+  retryQueuedMessage,
+  discardQueuedMessage,
+  getReviewQueue,
+  reviewMessage
 } = require('../controllers/messageController');
 const { protect, authorize } = require('../middlewares/authMiddleware');
+const { requireDatabase } = require('../middlewares/storageMiddleware');
 
 router.use(protect); // All message routes require authentication
 
@@ -30,13 +37,25 @@ router
   .put(authorize('admin'), updateMessageTemplate)
   .delete(authorize('admin'), deleteMessageTemplate);
 
+router.post('/templates/:id/preview', authorize('admin'), previewMessageTemplate);
+
 // Message history routes
 router.get('/', getMessages);
+router.get('/history', getMessages);
+router.get('/failed', requireDatabase, getFailedMessages);
+router.get('/review', requireDatabase, getReviewQueue);
 router.get('/patient/:patientId', getPatientMessages);
 router.get('/appointment/:appointmentId', getAppointmentMessages);
 
 // Send message route
-router.post('/send', sendCustomMessage);
+router.post('/send', requireDatabase, sendCustomMessage);
+
+// Outbound queue management
+router.post('/:id/retry', requireDatabase, retryQueuedMessage);
+router.post('/:id/discard', requireDatabase, discardQueuedMessage);
+
+// Staff review of patient replies
+router.post('/:id/review', requireDatabase, reviewMessage);
 
 module.exports = router;
 
@@ -8,9 +8,12 @@ const {
   getPatient,
   createPatient,
   updatePatient,
-  deletePatient
+  deletePatient,
+  getPatientConsentHistory,
+  getPatientConversation
 } = require('../controllers/patientController');
 const { protect, authorize } = require('../middlewares/authMiddleware');
+const { requireDatabase } = require('../middlewares/storageMiddleware');
 
 router.use(protect); // All patient routes require authentication
 
@@ -25,5 +28,8 @@ router
   .put(updatePatient)
   .delete(authorize('admin'), deletePatient);
 
+router.get('/:id/consent', getPatientConsentHistory);
+router.get('/:id/conversation', requireDatabase, getPatientConversation);
+
 module.exports = router;
 
@@ -0,0 +1,34 @@
+// File: backend/routes/questionnaireRoutes.js
+// Questionnaire routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getQuestionnaires,
+  getQuestionnaire,
+  createQuestionnaire,
+  updateQuestionnaire,
+  deleteQuestionnaire,
+  getRedFlagAlerts,
+  acknowledgeRedFlagAlert
+} = require('../controllers/questionnaireController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+router.use(protect); // All questionnaire routes require authentication
+
+router
+  .route('/')
+  .get(getQuestionnaires)
+  .post(authorize('admin'), createQuestionnaire);
+
+// Red-flag answers waiting for the doctor or staff
+router.get('/alerts', getRedFlagAlerts);
+router.put('/alerts/:alertId/acknowledge', acknowledgeRedFlagAlert);
+
+router
+  .route('/:id')
+  .get(getQuestionnaire)
+  .put(authorize('admin'), updateQuestionnaire)
+  .delete(authorize('admin'), deleteQuestionnaire);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// File: backend/routes/reminderPolicyRoutes.js
+// Reminder policy routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getReminderPolicies,
+  getReminderPolicy,
+  createReminderPolicy,
+  updateReminderPolicy,
+  deleteReminderPolicy
+} = require('../controllers/reminderPolicyController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+router.use(protect); // All reminder policy routes require authentication
+
+router
+  .route('/')
+  .get(getReminderPolicies)
+  .post(authorize('admin'), createReminderPolicy);
+
+router
+  .route('/:id')
+  .get(getReminderPolicy)
+  .put(authorize('admin'), updateReminderPolicy)
+  .delete(authorize('admin'), deleteReminderPolicy);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// File: backend/routes/schedulerRoutes.js
+// Scheduler routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getJobs,
+  runJob,
+  getJobRuns,
+  getJobRun
+} = require('../controllers/schedulerController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/jobs', getJobs);
+router.post('/jobs/:name/run', runJob);
+
+router.get('/runs', getJobRuns);
+router.get('/runs/:id', getJobRun);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// File: backend/routes/simulatorRoutes.js
+// 1CONFIRMED simulator routes, mounted only when CONFIRMED_SIMULATOR=true
+
+const express = require('express');
+const router = express.Router();
+const {
+  receiveMessage,
+  getSimulatedMessages,
+  getSimulatorSettings,
+  updateSimulatorSettings,
+  injectReply,
+  resetSimulator
+} = require('../controllers/simulatorController');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+// Called by our own API client, like the real provider
+router.post('/messages', receiveMessage);
+
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/messages', getSimulatedMessages);
+
+router
+  .route('/settings')
+  .get(getSimulatorSettings)
+  .put(updateSimulatorSettings);
+
+router.post('/replies', injectReply);
+router.post('/reset', resetSimulator);
+
+module.exports = router;
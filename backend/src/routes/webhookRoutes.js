@@ -0,0 +1,36 @@
+// File: backend/routes/webhookRoutes.js
+// Webhook routes for 1CONFIRMED, SMS gateway and email bounce callbacks
+
+const express = require('express');
+const router = express.Router();
+const {
+  handleWhatsAppWebhook,
+  handleSmsStatusWebhook,
+  handleEmailBounceWebhook,
+  verifyWebhook,
+  getWebhookStats
+} = require('../controllers/webhookController');
+const { verifyWebhookSignature } = require('../middlewares/webhookMiddleware');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+router
+  .route('/whatsapp')
+  .get(verifyWebhook)
+  .post(verifyWebhookSignature({ source: 'whatsapp' }), handleWhatsAppWebhook);
+
+// Signed like the WhatsApp webhook, with the gateway's own secret
+router.post(
+  '/sms/status',
+  verifyWebhookSignature({ source: 'sms', secretEnv: 'SMS_WEBHOOK_SECRET' }),
+  handleSmsStatusWebhook
+);
+
+router.post(
+  '/email/bounce',
+  verifyWebhookSignature({ source: 'email', secretEnv: 'EMAIL_WEBHOOK_SECRET' }),
+  handleEmailBounceWebhook
+);
+
+router.get('/stats', protect, authorize('admin'), getWebhookStats);
+
+module.exports = router;
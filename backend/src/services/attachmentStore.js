@@ -0,0 +1,164 @@
+// File: backend/services/attachmentStore.js
+// Local attachment store: files on disk under ATTACHMENTS_DIR, plus signed links
+// the messaging provider can fetch outbound media from
+//
+// Files are stored as <yyyy>/<mm>/<uuid><ext>; the Attachment record keeps the
+// key, the original filename and a checksum. WhatsApp downloads outbound media
+// from a link, so each send gets a short-lived signed URL on PUBLIC_API_URL.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+
+const config = {
+  dir: process.env.ATTACHMENTS_DIR || path.join(__dirname, '../../uploads'),
+  maxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024,
+  linkTtlHours: parseInt(process.env.ATTACHMENT_LINK_TTL_HOURS, 10) || 24,
+  publicUrl: (process.env.PUBLIC_API_URL || '').replace(/\/$/, '')
+};
+
+// Accepted file types, with the extension they are stored under
+const MIME_TYPES = {
+  'application/pdf': { ext: '.pdf', kind: 'document' },
+  'image/jpeg': { ext: '.jpg', kind: 'image' },
+  'image/png': { ext: '.png', kind: 'image' },
+  'image/webp': { ext: '.webp', kind: 'image' },
+  'image/heic': { ext: '.heic', kind: 'document' },
+  'application/msword': { ext: '.doc', kind: 'document' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { ext: '.docx', kind: 'document' },
+  'audio/ogg': { ext: '.ogg', kind: 'audio' },
+  'audio/mpeg': { ext: '.mp3', kind: 'audio' },
+  'video/mp4': { ext: '.mp4', kind: 'video' }
+};
+
+// Media type without parameters ("audio/ogg; codecs=opus" -> "audio/ogg")
+const baseMimeType = (mimeType) => (mimeType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Kind of attachment a file type is sent as
+ * @param {string} mimeType - File type
+ * @returns {string|null} - 'document', 'image', 'audio', 'video' or null if not accepted
+ */
+const getKind = (mimeType) => {
+  const type = MIME_TYPES[baseMimeType(mimeType)];
+  return type ? type.kind : null;
+};
+
+// Absolute path of a stored file, refusing keys that leave the store
+const resolvePath = (storageKey) => {
+  const root = path.resolve(config.dir);
+  const filePath = path.resolve(root, storageKey);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new ErrorResponse('Invalid attachment path', 400);
+  }
+
+  return filePath;
+};
+
+/**
+ * Write a file to the store
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - File type
+ * @returns {Promise<Object>} - { storageKey, size, sha256, mimeType }
+ */
+const saveFile = async (buffer, mimeType) => {
+  const type = MIME_TYPES[baseMimeType(mimeType)];
+
+  if (!type) {
+    throw new ErrorResponse(`Files of type ${mimeType || 'unknown'} are not accepted`, 415);
+  }
+
+  if (!buffer || !buffer.length) {
+    throw new ErrorResponse('The file is empty', 400);
+  }
+
+  if (buffer.length > config.maxBytes) {
+    throw new ErrorResponse(`Files cannot be larger than ${Math.round(config.maxBytes / 1024 / 1024)} MB`, 413);
+  }
+
+  const storageKey = path.posix.join(moment().format('YYYY'), moment().format('MM'), `${uuidv4()}${type.ext}`);
+  const filePath = resolvePath(storageKey);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return {
+    storageKey,
+    size: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    mimeType: baseMimeType(mimeType)
+  };
+};
+
+/**
+ * Open a stored file for reading
+ * @param {string} storageKey - Key returned by saveFile()
+ * @returns {fs.ReadStream}
+ */
+const openFile = (storageKey) => {
+  const filePath = resolvePath(storageKey);
+
+  if (!fs.existsSync(filePath)) {
+    throw new ErrorResponse('Attachment file is missing from the store', 404);
+  }
+
+  return fs.createReadStream(filePath);
+};
+
+const readSecret = () => process.env.ATTACHMENT_LINK_SECRET || process.env.JWT_SECRET;
+
+const sign = (attachmentId, expires) => crypto
+  .createHmac('sha256', readSecret())
+  .update(`${attachmentId}:${expires}`)
+  .digest('hex');
+
+/**
+ * Build a link the provider can download an attachment from
+ * @param {Object} attachment - Attachment record
+ * @returns {string}
+ */
+const getSignedUrl = (attachment) => {
+  if (!config.publicUrl) {
+    throw new ErrorResponse('PUBLIC_API_URL must be set to send media messages', 500);
+  }
+
+  // Links signed with an empty key could be forged by anyone
+  if (!readSecret()) {
+    throw new ErrorResponse('ATTACHMENT_LINK_SECRET (or JWT_SECRET) must be set to send media messages', 500);
+  }
+
+  const expires = moment().add(config.linkTtlHours, 'hours').unix();
+
+  return `${config.publicUrl}/api/attachments/${attachment._id}/file?expires=${expires}&signature=${sign(attachment._id.toString(), expires)}`;
+};
+
+/**
+ * Whether a signed link is authentic and still valid
+ * @param {string} attachmentId - Attachment ID from the link
+ * @param {string} expires - expires query parameter
+ * @param {string} signature - signature query parameter
+ * @returns {boolean}
+ */
+const verifySignedUrl = (attachmentId, expires, signature) => {
+  if (!readSecret() || !expires || !signature || Number(expires) < moment().unix()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(attachmentId, expires));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  getKind,
+  saveFile,
+  openFile,
+  getSignedUrl,
+  verifySignedUrl,
+  config
+};
@@ -0,0 +1,129 @@
+// File: backend/services/availabilityService.js
+// Doctor availability: appointment slots from working hours, booked appointments and slot holds
+
+const moment = require('moment');
+const repositories = require('../repositories');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Format a moment as HH:mm, the format appointments store their times in
+const formatTime = (time) => time.format('HH:mm');
+
+// Whether two HH:mm ranges overlap
+const overlaps = (startTime, endTime, other) => (
+  (startTime >= other.startTime && startTime < other.endTime) ||
+  (endTime > other.startTime && endTime <= other.endTime) ||
+  (startTime <= other.startTime && endTime >= other.endTime)
+);
+
+/**
+ * Compute a doctor's slots for one day
+ * @param {Object} doctor - Doctor record
+ * @param {Date|string} date - Day to compute
+ * @param {Object} options - { excludeAppointmentId } to ignore an appointment being moved
+ * @returns {Promise<Object>} - { available, availableHours, slots: [{ startTime, endTime, available, held }] }
+ */
+const getDoctorDaySlots = async (doctor, date, options = {}) => {
+  const day = moment(date).startOf('day');
+
+  // Get doctor's available hours for that day
+  const availableHours = (doctor.availableHours || []).find(
+    hours => hours.day === DAYS[day.day()] && hours.isAvailable
+  );
+
+  if (!availableHours) {
+    return { available: false, availableHours: null, slots: [] };
+  }
+
+  const dayRange = {
+    $gte: day.toDate(),
+    $lte: moment(day).endOf('day').toDate()
+  };
+
+  // Get all appointments for that doctor on that date
+  const appointmentFilter = {
+    doctor: doctor._id || doctor.id,
+    date: dayRange,
+    status: { $nin: ['cancelled'] }
+  };
+
+  if (options.excludeAppointmentId) {
+    appointmentFilter._id = { $ne: options.excludeAppointmentId };
+  }
+
+  const appointments = await repositories.appointments.find(appointmentFilter, { select: 'startTime endTime' });
+
+  // Slots held by patients who are choosing a new time
+  const holds = await repositories.slotHolds.find({
+    doctor: doctor._id || doctor.id,
+    date: dayRange,
+    expiresAt: { $gt: new Date() }
+  });
+
+  // Create slots based on doctor's average appointment duration
+  const slotDuration = doctor.averageAppointmentDuration || 30; // minutes
+  const [startHours, startMinutes] = availableHours.startTime.split(':').map(Number);
+  const [endHours, endMinutes] = availableHours.endTime.split(':').map(Number);
+
+  const current = moment(day).hours(startHours).minutes(startMinutes);
+  const end = moment(day).hours(endHours).minutes(endMinutes);
+  const slots = [];
+
+  while (moment(current).add(slotDuration, 'minutes').isSameOrBefore(end)) {
+    const startTime = formatTime(current);
+    current.add(slotDuration, 'minutes');
+    const endTime = formatTime(current);
+
+    const isBooked = appointments.some(appointment => overlaps(startTime, endTime, appointment));
+    const isHeld = holds.some(hold => overlaps(startTime, endTime, hold));
+
+    slots.push({
+      startTime,
+      endTime,
+      available: !isBooked && !isHeld,
+      held: isHeld
+    });
+  }
+
+  return { available: true, availableHours, slots };
+};
+
+/**
+ * Find a doctor's next open slots
+ * @param {Object} doctor - Doctor record
+ * @param {Object} options - { from, count, maxDays, excludeAppointmentId }
+ * @returns {Promise<Array>} - [{ date, startTime, endTime }]
+ */
+const findNextAvailableSlots = async (doctor, options = {}) => {
+  const from = moment(options.from || new Date());
+  const count = options.count || 5;
+  const maxDays = options.maxDays || 14;
+  const found = [];
+
+  for (let offset = 0; offset < maxDays && found.length < count; offset++) {
+    const day = moment(from).startOf('day').add(offset, 'days');
+    const { slots } = await getDoctorDaySlots(doctor, day, {
+      excludeAppointmentId: options.excludeAppointmentId
+    });
+
+    for (const slot of slots) {
+      const [hours, minutes] = slot.startTime.split(':').map(Number);
+      const startsAt = moment(day).hours(hours).minutes(minutes);
+
+      if (slot.available && startsAt.isAfter(from)) {
+        found.push({ date: day.toDate(), startTime: slot.startTime, endTime: slot.endTime });
+
+        if (found.length === count) {
+          break;
+        }
+      }
+    }
+  }
+
+  return found;
+};
+
+module.exports = {
+  getDoctorDaySlots,
+  findNextAvailableSlots
+};
@@ -0,0 +1,57 @@
+// File: backend/services/channels.js
+// Registry of outbound messaging channels
+//
+// Messages are composed by a channel service (whatsappService, smsService) and
+// delivered by the message queue, which only knows the channel by name. Each
+// channel service registers itself when it is loaded with:
+//   sendText(recipient, text, context) -> Promise<Message>
+//     queue a plain text message (context holds Message fields: patient, appointment, ...)
+//   deliver(message) -> Promise<{ externalMessageId }>
+//     hand a claimed message to the provider; provider errors are thrown as they are
+//     so the queue can tell retryable failures from permanent ones
+
+const channels = {};
+
+/**
+ * Register a channel implementation
+ * @param {string} name - Message.channel value ('whatsapp', 'sms', 'email')
+ * @param {Object} implementation - { sendText, deliver }
+ */
+const registerChannel = (name, implementation) => {
+  ['sendText', 'deliver'].forEach(method => {
+    if (typeof implementation[method] !== 'function') {
+      throw new Error(`Channel ${name} must implement ${method}()`);
+    }
+  });
+
+  channels[name] = { name, ...implementation };
+};
+
+/**
+ * Get a registered channel
+ * @param {string} name - Channel name
+ * @returns {Object} - Channel implementation
+ */
+const getChannel = (name) => {
+  const channel = channels[name];
+
+  if (!channel) {
+    const error = new Error(`No provider is registered for the ${name} channel`);
+    error.permanent = true; // Retrying cannot help
+    throw error;
+  }
+
+  return channel;
+};
+
+/**
+ * Names of the registered channels
+ * @returns {Array<string>}
+ */
+const getChannelNames = () => Object.keys(channels);
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  getChannelNames
+};
@@ -0,0 +1,17 @@
+// File: backend/services/confirmedClient.js
+// HTTP client for the 1CONFIRMED API
+
+const axios = require('axios');
+const confirmedSimulator = require('./confirmedSimulator');
+
+// Configure axios instance for 1CONFIRMED API (or the local simulator)
+const confirmedAPI = axios.create({
+  baseURL: confirmedSimulator.enabled ? confirmedSimulator.baseUrl : process.env.CONFIRMED_API_URL,
+  timeout: parseInt(process.env.CONFIRMED_API_TIMEOUT_MS, 10) || 15000,
+  headers: {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${process.env.CONFIRMED_API_KEY}`
+  }
+});
+
+module.exports = confirmedAPI;
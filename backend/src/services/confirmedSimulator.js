@@ -0,0 +1,282 @@
+// File: backend/services/confirmedSimulator.js
+// Local stand-in for the 1CONFIRMED API, for development and tests
+//
+// With CONFIRMED_SIMULATOR=true the API client talks to this simulator (mounted
+// at /api/simulator/confirmed) instead of CONFIRMED_API_URL. It accepts messages
+// on POST /messages like the real API and reports them sent, delivered and read
+// through our own signed WhatsApp webhook, after configurable delays. Staff can
+// inject patient replies and make it fail or rate limit requests. Everything is
+// kept in memory and lost on restart.
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { computeSignature } = require('../middlewares/webhookMiddleware');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+const enabled = process.env.CONFIRMED_SIMULATOR === 'true' && process.env.NODE_ENV !== 'production';
+const baseUrl = `http://127.0.0.1:${process.env.PORT || 5000}`;
+
+// Delays are in milliseconds; a negative delay never sends that status
+const numberOr = (value, fallback) => (value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value));
+
+const settings = {
+  webhookUrl: process.env.CONFIRMED_SIMULATOR_WEBHOOK_URL || `${baseUrl}/api/webhooks/whatsapp`,
+  sentDelayMs: numberOr(process.env.CONFIRMED_SIMULATOR_SENT_DELAY_MS, 500),
+  deliveredDelayMs: numberOr(process.env.CONFIRMED_SIMULATOR_DELIVERED_DELAY_MS, 2000),
+  readDelayMs: numberOr(process.env.CONFIRMED_SIMULATOR_READ_DELAY_MS, 5000),
+  // Share of requests answered with errorStatus (0-1)
+  errorRate: numberOr(process.env.CONFIRMED_SIMULATOR_ERROR_RATE, 0),
+  errorStatus: numberOr(process.env.CONFIRMED_SIMULATOR_ERROR_STATUS, 500),
+  // Accepted messages then reported 'failed' instead of delivered (0-1)
+  failureRate: numberOr(process.env.CONFIRMED_SIMULATOR_FAILURE_RATE, 0),
+  // At most rateLimit requests per rateLimitWindowMs (0: no limit)
+  rateLimit: numberOr(process.env.CONFIRMED_SIMULATOR_RATE_LIMIT, 0),
+  rateLimitWindowMs: numberOr(process.env.CONFIRMED_SIMULATOR_RATE_LIMIT_WINDOW_MS, 60 * 1000),
+  // The next failNext requests get errorStatus, whatever the error rate
+  failNext: 0
+};
+
+const EDITABLE_SETTINGS = [
+  'sentDelayMs', 'deliveredDelayMs', 'readDelayMs', 'errorRate', 'errorStatus',
+  'failureRate', 'rateLimit', 'rateLimitWindowMs', 'failNext'
+];
+
+const MAX_MESSAGES = 200;
+
+const state = {
+  messages: [],
+  requests: []
+};
+
+/**
+ * Current settings
+ * @returns {Object}
+ */
+const getSettings = () => ({ enabled, ...settings });
+
+/**
+ * Change settings at runtime
+ * @param {Object} changes - Any of the editable settings
+ * @returns {Object} - Updated settings
+ */
+const updateSettings = (changes) => {
+  Object.entries(changes).forEach(([key, value]) => {
+    if (!EDITABLE_SETTINGS.includes(key)) {
+      throw new ErrorResponse(`Unknown simulator setting: ${key}`, 400);
+    }
+
+    if (typeof value !== 'number' || isNaN(value)) {
+      throw new ErrorResponse(`Simulator setting ${key} must be a number`, 400);
+    }
+
+    if (['errorRate', 'failureRate'].includes(key) && (value < 0 || value > 1)) {
+      throw new ErrorResponse(`Simulator setting ${key} must be between 0 and 1`, 400);
+    }
+
+    settings[key] = value;
+  });
+
+  logger.info(`1CONFIRMED simulator settings updated: ${JSON.stringify(changes)}`);
+  return getSettings();
+};
+
+/**
+ * Post a payload to our WhatsApp webhook, signed like the real provider does
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object>} - Webhook response body
+ */
+const postWebhook = async (payload) => {
+  const secret = process.env.WEBHOOK_SECRET;
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-1Confirmed-Timestamp': timestamp,
+    'X-1Confirmed-Event-Id': `sim-${uuidv4()}`
+  };
+
+  if (secret) {
+    headers['X-1Confirmed-Signature'] = `sha256=${computeSignature(secret, timestamp, body)}`;
+  } else {
+    logger.warn('WEBHOOK_SECRET is not set, the webhook will reject simulator callbacks');
+  }
+
+  const response = await axios.post(settings.webhookUrl, body, { headers, timeout: 15000 });
+  return response.data;
+};
+
+/**
+ * Report a status of an accepted message to the webhook
+ * @param {Object} record - Simulated message
+ * @param {string} status - 'sent', 'delivered', 'read' or 'failed'
+ */
+const sendStatus = async (record, status) => {
+  const update = {
+    id: record.id,
+    status,
+    timestamp: Math.floor(Date.now() / 1000),
+    recipient_id: record.to
+  };
+
+  if (status === 'failed') {
+    update.errors = [{ code: 131026, title: 'Message undeliverable (simulated)' }];
+  }
+
+  record.statuses.push({ status, at: new Date() });
+
+  try {
+    await postWebhook({ statuses: [update] });
+  } catch (error) {
+    logger.error(`Simulator ${status} callback for ${record.id} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Schedule the status callbacks of an accepted message
+ * @param {Object} record - Simulated message
+ */
+const scheduleStatuses = (record) => {
+  const fails = Math.random() < settings.failureRate;
+  const steps = fails
+    ? [['sent', settings.sentDelayMs], ['failed', settings.deliveredDelayMs]]
+    : [['sent', settings.sentDelayMs], ['delivered', settings.deliveredDelayMs], ['read', settings.readDelayMs]];
+
+  steps
+    .filter(([, delay]) => delay >= 0)
+    .forEach(([status, delay]) => {
+      setTimeout(() => sendStatus(record, status), delay).unref();
+    });
+};
+
+/**
+ * Decide whether a request is rate limited or fails
+ * @returns {Object|null} - { status, headers, body } of the error response, or null to accept it
+ */
+const checkFailure = () => {
+  const now = Date.now();
+
+  // Requests are counted even without a limit, so a limit set later applies at once
+  state.requests = state.requests.filter(time => now - time < settings.rateLimitWindowMs);
+
+  if (settings.rateLimit > 0 && state.requests.length >= settings.rateLimit) {
+    const retryAfter = Math.ceil((settings.rateLimitWindowMs - (now - state.requests[0])) / 1000);
+
+    return {
+      status: 429,
+      headers: { 'Retry-After': String(Math.max(retryAfter, 1)) },
+      body: { error: { code: 'rate_limited', title: 'Too many requests (simulated)' } }
+    };
+  }
+
+  state.requests.push(now);
+
+  if (settings.failNext > 0 || Math.random() < settings.errorRate) {
+    settings.failNext = Math.max(settings.failNext - 1, 0);
+
+    return {
+      status: settings.errorStatus,
+      headers: {},
+      body: { error: { code: `http_${settings.errorStatus}`, title: 'Provider error (simulated)' } }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Accept an outbound message, as POST /messages does
+ * @param {Object} payload - Message payload ({ to, type, ... })
+ * @returns {Object} - { id }
+ */
+const acceptMessage = (payload) => {
+  if (!payload || !payload.to || !payload.type) {
+    throw new ErrorResponse('Message needs a recipient (to) and a type', 400);
+  }
+
+  const record = {
+    id: `sim-${uuidv4()}`,
+    to: payload.to,
+    type: payload.type,
+    payload,
+    acceptedAt: new Date(),
+    statuses: []
+  };
+
+  state.messages.unshift(record);
+  state.messages.length = Math.min(state.messages.length, MAX_MESSAGES);
+
+  scheduleStatuses(record);
+
+  logger.info(`[1CONFIRMED simulator] ${payload.type} message ${record.id} to ${payload.to}`);
+  return { id: record.id };
+};
+
+/**
+ * Messages the simulator accepted, newest first
+ * @param {Object} filter - { to }
+ * @returns {Array<Object>}
+ */
+const getMessages = ({ to } = {}) => state.messages.filter(record => !to || record.to === to);
+
+/**
+ * Deliver a patient reply to our webhook
+ * @param {Object} reply - { from, text } for a text message, or { from, buttonId, title }
+ *   for a button and { from, listId, title } for a list choice; contextId names the
+ *   message replied to
+ * @returns {Promise<Object>} - { payload, response }
+ */
+const injectReply = async ({ from, text, buttonId, listId, title, contextId }) => {
+  if (!from) {
+    throw new ErrorResponse('Reply needs the patient phone number (from)', 400);
+  }
+
+  const payload = {
+    from: String(from).replace(/\s/g, ''),
+    id: `sim-in-${uuidv4()}`,
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+
+  if (buttonId || listId) {
+    const replyType = buttonId ? 'button_reply' : 'list_reply';
+
+    payload.type = 'interactive';
+    payload.interactive = {
+      type: replyType,
+      [replyType]: { id: buttonId || listId, title: title || text || buttonId || listId }
+    };
+  } else if (text) {
+    payload.type = 'text';
+    payload.text = { body: text };
+  } else {
+    throw new ErrorResponse('Reply needs text, a buttonId or a listId', 400);
+  }
+
+  if (contextId) {
+    payload.context = { id: contextId };
+  }
+
+  const response = await postWebhook(payload);
+  return { payload, response };
+};
+
+/**
+ * Forget all messages and rate limit counters
+ */
+const reset = () => {
+  state.messages = [];
+  state.requests = [];
+  settings.failNext = 0;
+};
+
+module.exports = {
+  enabled,
+  baseUrl: `${baseUrl}/api/simulator/confirmed`,
+  getSettings,
+  updateSettings,
+  checkFailure,
+  acceptMessage,
+  getMessages,
+  injectReply,
+  reset
+};
@@ -0,0 +1,213 @@
+// File: backend/services/consentService.js
+// Patient messaging consent: opt-out/opt-in keywords, send checks and the consent ledger
+
+const repositories = require('../repositories');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+// Keywords are matched against the whole message after normalizeKeyword()
+const CONSENT_KEYWORDS = {
+  opt_out: {
+    en: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'END', 'QUIT', 'OPTOUT', 'OPT OUT'],
+    fr: ['ARRET', 'ARRETER', 'DESABONNER', 'DESINSCRIRE', 'DESINSCRIPTION', 'STOP SVP'],
+    ar: ['توقف', 'ايقاف', 'الغاء الاشتراك']
+  },
+  opt_in: {
+    en: ['START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN', 'OPT IN'],
+    fr: ['DEMARRER', 'REPRENDRE', 'ABONNER', 'REABONNER'],
+    ar: ['ابدا', 'اشتراك', 'تفعيل']
+  }
+};
+
+// Confirmation replies, in the language of the keyword
+const CONFIRMATIONS = {
+  opt_out: {
+    en: 'You have been unsubscribed and will no longer receive messages from us. Reply START to subscribe again.',
+    fr: 'Vous êtes désinscrit(e) et ne recevrez plus de messages de notre part. Répondez DEMARRER pour vous réabonner.',
+    ar: 'تم إلغاء اشتراكك ولن تتلقى رسائل منا بعد الآن. أرسل ابدأ لإعادة الاشتراك.'
+  },
+  opt_in: {
+    en: 'You are subscribed again and will receive messages about your appointments. Reply STOP to unsubscribe.',
+    fr: 'Vous êtes de nouveau abonné(e) et recevrez les messages concernant vos rendez-vous. Répondez ARRET pour vous désinscrire.',
+    ar: 'تمت إعادة اشتراكك وستتلقى الرسائل المتعلقة بمواعيدك. أرسل توقف لإلغاء الاشتراك.'
+  }
+};
+
+const CHANNELS = ['whatsapp', 'email', 'sms'];
+
+// Consent state of a patient created without explicit preferences (schema defaults)
+const DEFAULT_CONSENT = {
+  optOut: false,
+  communicationPreferences: { whatsapp: true, email: false, sms: false }
+};
+
+/**
+ * Normalize free text for keyword matching: accents, Arabic diacritics and hamza
+ * forms, punctuation and case are ignored
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+const normalizeKeyword = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u064B-\u065F\u0670]/g, '')
+  .replace(/[أإآ]/g, 'ا')
+  .replace(/[.,!?;:'"()\-_*؟،]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toUpperCase();
+
+/**
+ * Detect an opt-out or opt-in keyword
+ * @param {string} text - Inbound message text
+ * @returns {Object|null} - { action, language, keyword } or null
+ */
+const detectConsentKeyword = (text) => {
+  const normalized = normalizeKeyword(text);
+
+  if (!normalized) {
+    return null;
+  }
+
+  for (const [action, languages] of Object.entries(CONSENT_KEYWORDS)) {
+    for (const [language, keywords] of Object.entries(languages)) {
+      const keyword = keywords.find(k => normalizeKeyword(k) === normalized);
+
+      if (keyword) {
+        return { action, language, keyword };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Confirmation reply for a consent keyword
+ * @param {string} action - 'opt_out' or 'opt_in'
+ * @param {string} language - Keyword language
+ * @returns {string}
+ */
+const getConfirmationMessage = (action, language) => (
+  CONFIRMATIONS[action][language] || CONFIRMATIONS[action].en
+);
+
+/**
+ * Refusal to message a patient
+ * @param {string} message - Error message
+ * @param {string} reason - 'opted_out' (no messages at all) or 'channel_not_consented'
+ *   (this channel only, another one may still be used)
+ * @returns {ErrorResponse}
+ */
+const consentError = (message, reason) => {
+  const error = new ErrorResponse(message, 403);
+  error.reason = reason;
+  return error;
+};
+
+/**
+ * Throw if a patient may not be messaged on a channel
+ * @param {string|Object} patient - Patient ID or record
+ * @param {string} channel - 'whatsapp', 'email' or 'sms'
+ * @throws {ErrorResponse} - 403 with a reason of 'opted_out' or 'channel_not_consented'
+ */
+const assertCanMessage = async (patient, channel = 'whatsapp') => {
+  const record = patient && patient.optOut !== undefined
+    ? patient
+    : await repositories.patients.findById(patient);
+
+  if (!record) {
+    throw new ErrorResponse(`Patient not found with id of ${patient}`, 404);
+  }
+
+  if (record.optOut) {
+    throw consentError(`Patient ${record.name} has opted out of all messages`, 'opted_out');
+  }
+
+  const preferences = record.communicationPreferences || {};
+
+  if (preferences[channel] === false) {
+    throw consentError(`Patient ${record.name} has not consented to ${channel} messages`, 'channel_not_consented');
+  }
+};
+
+/**
+ * Record every consent difference between two states of a patient in the ledger
+ * @param {Object|null} before - Patient before the change (null for a new patient)
+ * @param {Object} after - Patient after the change
+ * @param {Object} context - { source, changedBy, keyword, language, rawMessage, message }
+ * @returns {Promise<Array>} - Recorded consent events
+ */
+const recordConsentChanges = async (before, after, context) => {
+  const previous = before || DEFAULT_CONSENT;
+  const changes = [];
+
+  if (Boolean(previous.optOut) !== Boolean(after.optOut)) {
+    changes.push({ channel: 'all', action: after.optOut ? 'opt_out' : 'opt_in' });
+  }
+
+  const previousPreferences = previous.communicationPreferences || {};
+  const preferences = after.communicationPreferences || {};
+
+  CHANNELS.forEach(channel => {
+    if (preferences[channel] !== undefined &&
+        Boolean(previousPreferences[channel]) !== Boolean(preferences[channel])) {
+      changes.push({ channel, action: preferences[channel] ? 'opt_in' : 'opt_out' });
+    }
+  });
+
+  const events = [];
+
+  for (const change of changes) {
+    events.push(await repositories.consentEvents.create({
+      ...change,
+      patient: after._id || after.id,
+      source: context.source,
+      occurredAt: new Date(),
+      changedBy: context.changedBy,
+      keyword: context.keyword,
+      language: context.language,
+      rawMessage: context.rawMessage,
+      message: context.message
+    }));
+  }
+
+  if (events.length) {
+    logger.info(`Recorded ${events.length} consent change(s) for patient ${after._id || after.id} (${context.source})`);
+  }
+
+  return events;
+};
+
+/**
+ * Apply an opt-out/opt-in keyword sent by a patient
+ * @param {Object} patient - Patient record
+ * @param {Object} keyword - Result of detectConsentKeyword()
+ * @param {Object} context - { rawMessage, message }, optionally { source, changedBy } when staff apply it
+ * @returns {Promise<Object>} - Updated patient
+ */
+const applyConsentKeyword = async (patient, keyword, context) => {
+  const patientId = patient._id || patient.id;
+  const before = await repositories.patients.findById(patientId);
+
+  const after = await repositories.patients.updateById(patientId, {
+    optOut: keyword.action === 'opt_out'
+  });
+
+  await recordConsentChanges(before, after, {
+    source: 'inbound_keyword',
+    keyword: keyword.keyword,
+    language: keyword.language,
+    ...context
+  });
+
+  return after;
+};
+
+module.exports = {
+  detectConsentKeyword,
+  getConfirmationMessage,
+  assertCanMessage,
+  recordConsentChanges,
+  applyConsentKeyword
+};
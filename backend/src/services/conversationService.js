@@ -0,0 +1,194 @@
+// File: backend/services/conversationService.js
+// Per-patient conversation state: which flow a patient is in, for which appointment,
+// what reply is expected and until when
+//
+// Outbound messages that ask the patient something move the conversation into a
+// state; inbound replies are routed by that state. A state that has expired is
+// treated as idle, so a late reply is never applied to an old question.
+
+const moment = require('moment');
+const Conversation = require('../models/conversationModel');
+const logger = require('../utils/logger');
+
+// Flow and accepted answers of each state
+const STATES = {
+  idle: { flow: 'none', expects: [] },
+  awaiting_appointment_reply: { flow: 'appointment_reply', expects: ['confirm', 'cancel', 'reschedule'] },
+  choosing_slot: { flow: 'reschedule', expects: ['slot', 'keep'] },
+  confirming_slot: { flow: 'reschedule', expects: ['confirm', 'more', 'keep'] },
+  answering_questionnaire: { flow: 'questionnaire', expects: ['answer'] },
+  awaiting_rating: { flow: 'follow_up', expects: ['rating'] },
+  awaiting_feedback_comment: { flow: 'follow_up', expects: ['comment', 'skip'] }
+};
+
+const config = {
+  // How long a confirm/cancel/reschedule or questionnaire question stays open (never past the appointment start)
+  replyHours: parseInt(process.env.CONVERSATION_REPLY_HOURS, 10) || 72,
+  // How long a patient has to pick a new time from the list
+  rescheduleMinutes: parseInt(process.env.CONVERSATION_RESCHEDULE_MINUTES, 10) || 60
+};
+
+/**
+ * Default expiry of a state
+ * @param {string} state - Conversation state
+ * @param {Object} appointment - Appointment the state concerns
+ * @returns {Date|null}
+ */
+const getDefaultExpiry = (state, appointment) => {
+  if (state === 'idle') {
+    return null;
+  }
+
+  const expiresAt = STATES[state].flow !== 'reschedule'
+    ? moment().add(config.replyHours, 'hours')
+    : moment().add(config.rescheduleMinutes, 'minutes');
+
+  // An answer about an appointment is meaningless once it has started
+  if (appointment && typeof appointment.getStartDateTime === 'function') {
+    return moment.min(expiresAt, moment(appointment.getStartDateTime())).toDate();
+  }
+
+  return expiresAt.toDate();
+};
+
+/**
+ * Move a patient's conversation to a new state
+ * With keepActiveFlow, a patient who is in the middle of another flow (choosing
+ * a new slot, answering a questionnaire) stays in it: their next typed reply
+ * belongs to that flow, not to the message that tried to take over.
+ * @param {string} patientId - Patient ID
+ * @param {string} state - One of STATES
+ * @param {Object} options - { appointment, data, expiresAt, message, channel, keepActiveFlow }
+ * @returns {Promise<Object|null>} - Updated conversation, or null when another
+ *   active flow was kept
+ */
+const transition = async (patientId, state, options = {}) => {
+  if (!STATES[state]) {
+    throw new Error(`Unknown conversation state: ${state}`);
+  }
+
+  const { appointment, data, message, channel = 'whatsapp' } = options;
+  const update = {
+    flow: STATES[state].flow,
+    state,
+    appointment: appointment ? appointment._id || appointment : null,
+    expectedInput: STATES[state].expects,
+    data: data || {},
+    expiresAt: options.expiresAt || getDefaultExpiry(state, appointment),
+    transitionedAt: new Date()
+  };
+
+  if (message) {
+    update.lastOutboundMessage = message;
+  }
+
+  const filter = { patient: patientId, channel };
+
+  if (options.keepActiveFlow) {
+    filter.$or = [
+      { state: 'idle' },
+      { flow: update.flow },
+      { expiresAt: { $lte: new Date() } }
+    ];
+  }
+
+  let conversation;
+
+  try {
+    conversation = await Conversation.findOneAndUpdate(
+      filter,
+      { $set: update, $unset: { endedReason: '' } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The patient's conversation exists but is busy with another flow, so the
+    // upsert tried to add a second one
+    if (options.keepActiveFlow && error.code === 11000) {
+      logger.info(`Conversation of patient ${patientId} kept in its current flow instead of ${state}`);
+      return null;
+    }
+    throw error;
+  }
+
+  logger.info(`Conversation of patient ${patientId} is now ${state}${update.appointment ? ` for appointment ${update.appointment}` : ''}`);
+  return conversation;
+};
+
+/**
+ * Put a patient's conversation back to idle
+ * @param {string} patientId - Patient ID
+ * @param {string} reason - 'completed', 'expired' or 'opted_out'
+ * @param {Object} options - { appointment } to only end a conversation about that appointment, { channel }
+ * @returns {Promise<Object|null>} - Updated conversation, or null if nothing was ended
+ */
+const endConversation = async (patientId, reason = 'completed', options = {}) => {
+  const filter = { patient: patientId, channel: options.channel || 'whatsapp', state: { $ne: 'idle' } };
+
+  if (options.appointment) {
+    filter.appointment = options.appointment._id || options.appointment;
+  }
+
+  const conversation = await Conversation.findOneAndUpdate(
+    filter,
+    {
+      flow: 'none',
+      state: 'idle',
+      expectedInput: [],
+      data: {},
+      expiresAt: null,
+      endedReason: reason,
+      transitionedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (conversation) {
+    logger.info(`Conversation of patient ${patientId} ended (${reason})`);
+  }
+
+  return conversation;
+};
+
+/**
+ * Get the conversation a patient's reply belongs to
+ * @param {string} patientId - Patient ID
+ * @param {string} channel - Channel of the reply
+ * @returns {Promise<Object|null>} - Active conversation, or null if none is waiting for a reply
+ */
+const getActiveConversation = async (patientId, channel = 'whatsapp') => {
+  const conversation = await Conversation.findOne({ patient: patientId, channel });
+
+  if (!conversation || conversation.state === 'idle') {
+    return null;
+  }
+
+  if (!conversation.isActive()) {
+    await endConversation(patientId, 'expired', { channel });
+    return null;
+  }
+
+  return conversation;
+};
+
+/**
+ * Remember the last reply received in a patient's conversation
+ * @param {string} patientId - Patient ID
+ * @param {string} messageId - Inbound message ID
+ * @param {string} channel - Channel of the reply
+ */
+const recordInbound = async (patientId, messageId, channel = 'whatsapp') => {
+  await Conversation.updateOne(
+    { patient: patientId, channel },
+    { lastInboundMessage: messageId },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = {
+  transition,
+  endConversation,
+  getActiveConversation,
+  recordInbound,
+  STATES,
+  config
+};
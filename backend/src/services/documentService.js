@@ -0,0 +1,197 @@
+// File: backend/services/documentService.js
+// Required document checklist: matching files sent by patients and staff review
+//
+// Files arrive as WhatsApp media. They are filed against the appointment the
+// patient is talking about, or else their next appointment that still needs
+// documents, and matched to a checklist item by the caption or filename
+// ("insurance card", or the item number from the request message). A file
+// that matches nothing is left for staff to file by hand.
+
+const moment = require('moment');
+const Appointment = require('../models/appointmentModel');
+const { normalizeText } = require('./intentClassifier');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+const CLOSED_STATUSES = ['cancelled', 'completed', 'no-show'];
+
+const REVIEW_STATUSES = ['missing', 'received', 'accepted', 'rejected'];
+
+// Words that say nothing about which document it is
+const IGNORED_WORDS = ['my', 'the', 'a', 'of', 'mon', 'ma', 'mes', 'le', 'la', 'les', 'de', 'du', 'des', 'voici', 'here', 'is'];
+
+const words = (text) => normalizeText(text)
+  .split(' ')
+  .filter(word => word.length > 1 && !IGNORED_WORDS.includes(word));
+
+/**
+ * Find the checklist item a file is for
+ * @param {Object} appointment - Appointment document
+ * @param {string} text - Caption or filename sent with the file
+ * @returns {Object|null} - Checklist item, or null when it cannot be told
+ */
+const matchChecklistItem = (appointment, text) => {
+  const outstanding = appointment.getOutstandingDocuments();
+
+  if (!outstanding.length) {
+    return null;
+  }
+
+  const normalized = normalizeText(text);
+
+  // "2" refers to the numbered list in the request message
+  if (/^\d+$/.test(normalized)) {
+    const item = appointment.documentChecklist[parseInt(normalized, 10) - 1];
+    return item && outstanding.includes(item) ? item : null;
+  }
+
+  const received = words(text);
+
+  if (received.length) {
+    const scored = outstanding
+      .map(item => ({ item, score: words(item.name).filter(word => received.includes(word)).length }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    // A tie between two documents is left to staff
+    if (scored.length && (scored.length === 1 || scored[0].score > scored[1].score)) {
+      return scored[0].item;
+    }
+  }
+
+  // With a single document left there is nothing to tell apart; staff still
+  // review it before it counts as accepted
+  return outstanding.length === 1 ? outstanding[0] : null;
+};
+
+/**
+ * Find the appointment a patient's file belongs to
+ * @param {string} patientId - Patient ID
+ * @param {Object|null} appointment - Appointment the patient is talking about, if known
+ * @returns {Promise<Object|null>} - Appointment document still expecting documents
+ */
+const findAppointmentForDocument = async (patientId, appointment) => {
+  if (appointment && appointment.getOutstandingDocuments().length && !CLOSED_STATUSES.includes(appointment.status)) {
+    return appointment;
+  }
+
+  return Appointment.findOne({
+    patient: patientId,
+    date: { $gte: moment().startOf('day').toDate() },
+    status: { $nin: CLOSED_STATUSES },
+    documentsStatus: 'incomplete'
+  }).sort({ date: 1, startTime: 1 });
+};
+
+/**
+ * File a received document against a checklist item
+ * @param {Object} appointment - Appointment document
+ * @param {Object} item - Checklist item
+ * @param {Object} attachment - Attachment record of the file
+ * @returns {Promise<Object>} - Saved appointment
+ */
+const recordReceivedDocument = async (appointment, item, attachment) => {
+  item.status = 'received';
+  item.receivedAt = new Date();
+  item.rejectionReason = undefined;
+  item.attachments.push(attachment._id);
+
+  await appointment.save();
+
+  logger.info(`Document "${item.name}" received for appointment ${appointment._id}`);
+  return appointment;
+};
+
+/**
+ * Accept, reject or otherwise update a checklist item
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} itemId - Checklist item ID
+ * @param {Object} review - { status, rejectionReason, attachmentId, userId }
+ * @returns {Promise<Object>} - { appointment, item }
+ */
+const reviewDocument = async (appointmentId, itemId, { status, rejectionReason, attachmentId, userId }) => {
+  const appointment = await Appointment.findById(appointmentId).populate('patient');
+
+  if (!appointment) {
+    throw new ErrorResponse(`Appointment not found with id of ${appointmentId}`, 404);
+  }
+
+  const item = appointment.documentChecklist.id(itemId);
+
+  if (!item) {
+    throw new ErrorResponse(`Document not found with id of ${itemId}`, 404);
+  }
+
+  if (status && !REVIEW_STATUSES.includes(status)) {
+    throw new ErrorResponse(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`, 400);
+  }
+
+  if (status === 'rejected' && !rejectionReason) {
+    throw new ErrorResponse('Please provide a reason for rejecting the document', 400);
+  }
+
+  // Staff can file a document the patient sent without a usable caption
+  if (attachmentId && !item.attachments.some(id => id.toString() === attachmentId.toString())) {
+    item.attachments.push(attachmentId);
+    item.receivedAt = item.receivedAt || new Date();
+
+    if (!status && item.status === 'missing') {
+      item.status = 'received';
+    }
+  }
+
+  if (status) {
+    item.status = status;
+    item.rejectionReason = status === 'rejected' ? rejectionReason : undefined;
+
+    if (['accepted', 'rejected'].includes(status)) {
+      item.reviewedBy = userId;
+      item.reviewedAt = new Date();
+    }
+  }
+
+  await appointment.save();
+
+  logger.info(`Document "${item.name}" of appointment ${appointmentId} is now ${item.status}`);
+  return { appointment, item };
+};
+
+/**
+ * Build the checklist of upcoming appointments that list required documents
+ * but have none yet: they were created before the checklist existed, or
+ * written without going through the model
+ * @returns {Promise<Object>} - { synced }
+ */
+const syncMissingChecklists = async () => {
+  const appointments = await Appointment.find({
+    date: { $gte: moment().startOf('day').toDate() },
+    status: { $nin: CLOSED_STATUSES },
+    'documentsRequired.0': { $exists: true },
+    'documentChecklist.0': { $exists: false }
+  });
+
+  let synced = 0;
+
+  for (const appointment of appointments) {
+    appointment.syncDocumentChecklist();
+
+    if (appointment.documentChecklist.length) {
+      await appointment.save();
+      synced++;
+    }
+  }
+
+  if (synced) {
+    logger.info(`Built the document checklist of ${synced} appointment(s)`);
+  }
+
+  return { synced };
+};
+
+module.exports = {
+  syncMissingChecklists,
+  matchChecklistItem,
+  findAppointmentForDocument,
+  recordReceivedDocument,
+  reviewDocument
+};
@@ -0,0 +1,291 @@
+// File: backend/services/emailService.js
+// Email channel: composes HTML and plain-text emails and delivers them over SMTP
+//
+// EMAIL_PROVIDER picks the transport: 'smtp' sends through SMTP_HOST, 'log' only
+// logs the message, for development. The default is 'smtp' when SMTP_HOST is set
+// and 'log' otherwise. Any catch-all SMTP server (MailHog, Mailpit, smtp4dev)
+// can stand in locally: SMTP_HOST=localhost SMTP_PORT=1025 without credentials.
+// SMTP only tells whether the server accepted the message; bounces come back
+// later, forwarded by the mail server to POST /api/webhooks/email/bounce.
+
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const messageQueue = require('./messageQueue');
+const channels = require('./channels');
+const messageStatusService = require('./messageStatusService');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+const config = {
+  provider: process.env.EMAIL_PROVIDER || (process.env.SMTP_HOST ? 'smtp' : 'log'),
+  from: process.env.EMAIL_FROM || 'appointments@localhost',
+  fromName: process.env.EMAIL_FROM_NAME || process.env.CLINIC_NAME || 'Appointments',
+  replyTo: process.env.EMAIL_REPLY_TO
+};
+
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    connectionTimeout: parseInt(process.env.SMTP_TIMEOUT_MS, 10) || 15000,
+    // Local stand-ins use self-signed certificates
+    tls: { rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false' }
+  }),
+
+  log: () => nodemailer.createTransport({ jsonTransport: true })
+};
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const createTransport = transports[config.provider];
+
+    if (!createTransport) {
+      const error = new Error(`Unknown EMAIL_PROVIDER: ${config.provider}`);
+      error.permanent = true;
+      throw error;
+    }
+
+    transporter = createTransport();
+  }
+
+  return transporter;
+};
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wrap HTML content in the email layout
+ * @param {string} title - Heading
+ * @param {string} body - HTML content (already escaped)
+ * @returns {string}
+ */
+const renderLayout = (title, body) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:6px;">
+    <tr><td style="padding:24px;">
+      <h2 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h2>
+      ${body}
+      <p style="margin:24px 0 0;font-size:12px;color:#7b8794;">${escapeHtml(config.fromName)}</p>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+/**
+ * Plain text to HTML paragraphs
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+const textToHtml = (text) => text
+  .split(/\n{2,}/)
+  .map(paragraph => `<p style="margin:0 0 12px;line-height:1.5;">${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+/**
+ * Compose an appointment reminder email from the reminder template variables
+ * @param {Object} variables - Variables built by sendAppointmentReminder
+ * @returns {Object} - { subject, text, html }
+ */
+const buildReminderEmail = (variables) => {
+  const rows = [
+    ['Date', variables.appointment_date],
+    ['Time', variables.appointment_time],
+    ['Doctor', variables.doctor_name],
+    ['Department', variables.department],
+    ['Location', variables.location]
+  ];
+
+  const text = [
+    `Dear ${variables.patient_name},`,
+    '',
+    'This is a reminder of your upcoming appointment:',
+    '',
+    ...rows.map(([label, value]) => `${label}: ${value}`),
+    '',
+    `Preparation: ${variables.preparation}`,
+    '',
+    'The attached invite adds the appointment to your calendar. If you cannot attend, please let us know.'
+  ].join('\n');
+
+  const html = renderLayout('Appointment reminder', `
+      <p style="margin:0 0 12px;">Dear ${escapeHtml(variables.patient_name)},</p>
+      <p style="margin:0 0 12px;">This is a reminder of your upcoming appointment:</p>
+      <table role="presentation" cellpadding="6" cellspacing="0" style="margin:0 0 16px;border-collapse:collapse;">
+        ${rows.map(([label, value]) => `<tr><td style="color:#7b8794;">${label}</td><td><strong>${escapeHtml(value)}</strong></td></tr>`).join('\n        ')}
+      </table>
+      <p style="margin:0 0 12px;"><strong>Preparation:</strong> ${escapeHtml(variables.preparation)}</p>
+      <p style="margin:0;">The attached invite adds the appointment to your calendar. If you cannot attend, please let us know.</p>`);
+
+  return {
+    subject: `Reminder: your appointment on ${variables.appointment_date}`,
+    text,
+    html
+  };
+};
+
+/**
+ * Queue an email
+ * @param {string} to - Recipient email address
+ * @param {Object} email - { subject, text, html, attachments: [{ filename, content, contentType }] }
+ * @param {Object} context - Message record fields (patient, appointment)
+ * @returns {Promise<Object>} - Queued message record
+ */
+const sendEmail = async (to, email, context = {}) => {
+  try {
+    const address = (to || '').trim().toLowerCase();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      throw new ErrorResponse(`Invalid email address: ${to}`, 400);
+    }
+
+    if (!email.subject || !email.text) {
+      throw new ErrorResponse('An email needs a subject and a text body', 400);
+    }
+
+    const domain = config.from.split('@')[1] || 'localhost';
+
+    const message = await messageQueue.enqueueMessage({
+      ...context,
+      channel: 'email',
+      recipient: address,
+      content: email.text,
+      email: {
+        subject: email.subject,
+        attachments: (email.attachments || []).map(attachment => attachment.filename)
+      },
+      payload: {
+        // Chosen here so retries reuse it and bounces can be matched to the message
+        messageId: `<${uuidv4()}@${domain}>`,
+        from: { name: config.fromName, address: config.from },
+        replyTo: config.replyTo,
+        to: address,
+        subject: email.subject,
+        text: email.text,
+        html: email.html || renderLayout(email.subject, textToHtml(email.text)),
+        attachments: email.attachments || []
+      }
+    });
+
+    logger.info(`Email queued for ${address}: ${email.subject}`);
+
+    return message;
+  } catch (error) {
+    logger.error(`Error queueing email: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Queue a plain text email (channel sendText)
+ * @param {string} to - Recipient email address
+ * @param {string} text - Message text
+ * @param {Object} context - Message record fields; { subject } sets the subject
+ * @returns {Promise<Object>} - Queued message record
+ */
+const sendTextMessage = (to, text, { subject, ...context } = {}) => sendEmail(to, {
+  subject: subject || `Message from ${config.fromName}`,
+  text
+}, context);
+
+/**
+ * Hand a claimed email to the SMTP server
+ * @param {Object} message - Claimed message record
+ * @returns {Promise<Object>} - { externalMessageId }
+ */
+const deliver = async (message) => {
+  try {
+    const info = await getTransporter().sendMail(message.payload);
+
+    if (config.provider === 'log') {
+      logger.info(`[Email log] to ${message.payload.to}: ${message.payload.subject}`);
+    }
+
+    return { externalMessageId: info.messageId || message.payload.messageId };
+  } catch (error) {
+    if (error.permanent) {
+      throw error;
+    }
+
+    // nodemailer errors carry the SMTP reply; 5xx replies and bad credentials
+    // will not change on retry, 4xx replies and connection failures may
+    const failure = new Error(`SMTP ${error.responseCode || error.code || 'error'}: ${error.response || error.message}`);
+    failure.permanent = error.responseCode >= 500 || error.code === 'EAUTH';
+    throw failure;
+  }
+};
+
+/**
+ * Normalize a bounce notification
+ * Accepts a single bounce, an array, or { bounces: [...] }. Each bounce names
+ * the Message-ID of the original email, either directly or inside the raw
+ * delivery status notification (dsn) returned by the mail server.
+ * @param {Object|Array} body - Callback body
+ * @returns {Array<Object>} - Status updates
+ */
+const parseBounceNotifications = (body) => {
+  const items = Array.isArray(body) ? body : body.bounces || [body];
+
+  return items.map(item => {
+    const dsn = typeof item.dsn === 'string' ? item.dsn : '';
+    const fromDsn = (pattern) => {
+      const match = pattern.exec(dsn);
+      return match ? match[1].trim() : undefined;
+    };
+
+    const messageId = item.messageId || item.message_id ||
+      fromDsn(/^Original-Message-ID:\s*(.+)$/im) || fromDsn(/^Message-ID:\s*(.+)$/im);
+    const type = item.type || item.bounceType || 'hard';
+    const reason = item.reason || item.diagnostic ||
+      fromDsn(/^Diagnostic-Code:\s*(.+)$/im) || fromDsn(/^Status:\s*(.+)$/im);
+
+    return {
+      externalMessageId: messageId ? `<${String(messageId).replace(/^<|>$/g, '')}>` : '',
+      status: 'failed',
+      timestamp: item.timestamp ? new Date(item.timestamp) : new Date(),
+      details: `Bounced (${type})${item.recipient ? ` for ${item.recipient}` : ''}${reason ? `: ${reason}` : ''}`,
+      channel: 'email'
+    };
+  });
+};
+
+/**
+ * Record the bounces of a callback as failed messages
+ * @param {Object|Array} body - Callback body
+ * @returns {Promise<Array>} - Result per bounce
+ */
+const processBounces = async (body) => {
+  const results = [];
+
+  for (const update of parseBounceNotifications(body)) {
+    results.push(await messageStatusService.processStatusUpdate(update));
+  }
+
+  return results;
+};
+
+channels.registerChannel('email', {
+  sendText: sendTextMessage,
+  deliver
+});
+
+module.exports = {
+  sendEmail,
+  sendTextMessage,
+  buildReminderEmail,
+  parseBounceNotifications,
+  processBounces,
+  config
+};
@@ -0,0 +1,146 @@
+// File: backend/services/eventBus.js
+// In-process bus for domain events pushed to dashboards and the inbox (GET /api/events)
+//
+// Each event carries the department it belongs to. Admins and staff without a
+// department receive every event of their role; other users only receive
+// events of their department and events not tied to any department. An event
+// addressed to a user (scope.user) reaches that user among the doctors. The last
+// EVENT_BUFFER_SIZE events are kept so a reconnecting client can catch up from
+// its Last-Event-ID. Events only reach clients connected to the instance that
+// published them.
+
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+const BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE, 10) || 500;
+
+// Roles that may receive each event type
+const EVENT_ROLES = {
+  'message.inbound': ['admin', 'staff'],
+  'message.status': ['admin', 'staff'],
+  'appointment.status_changed': ['admin', 'staff', 'doctor'],
+  'reminder.dispatched': ['admin', 'staff'],
+  'questionnaire.red_flag': ['admin', 'staff', 'doctor']
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+const buffer = [];
+let lastId = 0;
+
+// Id of a reference that may be populated
+const toId = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Publish a domain event
+ * @param {string} type - One of EVENT_ROLES
+ * @param {Object} data - Event payload
+ * @param {Object} scope - { department } the event belongs to, { user } the doctor it is for
+ * @returns {Object} - Published event
+ */
+const publish = (type, data, scope = {}) => {
+  const event = {
+    id: ++lastId,
+    type,
+    data,
+    department: toId(scope.department),
+    user: toId(scope.user),
+    occurredAt: new Date()
+  };
+
+  buffer.push(event);
+
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  // A broken stream must never fail the operation that published the event
+  try {
+    emitter.emit('event', event);
+  } catch (error) {
+    logger.error(`Event ${type} delivery error: ${error.message}`);
+  }
+
+  return event;
+};
+
+/**
+ * Whether a user may receive an event
+ * @param {Object} user - Authenticated user
+ * @param {Object} event - Published event
+ * @returns {boolean}
+ */
+const canReceive = (user, event) => {
+  if (!(EVENT_ROLES[event.type] || ['admin']).includes(user.role)) {
+    return false;
+  }
+
+  // Doctors only get the events addressed to them, not those of their colleagues
+  if (user.role === 'doctor' && event.user) {
+    return event.user === toId(user);
+  }
+
+  if (user.role === 'admin' || !user.department || !event.department) {
+    return true;
+  }
+
+  return event.department === toId(user.department);
+};
+
+/**
+ * Receive the events a user may see
+ * @param {Object} user - Authenticated user
+ * @param {Function} listener - Called with each event
+ * @param {Object} options - { lastEventId } to replay missed events, { types } to filter
+ * @returns {Function} - Unsubscribe
+ */
+const subscribe = (user, listener, options = {}) => {
+  const wanted = (event) => canReceive(user, event) &&
+    (!options.types || options.types.includes(event.type));
+
+  if (typeof options.lastEventId === 'number') {
+    buffer
+      .filter(event => event.id > options.lastEventId && wanted(event))
+      .forEach(listener);
+  }
+
+  const handler = (event) => {
+    if (wanted(event)) {
+      listener(event);
+    }
+  };
+
+  emitter.on('event', handler);
+
+  return () => emitter.off('event', handler);
+};
+
+/**
+ * Publish an appointment status change
+ * @param {Object} appointment - Appointment after the change (references may be populated)
+ * @param {string} previousStatus - Status before the change
+ * @param {string} source - 'staff' or 'patient'
+ * @returns {Object} - Published event
+ */
+const publishAppointmentStatus = (appointment, previousStatus, source) => publish(
+  'appointment.status_changed',
+  {
+    appointmentId: toId(appointment),
+    status: appointment.status,
+    previousStatus,
+    source,
+    patientId: toId(appointment.patient),
+    doctorId: toId(appointment.doctor),
+    date: appointment.date,
+    startTime: appointment.startTime
+  },
+  { department: appointment.department }
+);
+
+module.exports = {
+  publish,
+  publishAppointmentStatus,
+  subscribe,
+  EVENT_ROLES
+};
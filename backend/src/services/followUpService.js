@@ -0,0 +1,142 @@
+// File: backend/services/followUpService.js
+// Post-visit satisfaction survey: which surveys are due, reading ratings and comments
+//
+// A completed visit gets a survey FOLLOW_UP_DELAY_HOURS later (see the appointment
+// model). The patient answers with a 0-10 rating and may add a comment; both are
+// stored on the appointment so they can be reported per doctor and department.
+
+const Appointment = require('../models/appointmentModel');
+const { normalizeText } = require('./intentClassifier');
+const logger = require('../utils/logger');
+
+const config = {
+  // How long the patient can answer the survey
+  replyHours: parseInt(process.env.FOLLOW_UP_REPLY_HOURS, 10) || 72
+};
+
+// "8", "8/10", "8 out of 10, very kind staff", "9 sur 10"
+const RATING_PATTERN = /^\s*(10|\d)(?:\s*(?:\/|out of|sur)\s*10)?(?!\d|[.,]\d)[\s.,:;!-]*([\s\S]*)$/i;
+
+// Replies that decline to leave a comment
+const SKIP_WORDS = ['skip', 'no', 'non', 'nothing', 'rien', 'no thanks', 'non merci', 'لا'];
+
+/**
+ * Find completed visits whose survey is due
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - Appointment documents
+ */
+const getDueFollowUps = (now = new Date()) => Appointment.find({
+  status: 'completed',
+  'followUp.status': 'scheduled',
+  'followUp.scheduledFor': { $lte: now }
+});
+
+/**
+ * Mark a survey as sent, unless another run already did
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<boolean>} - Whether this call claimed the send
+ */
+const claimFollowUp = async (appointmentId) => {
+  const result = await Appointment.updateOne(
+    { _id: appointmentId, 'followUp.status': 'scheduled' },
+    { $set: { 'followUp.status': 'sent', 'followUp.sentAt': new Date() } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Put a claimed survey back so the next run retries it
+ * @param {string} appointmentId - Appointment ID
+ */
+const releaseFollowUp = async (appointmentId) => {
+  await Appointment.updateOne(
+    { _id: appointmentId, 'followUp.status': 'sent' },
+    { $set: { 'followUp.status': 'scheduled' }, $unset: { 'followUp.sentAt': '' } }
+  );
+};
+
+/**
+ * Give up on a survey that can never be sent
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} reason - Why it was skipped (e.g. opted_out)
+ */
+const skipFollowUp = async (appointmentId, reason) => {
+  await Appointment.updateOne(
+    { _id: appointmentId },
+    { $set: { 'followUp.status': 'skipped', 'followUp.skipReason': reason } }
+  );
+
+  logger.info(`Follow-up of appointment ${appointmentId} skipped (${reason})`);
+};
+
+/**
+ * Read a 0-10 rating, with an optional comment after it
+ * @param {string} text - Patient reply
+ * @returns {Object|null} - { rating, comment }, or null if the reply is not a rating
+ */
+const parseRating = (text) => {
+  const match = RATING_PATTERN.exec(text || '');
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    rating: parseInt(match[1], 10),
+    comment: match[2].trim() || null
+  };
+};
+
+/**
+ * Whether a reply declines to leave a comment
+ * @param {string} text - Patient reply
+ * @returns {boolean}
+ */
+const isSkipReply = (text) => SKIP_WORDS.includes(normalizeText(text));
+
+/**
+ * Save the rating of a visit
+ * @param {Object} appointment - Appointment document
+ * @param {Object} answer - { rating, comment }
+ * @returns {Promise<Object>} - Saved appointment
+ */
+const recordRating = async (appointment, { rating, comment }) => {
+  appointment.followUp.rating = rating;
+  appointment.followUp.status = 'answered';
+  appointment.followUp.answeredAt = new Date();
+
+  if (comment) {
+    appointment.followUp.comment = comment.slice(0, 1000);
+  }
+
+  await appointment.save();
+
+  logger.info(`Appointment ${appointment._id} rated ${rating}/10`);
+  return appointment;
+};
+
+/**
+ * Save the comment left after the rating
+ * @param {Object} appointment - Appointment document
+ * @param {string} comment - Patient comment
+ * @returns {Promise<Object>} - Saved appointment
+ */
+const recordComment = async (appointment, comment) => {
+  appointment.followUp.comment = comment.trim().slice(0, 1000);
+  await appointment.save();
+
+  return appointment;
+};
+
+module.exports = {
+  getDueFollowUps,
+  claimFollowUp,
+  releaseFollowUp,
+  skipFollowUp,
+  parseRating,
+  isSkipReply,
+  recordRating,
+  recordComment,
+  config
+};
@@ -0,0 +1,237 @@
+// File: backend/services/inboxService.js
+// Staff inbox: one thread per patient with read state, assignment, status and notes
+//
+// Every inbound message lands in the patient's thread, reopens it if it was
+// closed or snoozed and makes it unread for everyone. Staff replies go through
+// the normal outbound queue and are recorded in the thread as well.
+
+const InboxThread = require('../models/inboxThreadModel');
+const Appointment = require('../models/appointmentModel');
+const repositories = require('../repositories');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+const PREVIEW_LENGTH = 160;
+
+/**
+ * Load a thread or throw 404
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Object>} - Thread document
+ */
+const getThreadOrFail = async (threadId) => {
+  const thread = await InboxThread.findById(threadId);
+
+  if (!thread) {
+    throw new ErrorResponse(`Inbox thread not found with id of ${threadId}`, 404);
+  }
+
+  return thread;
+};
+
+/**
+ * File a message in its patient's thread, creating the thread if needed
+ * @param {Object} message - Message document
+ * @param {Object} options - { userId } of the staff member who sent an outbound message
+ * @returns {Promise<Object>} - Updated thread
+ */
+const recordMessage = async (message, options = {}) => {
+  const inbound = message.direction === 'inbound';
+  const update = {
+    $set: {
+      lastMessage: message._id,
+      lastMessageAt: message.createdAt || new Date(),
+      preview: (message.content || '').slice(0, PREVIEW_LENGTH)
+    }
+  };
+
+  if (inbound) {
+    // A new patient message is unread for everyone and brings the thread back
+    Object.assign(update.$set, {
+      lastInboundAt: message.createdAt || new Date(),
+      readBy: [],
+      status: 'open'
+    });
+    update.$unset = { snoozedUntil: '', closedAt: '', closedBy: '' };
+  }
+
+  // New threads start in the department of the appointment they are about
+  if (message.appointment) {
+    const appointment = await Appointment.findById(message.appointment).select('department');
+
+    if (appointment) {
+      update.$setOnInsert = { assignedDepartment: appointment.department };
+    }
+  }
+
+  const thread = await InboxThread.findOneAndUpdate(
+    { patient: message.patient },
+    update,
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (options.userId) {
+    return markRead(thread._id, options.userId);
+  }
+
+  return thread;
+};
+
+/**
+ * Mark a thread as read by a staff user
+ * @param {string} threadId - Thread ID
+ * @param {string} userId - Staff user ID
+ * @returns {Promise<Object>} - Updated thread
+ */
+const markRead = async (threadId, userId) => {
+  await getThreadOrFail(threadId);
+
+  await InboxThread.updateOne({ _id: threadId }, { $pull: { readBy: { user: userId } } });
+
+  return InboxThread.findByIdAndUpdate(
+    threadId,
+    { $push: { readBy: { user: userId, readAt: new Date() } } },
+    { new: true }
+  );
+};
+
+/**
+ * Mark a thread as unread for a staff user
+ * @param {string} threadId - Thread ID
+ * @param {string} userId - Staff user ID
+ * @returns {Promise<Object>} - Updated thread
+ */
+const markUnread = async (threadId, userId) => {
+  await getThreadOrFail(threadId);
+
+  return InboxThread.findByIdAndUpdate(
+    threadId,
+    { $pull: { readBy: { user: userId } } },
+    { new: true }
+  );
+};
+
+/**
+ * Assign a thread to a staff member and/or a department
+ * @param {string} threadId - Thread ID
+ * @param {Object} assignment - { userId, departmentId }; null clears a field, undefined leaves it
+ * @returns {Promise<Object>} - Updated thread
+ */
+const assignThread = async (threadId, { userId, departmentId }) => {
+  const thread = await getThreadOrFail(threadId);
+
+  if (userId) {
+    const user = await repositories.users.findById(userId);
+
+    if (!user) {
+      throw new ErrorResponse(`User not found with id of ${userId}`, 404);
+    }
+  }
+
+  if (departmentId) {
+    const department = await repositories.departments.findById(departmentId);
+
+    if (!department) {
+      throw new ErrorResponse(`Department not found with id of ${departmentId}`, 404);
+    }
+  }
+
+  if (userId !== undefined) {
+    thread.assignedTo = userId || null;
+  }
+
+  if (departmentId !== undefined) {
+    thread.assignedDepartment = departmentId || null;
+  }
+
+  await thread.save();
+
+  logger.info(`Inbox thread ${threadId} assigned to user ${thread.assignedTo || '-'}, department ${thread.assignedDepartment || '-'}`);
+  return thread;
+};
+
+/**
+ * Open, snooze or close a thread
+ * @param {string} threadId - Thread ID
+ * @param {Object} change - { status, snoozedUntil, userId }
+ * @returns {Promise<Object>} - Updated thread
+ */
+const setStatus = async (threadId, { status, snoozedUntil, userId }) => {
+  const thread = await getThreadOrFail(threadId);
+
+  if (!['open', 'snoozed', 'closed'].includes(status)) {
+    throw new ErrorResponse('Status must be open, snoozed or closed', 400);
+  }
+
+  if (status === 'snoozed') {
+    const until = new Date(snoozedUntil);
+
+    if (!snoozedUntil || isNaN(until.getTime()) || until <= new Date()) {
+      throw new ErrorResponse('snoozedUntil must be a date in the future', 400);
+    }
+
+    thread.snoozedUntil = until;
+  } else {
+    thread.snoozedUntil = undefined;
+  }
+
+  if (status === 'closed') {
+    thread.closedAt = new Date();
+    thread.closedBy = userId;
+  } else {
+    thread.closedAt = undefined;
+    thread.closedBy = undefined;
+  }
+
+  thread.status = status;
+  await thread.save();
+
+  return thread;
+};
+
+/**
+ * Add an internal note to a thread (never sent to the patient)
+ * @param {string} threadId - Thread ID
+ * @param {string} text - Note text
+ * @param {string} userId - Author
+ * @returns {Promise<Object>} - Updated thread
+ */
+const addNote = async (threadId, text, userId) => {
+  const thread = await getThreadOrFail(threadId);
+
+  if (!text || !text.trim()) {
+    throw new ErrorResponse('Note text is required', 400);
+  }
+
+  thread.notes.push({ author: userId, text });
+  await thread.save();
+
+  return thread;
+};
+
+/**
+ * Reopen snoozed threads whose snooze time has passed
+ * @returns {Promise<Object>} - { woken }
+ */
+const wakeSnoozedThreads = async () => {
+  const result = await InboxThread.updateMany(
+    { status: 'snoozed', snoozedUntil: { $lte: new Date() } },
+    { $set: { status: 'open' }, $unset: { snoozedUntil: '' } }
+  );
+
+  if (result.modifiedCount) {
+    logger.info(`Reopened ${result.modifiedCount} snoozed inbox thread(s)`);
+  }
+
+  return { woken: result.modifiedCount };
+};
+
+module.exports = {
+  getThreadOrFail,
+  recordMessage,
+  markRead,
+  markUnread,
+  assignThread,
+  setStatus,
+  addNote,
+  wakeSnoozedThreads
+};
@@ -0,0 +1,235 @@
+// File: backend/services/intentClassifier.js
+// Rule-based intent classifier for free-text patient replies (French, Arabic, English)
+//
+// A reply is matched against the phrases in config/intentRules.js. The longest
+// matching phrase wins over phrases it contains ("je viens pas" beats "je viens"),
+// and the confidence grows with the length of the matched phrases and with how
+// much of the reply they explain. Replies that match conflicting actions, or
+// only part of a long message, get a low confidence and are left to staff, and
+// so does a bare "no" (decline), which never cancels an appointment by itself.
+
+const fs = require('fs');
+const defaultRules = require('../config/intentRules');
+const logger = require('../utils/logger');
+
+const ACTION_INTENTS = ['confirm', 'cancel', 'reschedule', 'opt_out'];
+
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.75;
+
+// A lone "no" is always below the threshold: staff decide what it refers to
+const DECLINE_CONFIDENCE = 0.5;
+
+/**
+ * Normalize text for matching: case, accents, Arabic diacritics and letter
+ * variants, punctuation and repeated letters. Any run of a letter becomes a
+ * single one, so emphasis ("ouii", "okkk") matches the plain word; phrases go
+ * through the same normalization, so "good" and "god" look alike to both
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+const normalizeText = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+  .replace(/[أإآ]/g, 'ا')
+  .replace(/ى/g, 'ي')
+  .replace(/ة/g, 'ه')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/(\p{L})\1+/gu, '$1')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Load the rules, adding any extra phrases from INTENT_RULES_FILE
+ * @returns {Object} - Rules in the shape of config/intentRules.js
+ */
+const loadRules = () => {
+  const rules = JSON.parse(JSON.stringify(defaultRules));
+
+  if (!process.env.INTENT_RULES_FILE) {
+    return rules;
+  }
+
+  try {
+    const extra = JSON.parse(fs.readFileSync(process.env.INTENT_RULES_FILE, 'utf8'));
+
+    Object.entries(extra.intents || {}).forEach(([intent, languages]) => {
+      rules.intents[intent] = rules.intents[intent] || {};
+      Object.entries(languages).forEach(([language, phrases]) => {
+        rules.intents[intent][language] = [...(rules.intents[intent][language] || []), ...phrases];
+      });
+    });
+
+    Object.assign(rules.emojis, extra.emojis || {});
+    rules.fillers = [...rules.fillers, ...(extra.fillers || [])];
+
+    logger.info(`Loaded extra intent rules from ${process.env.INTENT_RULES_FILE}`);
+  } catch (error) {
+    logger.error(`Could not load INTENT_RULES_FILE: ${error.message}`);
+  }
+
+  return rules;
+};
+
+const rules = loadRules();
+
+/**
+ * Find every word-aligned occurrence of a phrase
+ * @param {string} padded - Normalized text surrounded by spaces
+ * @param {string} phrase - Normalized phrase
+ * @returns {Array<Object>} - { start, end } character spans
+ */
+const findPhrase = (padded, phrase) => {
+  const spans = [];
+  const needle = ` ${phrase} `;
+  let index = padded.indexOf(needle);
+
+  while (index !== -1) {
+    spans.push({ start: index + 1, end: index + needle.length - 1 });
+    index = padded.indexOf(needle, index + 1);
+  }
+
+  return spans;
+};
+
+// Longer phrases are stronger evidence than single words
+const phraseWeight = (phrase) => {
+  const words = phrase.split(' ').length;
+  return words >= 3 ? 0.8 : words === 2 ? 0.7 : 0.6;
+};
+
+/**
+ * Classify a free-text reply
+ * @param {string} text - Reply text
+ * @param {Object} options - { threshold }
+ * @returns {Object} - { intent, confidence, language, matched, needsReview }
+ */
+const classifyIntent = (text, options = {}) => {
+  const threshold = options.threshold || CONFIDENCE_THRESHOLD;
+  const matches = [];
+
+  // Emojis count as words of their intent
+  let remaining = text || '';
+
+  Object.entries(rules.emojis).forEach(([emoji, intent]) => {
+    while (remaining.includes(emoji)) {
+      remaining = remaining.replace(emoji, ' ');
+      matches.push({ intent, phrase: emoji, language: null, weight: 0.7 });
+    }
+  });
+
+  const normalized = normalizeText(remaining);
+  const padded = ` ${normalized} `;
+  const phraseMatches = [];
+
+  Object.entries(rules.intents).forEach(([intent, languages]) => {
+    Object.entries(languages).forEach(([language, phrases]) => {
+      phrases.forEach(phrase => {
+        const normalizedPhrase = normalizeText(phrase);
+
+        if (!normalizedPhrase) {
+          return;
+        }
+
+        findPhrase(padded, normalizedPhrase).forEach(span => {
+          phraseMatches.push({ intent, language, phrase: normalizedPhrase, weight: phraseWeight(normalizedPhrase), ...span });
+        });
+      });
+    });
+  });
+
+  // Drop phrases contained in a longer matched phrase ("je viens" in "je viens pas")
+  const kept = phraseMatches.filter(match => !phraseMatches.some(other => (
+    other !== match &&
+    other.start <= match.start &&
+    other.end >= match.end &&
+    other.end - other.start > match.end - match.start
+  )));
+
+  matches.push(...kept);
+
+  // Words not explained by a match or a filler word
+  let leftover = padded;
+  kept.forEach(match => {
+    leftover = leftover.slice(0, match.start) + ' '.repeat(match.end - match.start) + leftover.slice(match.end);
+  });
+  rules.fillers.forEach(filler => {
+    const normalizedFiller = normalizeText(filler);
+    findPhrase(leftover, normalizedFiller).forEach(span => {
+      leftover = leftover.slice(0, span.start) + ' '.repeat(span.end - span.start) + leftover.slice(span.end);
+    });
+  });
+  const fullyExplained = leftover.trim() === '';
+
+  // Score each intent by its strongest match, with a small bonus for repeated evidence
+  const scores = {};
+  matches.forEach(match => {
+    const current = scores[match.intent];
+    scores[match.intent] = current
+      ? { ...current, score: Math.min(Math.max(current.score, match.weight) + 0.05, 0.9), matched: [...current.matched, match.phrase] }
+      : { intent: match.intent, score: match.weight, language: match.language, matched: [match.phrase] };
+  });
+
+  const actions = Object.values(scores)
+    .filter(score => ACTION_INTENTS.includes(score.intent))
+    .sort((a, b) => b.score - a.score);
+
+  let result;
+
+  if (actions.length) {
+    const [top, second] = actions;
+    let confidence = top.score;
+
+    if (fullyExplained) {
+      // The whole reply is a single known phrase ("oui") or a phrase plus politeness ("ok merci")
+      confidence = matches.length === 1 && kept.length === 1 && kept[0].phrase === normalized
+        ? 0.95
+        : Math.max(confidence, 0.9);
+    }
+
+    // Conflicting actions ("oui... annuler") lower the confidence, and so does a
+    // "no" next to anything but a cancellation ("oui... non")
+    if (second) {
+      confidence -= second.score * 0.5;
+    }
+
+    if (scores.decline && top.intent !== 'cancel') {
+      confidence -= scores.decline.score * 0.5;
+    }
+
+    result = { intent: top.intent, confidence, language: top.language, matched: top.matched };
+  } else if (scores.decline) {
+    result = {
+      intent: 'decline',
+      confidence: Math.min(scores.decline.score, DECLINE_CONFIDENCE),
+      language: scores.decline.language,
+      matched: scores.decline.matched
+    };
+  } else if (scores.question || (text || '').includes('?') || (text || '').includes('؟')) {
+    result = {
+      intent: 'question',
+      confidence: scores.question ? scores.question.score : 0.7,
+      language: scores.question ? scores.question.language : null,
+      matched: scores.question ? scores.question.matched : []
+    };
+  } else {
+    result = { intent: 'unknown', confidence: 0, language: null, matched: [] };
+  }
+
+  if (!result.language) {
+    result.language = /[\u0600-\u06FF]/.test(text || '') ? 'ar' : null;
+  }
+
+  result.confidence = Math.round(Math.max(result.confidence, 0) * 100) / 100;
+  result.needsReview = result.confidence < threshold;
+
+  return result;
+};
+
+module.exports = {
+  classifyIntent,
+  normalizeText,
+  ACTION_INTENTS,
+  CONFIDENCE_THRESHOLD
+};
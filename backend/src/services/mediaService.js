@@ -0,0 +1,93 @@
+// File: backend/services/mediaService.js
+// Attachments: inbound media downloaded from 1CONFIRMED and files uploaded by staff
+
+const Attachment = require('../models/attachmentModel');
+const confirmedAPI = require('./confirmedClient');
+const attachmentStore = require('./attachmentStore');
+const logger = require('../utils/logger');
+
+// Inbound message types that carry a file
+const MEDIA_TYPES = ['document', 'image', 'audio', 'video', 'sticker'];
+
+/**
+ * Download an inbound media object from the provider
+ * @param {Object} media - Media object of the webhook ({ id, url|link, mime_type })
+ * @returns {Promise<Object>} - { buffer, mimeType }
+ */
+const downloadMedia = async (media) => {
+  let url = media.url || media.link;
+
+  // Media referenced by id is resolved to a short-lived download URL first
+  if (!url) {
+    const { data } = await confirmedAPI.get(`/media/${media.id}`);
+    url = data.url;
+  }
+
+  const response = await confirmedAPI.get(url, { responseType: 'arraybuffer' });
+
+  return {
+    buffer: Buffer.from(response.data),
+    mimeType: media.mime_type || response.headers['content-type']
+  };
+};
+
+/**
+ * Download and store the file of an inbound media message
+ * @param {string} kind - Webhook message type ('document', 'image', ...)
+ * @param {Object} media - Media object of the webhook
+ * @param {Object} context - { patient, message }
+ * @returns {Promise<Object>} - Attachment record; status 'failed' if the file could not be stored
+ */
+const storeInboundMedia = async (kind, media, context) => {
+  const record = {
+    patient: context.patient,
+    message: context.message,
+    direction: 'inbound',
+    kind,
+    filename: media.filename,
+    mimeType: media.mime_type,
+    caption: media.caption,
+    externalMediaId: media.id
+  };
+
+  try {
+    const { buffer, mimeType } = await downloadMedia(media);
+    const stored = await attachmentStore.saveFile(buffer, mimeType);
+
+    return await Attachment.create({ ...record, ...stored, status: 'stored' });
+  } catch (error) {
+    // Keep a trace so staff know a file was sent even if it could not be fetched
+    logger.error(`Could not store inbound ${kind} ${media.id}: ${error.message}`);
+
+    return Attachment.create({ ...record, status: 'failed', error: error.message });
+  }
+};
+
+/**
+ * Store a file uploaded by staff so it can be sent to patients
+ * @param {Buffer} buffer - File contents
+ * @param {Object} details - { mimeType, filename, caption, patient, uploadedBy }
+ * @returns {Promise<Object>} - Attachment record
+ */
+const createUpload = async (buffer, details) => {
+  const stored = await attachmentStore.saveFile(buffer, details.mimeType);
+
+  const attachment = await Attachment.create({
+    ...stored,
+    direction: 'outbound',
+    kind: attachmentStore.getKind(stored.mimeType),
+    filename: details.filename,
+    caption: details.caption,
+    patient: details.patient,
+    uploadedBy: details.uploadedBy
+  });
+
+  logger.info(`Attachment ${attachment._id} uploaded (${attachment.mimeType}, ${attachment.size} bytes)`);
+  return attachment;
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  storeInboundMedia,
+  createUpload
+};
@@ -0,0 +1,355 @@
+// File: backend/services/messageQueue.js
+// Durable outbound message queue
+//
+// Every outbound message is stored as a `queued` Message before anything is
+// sent. The worker claims due messages, delivers them through the provider of
+// their channel (see channels.js) and retries retryable failures with
+// exponential backoff. Permanent failures and messages that run out of attempts
+// are moved to `dead_letter` for staff review.
+// The scheduler polls the queue (see schedulerService); new messages are also
+// delivered right away.
+
+const Message = require('../models/messageModel');
+const Appointment = require('../models/appointmentModel');
+const channels = require('./channels');
+const consentService = require('./consentService');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+const config = {
+  maxAttempts: parseInt(process.env.MESSAGE_QUEUE_MAX_ATTEMPTS, 10) || 5,
+  baseDelayMs: parseInt(process.env.MESSAGE_QUEUE_BASE_DELAY_MS, 10) || 30 * 1000,
+  maxDelayMs: parseInt(process.env.MESSAGE_QUEUE_MAX_DELAY_MS, 10) || 60 * 60 * 1000,
+  lockMs: parseInt(process.env.MESSAGE_QUEUE_LOCK_MS, 10) || 60 * 1000,
+  batchSize: parseInt(process.env.MESSAGE_QUEUE_BATCH_SIZE, 10) || 50
+};
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits and server errors
+const RETRYABLE_STATUS_CODES = [408, 409, 425, 429];
+
+let processing = false;
+
+/**
+ * Classify a provider error as retryable or permanent
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {string} - 'retryable' or 'permanent'
+ */
+const classifyError = (error) => {
+  if (error.permanent) {
+    return 'permanent';
+  }
+
+  // No response at all: network failure or timeout
+  if (!error.response) {
+    return 'retryable';
+  }
+
+  const { status } = error.response;
+
+  if (status >= 500 || RETRYABLE_STATUS_CODES.includes(status)) {
+    return 'retryable';
+  }
+
+  return 'permanent';
+};
+
+/**
+ * Compute the delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @param {Error} error - Last delivery error
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts, error) => {
+  // Honour the provider's Retry-After header on rate limits
+  const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (retryAfter && !isNaN(parseInt(retryAfter, 10))) {
+    return Math.min(parseInt(retryAfter, 10) * 1000, config.maxDelayMs);
+  }
+
+  const exponential = config.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+  const jitter = Math.random() * config.baseDelayMs;
+
+  return Math.min(exponential + jitter, config.maxDelayMs);
+};
+
+const describeError = (error) => {
+  if (error.response) {
+    return `${error.response.status}: ${JSON.stringify(error.response.data)}`;
+  }
+  return error.code ? `${error.code}: ${error.message}` : error.message;
+};
+
+/**
+ * Move the reminder linked to a message from one status to another
+ * @param {Object} message - Message record
+ * @param {string} status - New reminder status
+ * @param {Array<string>} fromStatuses - Statuses the reminder may currently have
+ */
+const setReminderStatus = async (message, status, fromStatuses) => {
+  if (!message.appointment) {
+    return;
+  }
+
+  await Appointment.updateOne(
+    {
+      _id: message.appointment,
+      reminders: {
+        $elemMatch: {
+          messageId: message._id.toString(),
+          status: { $in: fromStatuses }
+        }
+      }
+    },
+    { $set: { 'reminders.$.status': status } }
+  );
+};
+
+/**
+ * Persist an outbound message and schedule it for delivery
+ * @param {Object} data - Message fields (patient, recipient, payload, content, idempotencyKey, ...)
+ *   bypassConsent: true skips the opt-out check (only for the opt-out confirmation itself)
+ * @returns {Promise<Object>} - Queued message record
+ */
+const enqueueMessage = async ({ bypassConsent, ...data }) => {
+  // Opted-out patients never receive messages, whatever the send path
+  if (data.patient && !bypassConsent) {
+    await consentService.assertCanMessage(data.patient, data.channel || 'whatsapp');
+  }
+
+  let message;
+
+  try {
+    message = await Message.create({
+      ...data,
+      direction: 'outbound',
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: new Date()
+    });
+  } catch (error) {
+    // A message with this idempotency key was already queued: never send it twice
+    if (error.code === 11000 && data.idempotencyKey) {
+      logger.warn(`Message with idempotency key ${data.idempotencyKey} already queued`);
+      return Message.findOne({ idempotencyKey: data.idempotencyKey });
+    }
+    throw error;
+  }
+
+  logger.info(`Message ${message._id} queued for ${message.recipient}`);
+
+  // Deliver right away instead of waiting for the next worker tick
+  setImmediate(() => {
+    processQueue().catch(error => logger.error(`Message queue error: ${error.message}`));
+  });
+
+  return message;
+};
+
+/**
+ * Atomically claim the next due message so concurrent workers never send it twice
+ * @returns {Promise<Object|null>} - Claimed message or null
+ */
+const claimNextMessage = async () => {
+  const now = new Date();
+
+  return Message.findOneAndUpdate(
+    {
+      direction: 'outbound',
+      status: 'queued',
+      nextAttemptAt: { $lte: now },
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + config.lockMs) } },
+    { sort: { nextAttemptAt: 1, _id: 1 }, new: true }
+  );
+};
+
+/**
+ * Record the outcome of a delivery attempt, unless the message stopped being
+ * queued in the meantime (e.g. discarded in favour of a fallback): that status
+ * is never overwritten
+ * @param {Object} message - Claimed message record
+ * @param {Object} update - Fields to set
+ * @returns {Promise<boolean>} - Whether the outcome was recorded
+ */
+const recordAttempt = async (message, update) => {
+  const result = await Message.updateOne(
+    { _id: message._id, status: 'queued' },
+    { $set: update }
+  );
+
+  if (result.modifiedCount !== 1) {
+    logger.warn(`Message ${message._id} is no longer queued, delivery outcome not recorded`);
+    return false;
+  }
+
+  message.set(update);
+  return true;
+};
+
+/**
+ * Deliver a single claimed message to the provider
+ * @param {Object} message - Claimed message record
+ * @returns {Promise<string>} - Outcome: 'sent', 'retry' or 'dead_letter'
+ */
+const deliverMessage = async (message) => {
+  const attempts = message.attempts + 1;
+
+  try {
+    const { externalMessageId } = await channels.getChannel(message.channel || 'whatsapp').deliver(message);
+
+    const recorded = await recordAttempt(message, {
+      attempts,
+      status: 'sent',
+      sentAt: new Date(),
+      externalMessageId,
+      lockedUntil: null,
+      nextAttemptAt: null
+    });
+
+    if (recorded) {
+      await setReminderStatus(message, 'sent', ['pending']);
+    }
+
+    logger.info(`Message ${message._id} sent to ${message.recipient} (attempt ${attempts})`);
+    return 'sent';
+  } catch (error) {
+    const errorType = classifyError(error);
+    const lastError = describeError(error);
+    const failure = {
+      attempts,
+      lastError,
+      errorType,
+      lockedUntil: null
+    };
+
+    if (errorType === 'retryable' && attempts < config.maxAttempts) {
+      const delay = getRetryDelay(attempts, error);
+      await recordAttempt(message, { ...failure, nextAttemptAt: new Date(Date.now() + delay) });
+
+      logger.warn(`Message ${message._id} delivery failed (${lastError}), retrying in ${Math.round(delay / 1000)}s`);
+      return 'retry';
+    }
+
+    const recorded = await recordAttempt(message, {
+      ...failure,
+      status: 'dead_letter',
+      statusDetails: lastError,
+      failedAt: new Date(),
+      deadLetteredAt: new Date(),
+      nextAttemptAt: null
+    });
+
+    if (recorded) {
+      await setReminderStatus(message, 'failed', ['pending']);
+    }
+
+    logger.error(`Message ${message._id} moved to dead letter after ${attempts} attempt(s): ${lastError}`);
+    return 'dead_letter';
+  }
+};
+
+/**
+ * Deliver all due queued messages
+ * @returns {Promise<Object>} - Counts per outcome
+ */
+const processQueue = async () => {
+  const results = {
+    sent: 0,
+    retry: 0,
+    dead_letter: 0
+  };
+
+  // A single worker per process; other instances are kept apart by the claim lock
+  if (processing) {
+    return results;
+  }
+
+  processing = true;
+
+  try {
+    for (let i = 0; i < config.batchSize; i++) {
+      const message = await claimNextMessage();
+
+      if (!message) {
+        break;
+      }
+
+      const outcome = await deliverMessage(message);
+      results[outcome]++;
+    }
+  } finally {
+    processing = false;
+  }
+
+  return results;
+};
+
+/**
+ * Put a failed or dead-lettered message back in the queue
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object>} - Requeued message
+ */
+const retryMessage = async (messageId) => {
+  const message = await Message.findById(messageId);
+
+  if (!message) {
+    throw new ErrorResponse(`Message not found with id of ${messageId}`, 404);
+  }
+
+  if (!['dead_letter', 'failed'].includes(message.status)) {
+    throw new ErrorResponse(`Only failed messages can be retried (status is ${message.status})`, 400);
+  }
+
+  message.status = 'queued';
+  message.attempts = 0;
+  message.nextAttemptAt = new Date();
+  message.lockedUntil = null;
+  message.externalMessageId = undefined;
+  message.failedAt = undefined;
+  message.deadLetteredAt = undefined;
+  await message.save();
+
+  await setReminderStatus(message, 'pending', ['failed']);
+
+  setImmediate(() => {
+    processQueue().catch(error => logger.error(`Message queue error: ${error.message}`));
+  });
+
+  logger.info(`Message ${message._id} requeued`);
+  return message;
+};
+
+/**
+ * Discard a failed or dead-lettered message so it is no longer offered for retry
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object>} - Discarded message
+ */
+const discardMessage = async (messageId) => {
+  const message = await Message.findById(messageId);
+
+  if (!message) {
+    throw new ErrorResponse(`Message not found with id of ${messageId}`, 404);
+  }
+
+  if (!['dead_letter', 'failed'].includes(message.status)) {
+    throw new ErrorResponse(`Only failed messages can be discarded (status is ${message.status})`, 400);
+  }
+
+  message.status = 'discarded';
+  await message.save();
+
+  logger.info(`Message ${message._id} discarded`);
+  return message;
+};
+
+module.exports = {
+  enqueueMessage,
+  processQueue,
+  retryMessage,
+  discardMessage,
+  classifyError
+};
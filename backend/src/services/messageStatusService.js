@@ -0,0 +1,162 @@
+// File: backend/services/messageStatusService.js
+// Delivery statuses of outbound messages, whatever channel reported them
+//
+// Providers report sent, delivered, read and failed through their own webhooks;
+// each channel normalizes its callbacks to { externalMessageId, status,
+// timestamp, details } and hands them to processStatusUpdate().
+
+const Appointment = require('../models/appointmentModel');
+const Message = require('../models/messageModel');
+const eventBus = require('./eventBus');
+const logger = require('../utils/logger');
+
+// Order in which delivery statuses progress; an update never moves a message backwards
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3
+};
+
+/**
+ * Check whether a status update may be applied on top of the current status
+ * @param {string} currentStatus - Status currently stored
+ * @param {string} newStatus - Status reported by the provider
+ * @returns {boolean} - True if the new status moves the message forward
+ */
+const canApplyStatus = (currentStatus, newStatus) => {
+  if (currentStatus === newStatus) {
+    return false;
+  }
+
+  // A failure is terminal and only applies to messages that never reached the patient;
+  // discarded and dead-lettered messages stay that way whatever arrives late
+  if (['failed', 'discarded', 'dead_letter'].includes(currentStatus)) {
+    return false;
+  }
+
+  if (newStatus === 'failed') {
+    return (STATUS_RANK[currentStatus] || 0) < STATUS_RANK.delivered;
+  }
+
+  return (STATUS_RANK[newStatus] || 0) > (STATUS_RANK[currentStatus] || 0);
+};
+
+/**
+ * Apply a delivery status to the appointment reminder linked to a message
+ * @param {Object} message - Message record
+ * @param {string} status - New reminder status
+ * @returns {Promise<Object|null>} - Updated appointment or null if no reminder matched
+ */
+const updateReminderStatus = async (message, status) => {
+  if (!message.appointment) {
+    return null;
+  }
+
+  const appointment = await Appointment.findOne({
+    _id: message.appointment,
+    'reminders.messageId': message._id.toString()
+  });
+
+  if (!appointment) {
+    return null;
+  }
+
+  const reminder = appointment.reminders.find(
+    item => item.messageId === message._id.toString()
+  );
+
+  if (!canApplyStatus(reminder.status, status)) {
+    return null;
+  }
+
+  reminder.status = status;
+  await appointment.save();
+
+  return appointment;
+};
+
+/**
+ * Process a delivery status callback (sent, delivered, read, failed)
+ * @param {Object} update - Normalized status update; { channel } restricts the
+ *   lookup to messages of that channel
+ * @returns {Promise<Object>} - Result of the update
+ */
+const processStatusUpdate = async (update) => {
+  try {
+    const { externalMessageId, status, timestamp, details, channel } = update;
+
+    if (!externalMessageId || !['sent', 'delivered', 'read', 'failed'].includes(status)) {
+      logger.warn(`Ignoring invalid status update: ${JSON.stringify(update)}`);
+      return { success: false, error: 'Invalid status update' };
+    }
+
+    // Ids are only unique per provider
+    const message = await Message.findOne({
+      externalMessageId,
+      direction: 'outbound',
+      ...(channel ? { channel } : {})
+    });
+
+    if (!message) {
+      logger.warn(`Received status update for unknown message: ${externalMessageId}`);
+      return { success: false, error: 'Message not found' };
+    }
+
+    if (!canApplyStatus(message.status, status)) {
+      logger.info(`Ignoring ${status} status for message ${externalMessageId} (currently ${message.status})`);
+      return { success: true, applied: false, message };
+    }
+
+    message.status = status;
+
+    switch (status) {
+      case 'sent':
+        message.sentAt = message.sentAt || timestamp;
+        break;
+      case 'delivered':
+        message.deliveredAt = timestamp;
+        break;
+      case 'read':
+        // A read receipt implies delivery even if the delivered callback was lost
+        message.deliveredAt = message.deliveredAt || timestamp;
+        message.readAt = timestamp;
+        break;
+      case 'failed':
+        message.failedAt = timestamp;
+        break;
+    }
+
+    if (details) {
+      message.statusDetails = details;
+    }
+
+    await message.save();
+    await updateReminderStatus(message, status);
+
+    const appointment = message.appointment
+      ? await Appointment.findById(message.appointment).select('department')
+      : null;
+
+    eventBus.publish('message.status', {
+      messageId: message._id,
+      externalMessageId,
+      status,
+      statusDetails: message.statusDetails,
+      patientId: message.patient,
+      appointmentId: message.appointment
+    }, { department: appointment && appointment.department });
+
+    logger.info(`Message ${externalMessageId} marked as ${status}`);
+
+    return { success: true, applied: true, message };
+  } catch (error) {
+    logger.error(`Error processing status update: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  processStatusUpdate,
+  canApplyStatus
+};
@@ -0,0 +1,323 @@
+// File: backend/services/questionnaireService.js
+// Pre-visit questionnaires: which are due, reading answers and raising red flags
+//
+// A questionnaire goes out sendBeforeHours before the visit and is answered one
+// question at a time. Answers are stored on the appointment under the question
+// key; answering a question again replaces the earlier answer. A red-flag answer
+// is stored as an alert on the appointment, listed until it is acknowledged, and
+// pushed live to the appointment's doctor and the department staff.
+
+const moment = require('moment');
+const Appointment = require('../models/appointmentModel');
+const Questionnaire = require('../models/questionnaireModel');
+const eventBus = require('./eventBus');
+const { normalizeText } = require('./intentClassifier');
+const logger = require('../utils/logger');
+
+// Appointments that are still going ahead
+const OPEN_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+/**
+ * Find appointments whose questionnaire is due
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - [{ appointment, questionnaire }]
+ */
+const getDueQuestionnaires = async (now = new Date()) => {
+  const questionnaires = await Questionnaire.find({ isActive: true }).select('sendBeforeHours');
+
+  if (!questionnaires.length) {
+    return [];
+  }
+
+  const windowHours = Math.max(...questionnaires.map(questionnaire => questionnaire.sendBeforeHours));
+
+  const appointments = await Appointment.find({
+    date: {
+      $gte: moment(now).startOf('day').toDate(),
+      $lte: moment(now).add(windowHours, 'hours').toDate()
+    },
+    status: { $in: OPEN_STATUSES },
+    'questionnaire.status': { $exists: false }
+  });
+
+  const due = [];
+
+  for (const appointment of appointments) {
+    const start = appointment.getStartDateTime();
+
+    if (start <= now) {
+      continue;
+    }
+
+    const questionnaire = await Questionnaire.findForAppointment(appointment);
+
+    if (questionnaire && moment(start).subtract(questionnaire.sendBeforeHours, 'hours').toDate() <= now) {
+      due.push({ appointment, questionnaire });
+    }
+  }
+
+  return due;
+};
+
+/**
+ * Mark a questionnaire as sent, unless it already was
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} questionnaireId - Questionnaire ID
+ * @param {boolean} resend - Start over even if it was sent before
+ * @returns {Promise<boolean>} - Whether this call claimed the send
+ */
+const claimQuestionnaire = async (appointmentId, questionnaireId, resend = false) => {
+  const filter = { _id: appointmentId };
+
+  if (!resend) {
+    filter['questionnaire.status'] = { $exists: false };
+  }
+
+  const result = await Appointment.updateOne(filter, {
+    $set: {
+      questionnaire: {
+        questionnaire: questionnaireId,
+        status: 'sent',
+        sentAt: new Date(),
+        answers: [],
+        hasRedFlags: false
+      }
+    }
+  });
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Close questionnaires of appointments that have passed without being completed
+ * @returns {Promise<number>} - Number of questionnaires expired
+ */
+const expireQuestionnaires = async () => {
+  const result = await Appointment.updateMany(
+    {
+      date: { $lt: moment().startOf('day').toDate() },
+      'questionnaire.status': { $in: ['sent', 'in_progress'] }
+    },
+    { $set: { 'questionnaire.status': 'expired' } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * First question of a questionnaire the appointment has no answer to
+ * @param {Object} questionnaire - Questionnaire document
+ * @param {Object} appointment - Appointment document
+ * @returns {Object|null} - Question, or null when every question is answered
+ */
+const getNextQuestion = (questionnaire, appointment) => {
+  const answered = appointment.questionnaire.answers.map(answer => answer.key);
+
+  return questionnaire.questions.find(question => !answered.includes(question.key)) || null;
+};
+
+/**
+ * Read a patient's answer to a question
+ * @param {Object} question - Questionnaire question
+ * @param {Object} reply - { optionId } from a button or list reply, or { text }
+ * @returns {Object|null} - { answer, optionId, redFlag }, or null if the reply does not answer it
+ */
+const parseAnswer = (question, { optionId, text }) => {
+  if (question.answerType === 'text') {
+    const answer = (text || '').trim();
+
+    if (!answer) {
+      return null;
+    }
+
+    const words = ` ${normalizeText(answer)} `;
+    const redFlag = question.redFlagKeywords
+      .some(keyword => normalizeText(keyword) && words.includes(` ${normalizeText(keyword)} `));
+
+    return { answer, redFlag };
+  }
+
+  // Typed answers may give the option title, its id or its number
+  const typed = normalizeText(text);
+  const option = optionId
+    ? question.options.find(candidate => candidate.id === optionId.toLowerCase())
+    : question.options.find((candidate, index) =>
+      typed === normalizeText(candidate.title) || typed === normalizeText(candidate.id) || typed === String(index + 1));
+
+  return option ? { answer: option.title, optionId: option.id, redFlag: option.redFlag } : null;
+};
+
+/**
+ * Save an answer on the appointment
+ * @param {Object} appointment - Appointment document
+ * @param {Object} questionnaire - Questionnaire document
+ * @param {Object} question - Question answered
+ * @param {Object} parsed - Result of parseAnswer()
+ * @returns {Promise<Object>} - { appointment, nextQuestion }
+ */
+const recordAnswer = async (appointment, questionnaire, question, parsed) => {
+  const state = appointment.questionnaire;
+
+  state.answers = state.answers.filter(answer => answer.key !== question.key);
+  state.answers.push({
+    key: question.key,
+    question: question.text,
+    answer: parsed.answer,
+    optionId: parsed.optionId,
+    redFlag: parsed.redFlag,
+    answeredAt: new Date()
+  });
+  state.hasRedFlags = state.answers.some(answer => answer.redFlag);
+
+  if (parsed.redFlag) {
+    const doctor = appointment.doctor || {};
+
+    state.alerts.push({
+      key: question.key,
+      question: question.text,
+      answer: parsed.answer,
+      doctorUser: doctor.user
+    });
+  }
+
+  const nextQuestion = getNextQuestion(questionnaire, appointment);
+
+  if (nextQuestion) {
+    state.status = 'in_progress';
+  } else if (state.status !== 'completed') {
+    state.status = 'completed';
+    state.completedAt = new Date();
+  }
+
+  await appointment.save();
+
+  if (parsed.redFlag) {
+    raiseRedFlag(appointment, state.alerts[state.alerts.length - 1]);
+  }
+
+  return { appointment, nextQuestion };
+};
+
+/**
+ * Push a stored red-flag alert to the appointment's doctor and department staff
+ * Connected clients get it at once; everyone else finds it with getOpenAlerts().
+ * @param {Object} appointment - Appointment (doctor may be populated)
+ * @param {Object} alert - Alert subdocument
+ * @returns {Object} - Published event
+ */
+const raiseRedFlag = (appointment, alert) => {
+  logger.warn(`Red-flag answer to ${alert.key} for appointment ${appointment._id}`);
+
+  const doctor = appointment.doctor || {};
+
+  return eventBus.publish('questionnaire.red_flag', {
+    alertId: alert._id,
+    appointmentId: appointment._id,
+    patientId: appointment.patient && (appointment.patient._id || appointment.patient),
+    doctorId: doctor._id || doctor,
+    doctorUserId: alert.doctorUser,
+    date: appointment.date,
+    startTime: appointment.startTime,
+    question: alert.question,
+    key: alert.key,
+    answer: alert.answer
+  }, { department: appointment.department, user: alert.doctorUser });
+};
+
+/**
+ * Appointment filter for the alerts a user is responsible for: doctors see the
+ * alerts of their own appointments, staff those of their department
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Appointment query
+ */
+const alertScope = (user) => {
+  if (user.role === 'doctor') {
+    return { 'questionnaire.alerts.doctorUser': user._id };
+  }
+
+  if (user.role !== 'admin' && user.department) {
+    return { department: user.department };
+  }
+
+  return {};
+};
+
+/**
+ * Red-flag alerts not acknowledged yet, oldest first
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array>} - Alerts, each with its appointment
+ */
+const getOpenAlerts = async (user) => {
+  const appointments = await Appointment.find({
+    ...alertScope(user),
+    'questionnaire.alerts': { $elemMatch: { acknowledgedAt: { $exists: false } } }
+  })
+    .select('date startTime status patient doctor department questionnaire.alerts')
+    .populate('patient', 'name phoneNumber')
+    .populate('doctor', 'name')
+    .populate('department', 'name');
+
+  const isMine = (alert) => user.role !== 'doctor' ||
+    (alert.doctorUser && alert.doctorUser.toString() === user._id.toString());
+
+  return appointments
+    .flatMap(appointment => appointment.questionnaire.alerts
+      .filter(alert => !alert.acknowledgedAt && isMine(alert))
+      .map(alert => ({
+        ...alert.toObject(),
+        appointment: {
+          _id: appointment._id,
+          date: appointment.date,
+          startTime: appointment.startTime,
+          status: appointment.status,
+          patient: appointment.patient,
+          doctor: appointment.doctor,
+          department: appointment.department
+        }
+      })))
+    .sort((a, b) => a.raisedAt - b.raisedAt);
+};
+
+/**
+ * Acknowledge a red-flag alert
+ * @param {string} alertId - Alert subdocument ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object|null>} - Acknowledged alert, or null when the user has
+ *   no such alert (or it was already acknowledged)
+ */
+const acknowledgeAlert = async (alertId, user) => {
+  // A doctor's scope is matched inside $elemMatch so the positional update
+  // targets the alert being acknowledged
+  const appointment = await Appointment.findOneAndUpdate(
+    {
+      ...(user.role === 'doctor' ? {} : alertScope(user)),
+      'questionnaire.alerts': {
+        $elemMatch: {
+          _id: alertId,
+          acknowledgedAt: { $exists: false },
+          ...(user.role === 'doctor' ? { doctorUser: user._id } : {})
+        }
+      }
+    },
+    {
+      $set: {
+        'questionnaire.alerts.$.acknowledgedAt': new Date(),
+        'questionnaire.alerts.$.acknowledgedBy': user._id
+      }
+    },
+    { new: true }
+  );
+
+  return appointment ? appointment.questionnaire.alerts.id(alertId) : null;
+};
+
+module.exports = {
+  getDueQuestionnaires,
+  claimQuestionnaire,
+  expireQuestionnaires,
+  getNextQuestion,
+  parseAnswer,
+  recordAnswer,
+  getOpenAlerts,
+  acknowledgeAlert
+};
@@ -0,0 +1,253 @@
+// File: backend/services/reminderFallbackService.js
+// Reminder fallbacks: which reminders did not reach the patient and where to resend them
+//
+// A reminder policy can say what happens when a reminder fails on its channel,
+// or is not delivered in time: it is sent again on the next channel of the
+// fallback rule that the patient accepts (Patient.communicationPreferences).
+// Every attempt is its own Message, linked to the attempt it replaced, and the
+// reminder always points at the latest one so its status (and the analytics)
+// show the channel that finally reached the patient.
+
+const Appointment = require('../models/appointmentModel');
+const ReminderPolicy = require('../models/reminderPolicyModel');
+const Message = require('../models/messageModel');
+const logger = require('../utils/logger');
+
+// Email has no delivery receipts: an accepted email stays 'sent', so only a
+// failure or a bounce can trigger its fallback
+const CHANNELS_WITH_RECEIPTS = ['whatsapp', 'sms'];
+
+/**
+ * Why a reminder message calls for a fallback
+ * @param {Object} rule - Policy fallback rule
+ * @param {Object} message - Message now carrying the reminder
+ * @param {Date} now - Reference time
+ * @returns {string|null} - 'failed', 'not_delivered' or null
+ */
+const getFallbackReason = (rule, message, now = new Date()) => {
+  if (['failed', 'dead_letter'].includes(message.status)) {
+    return rule.onFailure ? 'failed' : null;
+  }
+
+  if (['queued', 'sent'].includes(message.status) && rule.deliveryTimeoutMinutes &&
+      CHANNELS_WITH_RECEIPTS.includes(message.channel) &&
+      now - message.createdAt >= rule.deliveryTimeoutMinutes * 60 * 1000) {
+    return 'not_delivered';
+  }
+
+  return null;
+};
+
+/**
+ * Next channel to try: the first one of the rule that has not been tried yet,
+ * that the patient accepts and that has an address for the patient
+ * @param {Object} rule - Policy fallback rule
+ * @param {Object} reminder - Reminder subdocument
+ * @param {Object} patient - Patient document
+ * @returns {string|null}
+ */
+const chooseFallbackChannel = (rule, reminder, patient) => {
+  if (patient.optOut) {
+    return null;
+  }
+
+  const preferences = patient.communicationPreferences || {};
+  const tried = [reminder.type, reminder.channel, ...(reminder.fallbacks || []).map(item => item.channel)];
+
+  const accepts = (channel) => (channel === 'whatsapp' ? preferences.whatsapp !== false : preferences[channel] === true);
+  const reachable = (channel) => (channel === 'email' ? Boolean(patient.email) : Boolean(patient.phoneNumber));
+
+  return rule.channels.find(channel => !tried.includes(channel) && accepts(channel) && reachable(channel)) || null;
+};
+
+/**
+ * Find the reminders that need a fallback
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - [{ appointment, reminder, reason, channel }]; channel is
+ *   null when no channel is left to try
+ */
+const getDueFallbacks = async (now = new Date()) => {
+  const appointments = await Appointment.find({
+    reminders: {
+      $elemMatch: {
+        sent: true,
+        status: { $in: ['pending', 'sent', 'failed'] },
+        policy: { $ne: null },
+        fallbackExhausted: { $ne: true }
+      }
+    },
+    date: { $gte: new Date(now.getFullYear(), now.getMonth(), now.getDate()) },
+    status: { $nin: ['cancelled', 'completed', 'no-show'] }
+  })
+    .populate('patient')
+    .populate('doctor')
+    .populate('department');
+
+  const policies = {};
+  const due = [];
+
+  for (const appointment of appointments) {
+    // Too late to remind anyone
+    if (appointment.getStartDateTime() <= now) {
+      continue;
+    }
+
+    for (const reminder of appointment.reminders) {
+      if (!reminder.sent || !reminder.policy || reminder.fallbackExhausted ||
+          !['pending', 'sent', 'failed'].includes(reminder.status)) {
+        continue;
+      }
+
+      const policyId = reminder.policy.toString();
+
+      if (!(policyId in policies)) {
+        policies[policyId] = await ReminderPolicy.findById(policyId);
+      }
+
+      const policy = policies[policyId];
+      const rule = policy && policy.isActive &&
+        (policy.fallbacks || []).find(item => item.channel === (reminder.channel || reminder.type));
+
+      if (!rule) {
+        continue;
+      }
+
+      const message = reminder.messageId && await Message.findById(reminder.messageId);
+      const reason = message && getFallbackReason(rule, message, now);
+
+      if (!reason) {
+        continue;
+      }
+
+      due.push({
+        appointment,
+        reminder,
+        reason,
+        channel: chooseFallbackChannel(rule, reminder, appointment.patient)
+      });
+    }
+  }
+
+  return due;
+};
+
+/**
+ * Point a reminder at its fallback message, unless another run already did
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} reminder - Reminder subdocument (as read, with its current messageId)
+ * @param {Object} fallback - { channel, reason, messageId }
+ * @returns {Promise<boolean>} - Whether this call claimed the fallback
+ */
+const claimFallback = async (appointmentId, reminder, { channel, reason, messageId }) => {
+  const result = await Appointment.updateOne(
+    {
+      _id: appointmentId,
+      reminders: { $elemMatch: { _id: reminder._id, messageId: reminder.messageId } }
+    },
+    {
+      $set: {
+        'reminders.$.messageId': messageId.toString(),
+        'reminders.$.channel': channel,
+        'reminders.$.status': 'pending'
+      },
+      $push: {
+        'reminders.$.fallbacks': {
+          channel,
+          reason,
+          previousMessageId: reminder.messageId,
+          messageId: messageId.toString(),
+          createdAt: new Date()
+        }
+      }
+    }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Point a reminder back at the previous attempt when its fallback could not be
+ * queued; the channel stays in the fallback history so the next run tries the
+ * one after it
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} reminder - Reminder subdocument as it was before the claim
+ * @param {string} messageId - ID the fallback message would have had
+ * @param {string} error - Why it could not be queued
+ */
+const releaseFallback = async (appointmentId, reminder, messageId, error) => {
+  await Appointment.updateOne(
+    { _id: appointmentId },
+    {
+      $set: {
+        'reminders.$[reminder].messageId': reminder.messageId,
+        'reminders.$[reminder].channel': reminder.channel || reminder.type,
+        'reminders.$[reminder].status': reminder.status,
+        'reminders.$[reminder].fallbacks.$[fallback].error': error
+      }
+    },
+    {
+      arrayFilters: [
+        { 'reminder._id': reminder._id },
+        { 'fallback.messageId': messageId.toString() }
+      ]
+    }
+  );
+};
+
+/**
+ * Record that a reminder has no channel left to fall back to
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} reminderId - Reminder subdocument ID
+ */
+const markFallbackExhausted = async (appointmentId, reminderId) => {
+  await Appointment.updateOne(
+    { _id: appointmentId, 'reminders._id': reminderId },
+    { $set: { 'reminders.$.fallbackExhausted': true } }
+  );
+
+  logger.info(`Reminder ${reminderId} of appointment ${appointmentId} has no fallback channel left`);
+};
+
+/**
+ * Link a replaced attempt to its fallback; an attempt still waiting in the
+ * queue is discarded so the patient does not get the reminder twice. One that
+ * a worker has claimed is being sent right now and is left alone
+ * @param {string} previousMessageId - Replaced message ID
+ * @param {string} messageId - Fallback message ID
+ */
+const supersedeMessage = async (previousMessageId, messageId) => {
+  await Message.updateOne(
+    { _id: previousMessageId },
+    { $set: { 'fallback.next': messageId } }
+  );
+
+  const now = new Date();
+
+  await Message.updateOne(
+    {
+      _id: previousMessageId,
+      status: 'queued',
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'discarded',
+        statusDetails: `Replaced by fallback message ${messageId}`,
+        nextAttemptAt: null
+      }
+    }
+  );
+};
+
+module.exports = {
+  getFallbackReason,
+  chooseFallbackChannel,
+  getDueFallbacks,
+  claimFallback,
+  releaseFallback,
+  markFallbackExhausted,
+  supersedeMessage
+};
@@ -0,0 +1,88 @@
+// File: backend/services/reminderPolicyService.js
+// Keeps pending reminders in line with the reminder policies
+
+const Appointment = require('../models/appointmentModel');
+const ReminderPolicy = require('../models/reminderPolicyModel');
+const logger = require('../utils/logger');
+
+/**
+ * Build the appointment filter matching a policy scope
+ * @param {Object} scope - { department, appointmentType }; empty fields match anything
+ * @returns {Object} - Appointment query
+ */
+const scopeFilter = (scope) => {
+  const filter = {};
+
+  if (scope.department) {
+    filter.department = scope.department;
+  }
+
+  if (scope.appointmentType) {
+    filter.type = scope.appointmentType;
+  }
+
+  return filter;
+};
+
+/**
+ * Describe the pending reminders of an appointment, to tell whether a recompute
+ * changed them (prepareReminders always replaces the array)
+ * @param {Object} appointment - Appointment document
+ * @returns {string}
+ */
+const pendingSignature = (appointment) => JSON.stringify(
+  appointment.reminders
+    .filter(reminder => !reminder.sent && reminder.status === 'pending')
+    .map(reminder => [
+      reminder.type,
+      String(reminder.policy || ''),
+      String(reminder.rule || ''),
+      reminder.offsetHours,
+      reminder.scheduledTime ? new Date(reminder.scheduledTime).getTime() : null,
+      String(reminder.template || ''),
+      reminder.conditions
+    ])
+);
+
+/**
+ * Recompute the pending reminders of future appointments after a policy change
+ * @param {Array<Object>} scopes - Policy scopes ({ department, appointmentType }) affected by the change
+ * @returns {Promise<Object>} - { appointments, updated }
+ */
+const recomputePendingReminders = async (scopes) => {
+  const now = new Date();
+  const results = {
+    appointments: 0,
+    updated: 0
+  };
+
+  const appointments = await Appointment.find({
+    $or: scopes.map(scopeFilter),
+    date: { $gte: new Date(now.getFullYear(), now.getMonth(), now.getDate()) },
+    status: { $nin: ['cancelled', 'completed', 'no-show'] }
+  });
+
+  for (const appointment of appointments) {
+    if (appointment.getStartDateTime() <= now) {
+      continue;
+    }
+
+    results.appointments++;
+
+    const policy = await ReminderPolicy.findForAppointment(appointment);
+    const before = pendingSignature(appointment);
+    appointment.prepareReminders(policy);
+
+    if (pendingSignature(appointment) !== before) {
+      await appointment.save();
+      results.updated++;
+    }
+  }
+
+  logger.info(`Recomputed reminders for ${results.updated} of ${results.appointments} upcoming appointment(s)`);
+  return results;
+};
+
+module.exports = {
+  recomputePendingReminders
+};
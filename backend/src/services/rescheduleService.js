@@ -0,0 +1,187 @@
+// File: backend/services/rescheduleService.js
+// Patient self-service rescheduling: offer open slots, hold the chosen one, move the appointment
+
+const moment = require('moment');
+const repositories = require('../repositories');
+const availabilityService = require('./availabilityService');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+const config = {
+  slotCount: parseInt(process.env.RESCHEDULE_SLOT_COUNT, 10) || 5,
+  searchDays: parseInt(process.env.RESCHEDULE_SEARCH_DAYS, 10) || 14,
+  minLeadHours: parseInt(process.env.RESCHEDULE_MIN_LEAD_HOURS, 10) || 2,
+  holdMinutes: parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 10
+};
+
+/**
+ * Load an appointment the patient may reschedule
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} patientId - Patient asking for the change
+ * @returns {Promise<Object>} - Appointment record
+ */
+const getReschedulableAppointment = async (appointmentId, patientId) => {
+  const appointment = await repositories.appointments.findById(appointmentId);
+
+  if (!appointment || appointment.patient.toString() !== patientId.toString()) {
+    throw new ErrorResponse(`Appointment not found with id of ${appointmentId}`, 404);
+  }
+
+  if (['cancelled', 'completed', 'no-show'].includes(appointment.status)) {
+    throw new ErrorResponse(`A ${appointment.status} appointment cannot be rescheduled`, 400);
+  }
+
+  return appointment;
+};
+
+/**
+ * Delete the holds matching a filter
+ * @param {Object} filter - Hold filter
+ */
+const deleteHolds = async (filter) => {
+  const holds = await repositories.slotHolds.find(filter);
+
+  for (const hold of holds) {
+    await repositories.slotHolds.deleteById(hold._id);
+  }
+};
+
+/**
+ * Release every hold taken for an appointment
+ * @param {string} appointmentId - Appointment ID
+ */
+const releaseHolds = async (appointmentId) => {
+  await deleteHolds({ appointment: appointmentId });
+};
+
+/**
+ * Next open slots with the appointment's doctor
+ * @param {Object} appointment - Appointment record
+ * @returns {Promise<Array>} - [{ date, startTime, endTime }]
+ */
+const getOfferedSlots = async (appointment) => {
+  const doctor = await repositories.doctors.findById(appointment.doctor);
+
+  if (!doctor) {
+    return [];
+  }
+
+  // The appointment's own time counts as booked so it is not offered back
+  return availabilityService.findNextAvailableSlots(doctor, {
+    from: moment().add(config.minLeadHours, 'hours').toDate(),
+    count: config.slotCount,
+    maxDays: config.searchDays
+  });
+};
+
+/**
+ * Hold a slot for a patient while they confirm the new time
+ * @param {Object} appointment - Appointment record
+ * @param {Object} slot - { date, startTime }
+ * @returns {Promise<Object>} - Slot hold
+ */
+const holdSlot = async (appointment, slot) => {
+  const doctor = await repositories.doctors.findById(appointment.doctor);
+  const date = moment(slot.date).startOf('day');
+
+  // Only one slot is held per appointment
+  await releaseHolds(appointment._id);
+  await deleteHolds({
+    doctor: appointment.doctor,
+    date: date.toDate(),
+    startTime: slot.startTime,
+    expiresAt: { $lte: new Date() }
+  });
+
+  const { slots } = doctor
+    ? await availabilityService.getDoctorDaySlots(doctor, date, { excludeAppointmentId: appointment._id })
+    : { slots: [] };
+  const offered = slots.find(s => s.startTime === slot.startTime);
+
+  if (!offered || !offered.available) {
+    throw new ErrorResponse('This time is no longer available', 409);
+  }
+
+  try {
+    const hold = await repositories.slotHolds.create({
+      doctor: appointment.doctor,
+      appointment: appointment._id,
+      patient: appointment.patient,
+      date: date.toDate(),
+      startTime: slot.startTime,
+      endTime: offered.endTime,
+      expiresAt: moment().add(config.holdMinutes, 'minutes').toDate()
+    });
+
+    logger.info(`Slot ${date.format('YYYY-MM-DD')} ${slot.startTime} held for appointment ${appointment._id}`);
+    return hold;
+  } catch (error) {
+    // Another patient took the hold first
+    if (error.code === 11000) {
+      throw new ErrorResponse('This time is no longer available', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move an appointment to the slot held for it
+ * @param {string} holdId - Slot hold ID
+ * @param {string} patientId - Patient confirming the change
+ * @returns {Promise<Object>} - Updated appointment
+ */
+const confirmHold = async (holdId, patientId) => {
+  const hold = await repositories.slotHolds.findById(holdId);
+
+  if (!hold || hold.patient.toString() !== patientId.toString()) {
+    throw new ErrorResponse('This time is no longer held for you', 410);
+  }
+
+  if (hold.expiresAt <= new Date()) {
+    await repositories.slotHolds.deleteById(hold._id);
+    throw new ErrorResponse('This time is no longer held for you', 410);
+  }
+
+  const appointment = await getReschedulableAppointment(hold.appointment, patientId);
+
+  // Last check against double booking before the move
+  const isAvailable = await repositories.appointments.checkAvailability(
+    hold.doctor,
+    hold.date,
+    hold.startTime,
+    hold.endTime,
+    appointment._id
+  );
+
+  if (!isAvailable) {
+    await repositories.slotHolds.deleteById(hold._id);
+    throw new ErrorResponse('This time is no longer available', 409);
+  }
+
+  const updated = await repositories.appointments.updateById(appointment._id, {
+    date: hold.date,
+    startTime: hold.startTime,
+    endTime: hold.endTime,
+    status: 'rescheduled',
+    rescheduleDetails: {
+      previousDate: appointment.date,
+      previousStartTime: appointment.startTime,
+      previousEndTime: appointment.endTime,
+      reason: 'Rescheduled by patient via WhatsApp'
+    }
+  });
+
+  await releaseHolds(appointment._id);
+
+  logger.info(`Appointment ${appointment._id} moved to ${moment(hold.date).format('YYYY-MM-DD')} ${hold.startTime} by patient`);
+  return updated;
+};
+
+module.exports = {
+  getReschedulableAppointment,
+  getOfferedSlots,
+  holdSlot,
+  confirmHold,
+  releaseHolds,
+  config
+};
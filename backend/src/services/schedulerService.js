@@ -0,0 +1,266 @@
+// File: backend/services/schedulerService.js
+// Periodic job scheduler
+//
+// Each job runs on its own interval. Before running, an instance takes a lease
+// on the job in MongoDB, so when several backend instances are up only one of
+// them runs a given job at a time. Every run is recorded as a JobRun.
+
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/jobLockModel');
+const JobRun = require('../models/jobRunModel');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+const whatsappService = require('./whatsappService');
+const messageQueue = require('./messageQueue');
+const inboxService = require('./inboxService');
+const documentService = require('./documentService');
+
+// Identifies this process as the lease owner
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const DEFAULT_LEASE_MS = parseInt(process.env.SCHEDULER_LEASE_MS, 10) || 5 * 60 * 1000;
+
+// Keep run records small; the full details stay in the logs
+const MAX_RUN_DETAILS = 100;
+
+// Job definitions
+// handler() returns a results object; its numeric fields are stored as run counts
+// and its `details` array (if any) is stored alongside them.
+// recordIdleRuns: false skips the history entry when every count is zero.
+const jobs = {
+  reminders: {
+    description: 'Send appointment reminders that are due',
+    intervalMs: parseInt(process.env.SCHEDULER_REMINDERS_INTERVAL_MS, 10) || 60 * 1000,
+    handler: () => whatsappService.scheduleReminders(),
+    recordIdleRuns: true
+  },
+  'reminder-fallbacks': {
+    description: 'Resend undelivered reminders on their fallback channel',
+    intervalMs: parseInt(process.env.REMINDER_FALLBACK_INTERVAL_MS, 10) || 60 * 1000,
+    handler: () => whatsappService.processReminderFallbacks(),
+    recordIdleRuns: false
+  },
+  'message-queue': {
+    description: 'Deliver queued outbound messages and retry failed ones',
+    intervalMs: parseInt(process.env.MESSAGE_QUEUE_INTERVAL_MS, 10) || 10 * 1000,
+    handler: () => messageQueue.processQueue(),
+    recordIdleRuns: false
+  },
+  questionnaires: {
+    description: 'Send pre-visit questionnaires that are due',
+    intervalMs: parseInt(process.env.QUESTIONNAIRE_INTERVAL_MS, 10) || 5 * 60 * 1000,
+    handler: () => whatsappService.sendDueQuestionnaires(),
+    recordIdleRuns: false
+  },
+  'follow-ups': {
+    description: 'Send satisfaction surveys after completed visits',
+    intervalMs: parseInt(process.env.FOLLOW_UP_INTERVAL_MS, 10) || 5 * 60 * 1000,
+    handler: () => whatsappService.sendDueFollowUps(),
+    recordIdleRuns: false
+  },
+  'document-checklists': {
+    description: 'Build missing document checklists of upcoming appointments',
+    intervalMs: parseInt(process.env.DOCUMENT_CHECKLIST_INTERVAL_MS, 10) || 15 * 60 * 1000,
+    handler: () => documentService.syncMissingChecklists(),
+    recordIdleRuns: false
+  },
+  'inbox-snoozes': {
+    description: 'Reopen snoozed inbox threads that are due',
+    intervalMs: parseInt(process.env.INBOX_SNOOZE_INTERVAL_MS, 10) || 60 * 1000,
+    handler: () => inboxService.wakeSnoozedThreads(),
+    recordIdleRuns: false
+  }
+};
+
+const timers = {};
+const running = new Set();
+
+/**
+ * Take the lease on a job
+ * @param {string} name - Job name
+ * @param {number} leaseMs - Lease duration
+ * @returns {Promise<boolean>} - Whether this instance now holds the lease
+ */
+const acquireLease = async (name, leaseMs) => {
+  const now = new Date();
+
+  try {
+    // Only matches an expired lease; when another instance holds it the upsert
+    // collides with the unique name index instead
+    const lock = await JobLock.findOneAndUpdate(
+      { name, lockedUntil: { $lte: now } },
+      {
+        $set: {
+          owner: instanceId,
+          lockedUntil: new Date(now.getTime() + leaseMs),
+          acquiredAt: now
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    return lock.owner === instanceId;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Give up the lease on a job
+ * @param {string} name - Job name
+ */
+const releaseLease = async (name) => {
+  await JobLock.updateOne(
+    { name, owner: instanceId },
+    { $set: { owner: null, lockedUntil: new Date() } }
+  );
+};
+
+/**
+ * Extract run counts from a job results object
+ * @param {Object} results - Job results
+ * @returns {Object} - Numeric fields only
+ */
+const extractCounts = (results) => {
+  const counts = {};
+
+  Object.entries(results || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      counts[key] = value;
+    }
+  });
+
+  return counts;
+};
+
+/**
+ * Run a job once, if this instance can take its lease
+ * @param {string} name - Job name
+ * @param {Object} options - { trigger: 'schedule'|'manual', triggeredBy: userId }
+ * @returns {Promise<Object|null>} - Recorded run, or null when the job was not run
+ */
+const runJob = async (name, options = {}) => {
+  const job = jobs[name];
+
+  if (!job) {
+    throw new ErrorResponse(`Unknown job: ${name}`, 404);
+  }
+
+  const trigger = options.trigger || 'schedule';
+
+  if (running.has(name) || !(await acquireLease(name, job.leaseMs || DEFAULT_LEASE_MS))) {
+    if (trigger === 'manual') {
+      throw new ErrorResponse(`Job ${name} is already running`, 409);
+    }
+    return null;
+  }
+
+  running.add(name);
+  const startedAt = new Date();
+
+  const run = {
+    job: name,
+    trigger,
+    triggeredBy: options.triggeredBy,
+    owner: instanceId,
+    startedAt
+  };
+
+  try {
+    const results = await job.handler();
+
+    run.status = 'succeeded';
+    run.counts = extractCounts(results);
+    run.details = Array.isArray(results && results.details)
+      ? results.details.slice(0, MAX_RUN_DETAILS)
+      : [];
+  } catch (error) {
+    logger.error(`Job ${name} failed: ${error.message}`);
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    running.delete(name);
+    await releaseLease(name).catch(error => logger.error(`Error releasing lease for ${name}: ${error.message}`));
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - startedAt;
+
+  const idle = run.status === 'succeeded' && Object.values(run.counts).every(count => count === 0);
+
+  if (idle && !job.recordIdleRuns && trigger === 'schedule') {
+    return null;
+  }
+
+  return JobRun.create(run);
+};
+
+/**
+ * Start running every job on its interval
+ */
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    logger.info('⏰ Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  Object.entries(jobs).forEach(([name, job]) => {
+    if (timers[name]) {
+      return;
+    }
+
+    timers[name] = setInterval(() => {
+      runJob(name).catch(error => logger.error(`Scheduler error (${name}): ${error.message}`));
+    }, job.intervalMs);
+
+    logger.info(`⏰ Scheduled job ${name} every ${job.intervalMs}ms`);
+  });
+};
+
+/**
+ * Stop all job timers
+ */
+const stopScheduler = () => {
+  Object.keys(timers).forEach(name => {
+    clearInterval(timers[name]);
+    delete timers[name];
+  });
+};
+
+/**
+ * Describe the registered jobs with their lease and last run
+ * @returns {Promise<Array>} - Job summaries
+ */
+const getJobs = async () => {
+  const locks = await JobLock.find({ name: { $in: Object.keys(jobs) } });
+  const now = new Date();
+
+  return Promise.all(
+    Object.entries(jobs).map(async ([name, job]) => {
+      const lock = locks.find(l => l.name === name);
+      const lastRun = await JobRun.findOne({ job: name }).sort({ startedAt: -1 });
+
+      return {
+        name,
+        description: job.description,
+        intervalMs: job.intervalMs,
+        scheduled: Boolean(timers[name]),
+        lease: lock && lock.lockedUntil > now
+          ? { owner: lock.owner, lockedUntil: lock.lockedUntil, acquiredAt: lock.acquiredAt }
+          : null,
+        lastRun
+      };
+    })
+  );
+};
+
+module.exports = {
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobs
+};
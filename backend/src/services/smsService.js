@@ -0,0 +1,226 @@
+// File: backend/services/smsService.js
+// SMS channel: composes text messages and delivers them through an HTTP SMS gateway
+//
+// SMS_PROVIDER picks the gateway: 'http' posts each message to SMS_GATEWAY_URL,
+// 'stub' only logs it and reports it delivered shortly after, for development.
+// The default is 'http' when SMS_GATEWAY_URL is set and 'stub' otherwise.
+// Delivery receipts come back on POST /api/webhooks/sms/status.
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const messageQueue = require('./messageQueue');
+const channels = require('./channels');
+const messageStatusService = require('./messageStatusService');
+const { normalizeSmsText, getSmsInfo } = require('../utils/smsEncoding');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
+const logger = require('../utils/logger');
+
+const config = {
+  provider: process.env.SMS_PROVIDER || (process.env.SMS_GATEWAY_URL ? 'http' : 'stub'),
+  sender: process.env.SMS_SENDER_ID,
+  sendPath: process.env.SMS_GATEWAY_SEND_PATH || '/messages',
+  maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS, 10) || 6,
+  stubDeliveryMs: parseInt(process.env.SMS_STUB_DELIVERY_MS, 10) || 2000,
+  publicUrl: (process.env.PUBLIC_API_URL || '').replace(/\/$/, '')
+};
+
+const gatewayAPI = axios.create({
+  baseURL: process.env.SMS_GATEWAY_URL,
+  timeout: parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS, 10) || 15000,
+  headers: {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${process.env.SMS_GATEWAY_API_KEY}`
+  }
+});
+
+// Gateway adapters: take the stored payload, return the gateway's message id
+const gateways = {
+  http: async (payload) => {
+    const response = await gatewayAPI.post(config.sendPath, {
+      ...payload,
+      statusCallbackUrl: config.publicUrl ? `${config.publicUrl}/api/webhooks/sms/status` : undefined
+    });
+
+    const data = response.data || {};
+    const externalMessageId = data.id || data.messageId || data.message_id;
+
+    if (!externalMessageId) {
+      // The SMS may have gone out; sending it again could send it twice
+      const error = new Error('SMS gateway accepted the message but returned no message id');
+      error.permanent = true;
+      throw error;
+    }
+
+    return { externalMessageId: String(externalMessageId) };
+  },
+
+  stub: async (payload) => {
+    const externalMessageId = `stub-${uuidv4()}`;
+
+    logger.info(`[SMS stub] to ${payload.to} (${payload.segments} part(s), ${payload.encoding}): ${payload.text}`);
+
+    // Report delivery the way a gateway would
+    setTimeout(() => {
+      messageStatusService.processStatusUpdate({
+        externalMessageId,
+        status: 'delivered',
+        timestamp: new Date(),
+        channel: 'sms'
+      }).catch(error => logger.error(`SMS stub receipt error: ${error.message}`));
+    }, config.stubDeliveryMs).unref();
+
+    return { externalMessageId };
+  }
+};
+
+/**
+ * Queue a text SMS
+ * @param {string} phoneNumber - Recipient phone number in international format
+ * @param {string} text - Message text
+ * @param {Object} context - Message record fields (patient, appointment)
+ * @returns {Promise<Object>} - Queued message record
+ */
+const sendTextMessage = async (phoneNumber, text, context = {}) => {
+  try {
+    // Make sure phone number is in correct format
+    if (!phoneNumber.startsWith('+')) {
+      phoneNumber = `+${phoneNumber}`;
+    }
+
+    // Remove any spaces from the phone number
+    phoneNumber = phoneNumber.replace(/\s/g, '');
+
+    const body = normalizeSmsText(text).trim();
+
+    if (!body) {
+      throw new ErrorResponse('An SMS cannot be empty', 400);
+    }
+
+    const info = getSmsInfo(body);
+
+    if (info.segments > config.maxSegments) {
+      throw new ErrorResponse(
+        `SMS is too long: ${info.segments} parts of ${info.perSegment} ${info.encoding} characters (at most ${config.maxSegments})`,
+        400
+      );
+    }
+
+    const message = await messageQueue.enqueueMessage({
+      ...context,
+      channel: 'sms',
+      recipient: phoneNumber,
+      content: body,
+      sms: {
+        encoding: info.encoding,
+        segments: info.segments,
+        characters: info.characters
+      },
+      payload: {
+        to: phoneNumber,
+        from: config.sender,
+        text: body,
+        encoding: info.encoding,
+        segments: info.segments
+      }
+    });
+
+    logger.info(`SMS queued for ${phoneNumber} (${info.segments} part(s), ${info.encoding})`);
+
+    return message;
+  } catch (error) {
+    logger.error(`Error queueing SMS: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Hand a claimed SMS to the configured gateway
+ * @param {Object} message - Claimed message record
+ * @returns {Promise<Object>} - { externalMessageId }
+ */
+const deliver = async (message) => {
+  const gateway = gateways[config.provider];
+
+  if (!gateway) {
+    const error = new Error(`Unknown SMS_PROVIDER: ${config.provider}`);
+    error.permanent = true;
+    throw error;
+  }
+
+  return gateway(message.payload);
+};
+
+// Gateway receipt statuses (including SMPP DLR states) and what they mean here
+const RECEIPT_STATUSES = {
+  accepted: 'sent',
+  sent: 'sent',
+  enroute: 'sent',
+  buffered: 'sent',
+  delivered: 'delivered',
+  delivrd: 'delivered',
+  failed: 'failed',
+  undelivered: 'failed',
+  undeliv: 'failed',
+  rejected: 'failed',
+  rejectd: 'failed',
+  expired: 'failed',
+  deleted: 'failed'
+};
+
+/**
+ * Normalize a delivery receipt callback
+ * Accepts a single receipt, an array, or { receipts: [...] } / { statuses: [...] }
+ * @param {Object|Array} body - Callback body
+ * @returns {Array<Object>} - Status updates; status is null for states that change nothing
+ */
+const parseDeliveryReceipts = (body) => {
+  const items = Array.isArray(body) ? body : body.receipts || body.statuses || [body];
+
+  return items.map(item => {
+    const state = String(item.status || '').toLowerCase();
+    const error = item.error || item.errorCode || item.error_code;
+    const timestamp = item.timestamp
+      ? new Date(isNaN(Number(item.timestamp)) ? item.timestamp : Number(item.timestamp) * 1000)
+      : new Date();
+
+    return {
+      externalMessageId: String(item.id || item.messageId || item.message_id || ''),
+      status: RECEIPT_STATUSES[state] || null,
+      timestamp,
+      details: error ? `${state}: ${typeof error === 'object' ? JSON.stringify(error) : error}` : undefined,
+      channel: 'sms'
+    };
+  });
+};
+
+/**
+ * Apply the delivery receipts of a gateway callback
+ * @param {Object|Array} body - Callback body
+ * @returns {Promise<Array>} - Result per receipt
+ */
+const processDeliveryReceipts = async (body) => {
+  const results = [];
+
+  for (const update of parseDeliveryReceipts(body)) {
+    if (!update.status) {
+      results.push({ success: true, applied: false, externalMessageId: update.externalMessageId });
+      continue;
+    }
+
+    results.push(await messageStatusService.processStatusUpdate(update));
+  }
+
+  return results;
+};
+
+channels.registerChannel('sms', {
+  sendText: sendTextMessage,
+  deliver
+});
+
+module.exports = {
+  sendTextMessage,
+  parseDeliveryReceipts,
+  processDeliveryReceipts,
+  config
+};
@@ -1,31 +1,63 @@
 // File: backend/services/whatsappService.js
 // WhatsApp service integration with 1CONFIRMED API
 
-const axios = require('axios');
+const mongoose = require('mongoose');
 const Appointment = require('../models/appointmentModel');
+const Patient = require('../models/patientModel');
 const MessageTemplate = require('../models/messageTemplateModel');
 const Message = require('../models/messageModel');
 const logger = require('../utils/logger');
 const moment = require('moment');
-
-// Configure axios instance for 1CONFIRMED API
-const confirmedAPI = axios.create({
-  baseURL: process.env.CONFIRMED_API_URL,
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${process.env.CONFIRMED_API_KEY}`
-  }
-});
+const messageQueue = require('./messageQueue');
+const channels = require('./channels');
+const confirmedAPI = require('./confirmedClient');
+const consentService = require('./consentService');
+const intentClassifier = require('./intentClassifier');
+const rescheduleService = require('./rescheduleService');
+const conversationService = require('./conversationService');
+const inboxService = require('./inboxService');
+const eventBus = require('./eventBus');
+const attachmentStore = require('./attachmentStore');
+const mediaService = require('./mediaService');
+const documentService = require('./documentService');
+const questionnaireService = require('./questionnaireService');
+const Questionnaire = require('../models/questionnaireModel');
+const followUpService = require('./followUpService');
+const reminderFallbackService = require('./reminderFallbackService');
+const smsService = require('./smsService');
+const emailService = require('./emailService');
+const messageStatusService = require('./messageStatusService');
+const { encodeButtonPayload, decodeButtonPayload, isStalePayload } = require('../utils/buttonPayload');
+const { buildAppointmentInvite } = require('../utils/icsCalendar');
+const { renderTemplate } = require('../utils/templateRenderer');
+const { ErrorResponse } = require('../middlewares/errorMiddleware');
 
 /**
- * Send a templated WhatsApp message using 1CONFIRMED API
+ * Queue a templated WhatsApp message for delivery through the 1CONFIRMED API
  * @param {string} phoneNumber - Recipient phone number in international format
  * @param {string} templateId - 1CONFIRMED template ID
  * @param {Object} variables - Template variables
- * @returns {Promise<Object>} - API response
+ * @param {Object} context - Message record fields (patient, appointment, ...); messageTemplate
+ *   is the MessageTemplate, rendered to check the variables and to store the text sent
+ * @returns {Promise<Object>} - Queued message record
  */
-const sendTemplatedMessage = async (phoneNumber, templateId, variables) => {
+const sendTemplatedMessage = async (phoneNumber, templateId, variables, { messageTemplate, ...context } = {}) => {
   try {
+    let content = context.content || `Template ${templateId}`;
+
+    if (messageTemplate) {
+      const rendered = renderTemplate(messageTemplate.content, variables, messageTemplate.variables);
+
+      if (rendered.missing.length) {
+        throw new ErrorResponse(`Template ${messageTemplate.name} is missing variables: ${rendered.missing.join(', ')}`, 400);
+      }
+
+      // Send the values the text was rendered with, defaults included, so the
+      // provider's copy of the template reads the same as the stored content
+      content = rendered.text;
+      variables = rendered.variables;
+    }
+
     // Make sure phone number is in correct format
     if (!phoneNumber.startsWith('+')) {
       phoneNumber = `+${phoneNumber}`;
@@ -34,34 +66,40 @@ const sendTemplatedMessage = async (phoneNumber, templateId, variables) => {
     // Remove any spaces from the phone number
     phoneNumber = phoneNumber.replace(/\s/g, '');
 
-    const response = await confirmedAPI.post('/messages', {
-      to: phoneNumber,
-      type: 'template',
-      template: {
-        id: templateId,
-        variables: variables
+    const message = await messageQueue.enqueueMessage({
+      ...context,
+      channel: 'whatsapp',
+      recipient: phoneNumber,
+      messageTemplate: messageTemplate ? messageTemplate._id : undefined,
+      content,
+      variables: variables,
+      payload: {
+        to: phoneNumber,
+        type: 'template',
+        template: {
+          id: templateId,
+          variables: variables
+        }
       }
     });
 
-    logger.info(`WhatsApp message sent to ${phoneNumber} using template ${templateId}`);
+    logger.info(`WhatsApp message queued for ${phoneNumber} using template ${templateId}`);
     
-    return response.data;
+    return message;
   } catch (error) {
-    logger.error(`Error sending WhatsApp message: ${error.message}`);
-    if (error.response) {
-      logger.error(`1CONFIRMED API error: ${JSON.stringify(error.response.data)}`);
-    }
+    logger.error(`Error queueing WhatsApp message: ${error.message}`);
     throw error;
   }
 };
 
 /**
- * Send a text-only WhatsApp message using 1CONFIRMED API
+ * Queue a text-only WhatsApp message for delivery through the 1CONFIRMED API
  * @param {string} phoneNumber - Recipient phone number in international format
  * @param {string} text - Message text
- * @returns {Promise<Object>} - API response
+ * @param {Object} context - Message record fields (patient, appointment)
+ * @returns {Promise<Object>} - Queued message record
  */
-const sendTextMessage = async (phoneNumber, text) => {
+const sendTextMessage = async (phoneNumber, text, context = {}) => {
   try {
     // Make sure phone number is in correct format
     if (!phoneNumber.startsWith('+')) {
@@ -71,34 +109,38 @@ const sendTextMessage = async (phoneNumber, text) => {
     // Remove any spaces from the phone number
     phoneNumber = phoneNumber.replace(/\s/g, '');
 
-    const response = await confirmedAPI.post('/messages', {
-      to: phoneNumber,
-      type: 'text',
-      text: {
-        body: text
+    const message = await messageQueue.enqueueMessage({
+      ...context,
+      channel: 'whatsapp',
+      recipient: phoneNumber,
+      content: text,
+      payload: {
+        to: phoneNumber,
+        type: 'text',
+        text: {
+          body: text
+        }
       }
     });
 
-    logger.info(`WhatsApp text message sent to ${phoneNumber}`);
+    logger.info(`WhatsApp text message queued for ${phoneNumber}`);
     
-    return response.data;
+    return message;
   } catch (error) {
-    logger.error(`Error sending WhatsApp text message: ${error.message}`);
-    if (error.response) {
-      logger.error(`1CONFIRMED API error: ${JSON.stringify(error.response.data)}`);
-    }
+    logger.error(`Error queueing WhatsApp text message: ${error.message}`);
     throw error;
   }
 };
 
 /**
- * Send interactive WhatsApp message with buttons
+ * Queue an interactive WhatsApp message with buttons
  * @param {string} phoneNumber - Recipient phone number in international format
  * @param {string} text - Message text
  * @param {Array} buttons - Array of button objects
- * @returns {Promise<Object>} - API response
+ * @param {Object} context - Message record fields (patient, appointment)
+ * @returns {Promise<Object>} - Queued message record
  */
-const sendInteractiveMessage = async (phoneNumber, text, buttons) => {
+const sendInteractiveMessage = async (phoneNumber, text, buttons, context = {}) => {
   try {
     // Make sure phone number is in correct format
     if (!phoneNumber.startsWith('+')) {
@@ -108,244 +150,406 @@ const sendInteractiveMessage = async (phoneNumber, text, buttons) => {
     // Remove any spaces from the phone number
     phoneNumber = phoneNumber.replace(/\s/g, '');
 
-    const response = await confirmedAPI.post('/messages', {
-      to: phoneNumber,
-      type: 'interactive',
-      interactive: {
-        type: 'button',
-        body: {
-          text: text
-        },
-        action: {
-          buttons: buttons
+    const message = await messageQueue.enqueueMessage({
+      ...context,
+      channel: 'whatsapp',
+      recipient: phoneNumber,
+      content: text,
+      payload: {
+        to: phoneNumber,
+        type: 'interactive',
+        interactive: {
+          type: 'button',
+          body: {
+            text: text
+          },
+          action: {
+            buttons: buttons
+          }
         }
       }
     });
 
-    logger.info(`WhatsApp interactive message sent to ${phoneNumber}`);
+    logger.info(`WhatsApp interactive message queued for ${phoneNumber}`);
     
-    return response.data;
+    return message;
   } catch (error) {
-    logger.error(`Error sending WhatsApp interactive message: ${error.message}`);
-    if (error.response) {
-      logger.error(`1CONFIRMED API error: ${JSON.stringify(error.response.data)}`);
-    }
+    logger.error(`Error queueing WhatsApp interactive message: ${error.message}`);
     throw error;
   }
 };
 
 /**
- * Send appointment reminder via WhatsApp
- * @param {string} appointmentId - Appointment ID
- * @param {string} templateId - Optional template ID, will use default if not provided
- * @returns {Promise<Object>} - Message record
+ * Queue an interactive WhatsApp list message
+ * @param {string} phoneNumber - Recipient phone number in international format
+ * @param {string} text - Message text
+ * @param {string} buttonText - Label of the button that opens the list
+ * @param {Array} sections - List sections ({ title, rows: [{ id, title, description }] })
+ * @param {Object} context - Message record fields (patient, appointment)
+ * @returns {Promise<Object>} - Queued message record
  */
-const sendAppointmentReminder = async (appointmentId, templateId) => {
+const sendListMessage = async (phoneNumber, text, buttonText, sections, context = {}) => {
   try {
-    // Fetch appointment with populated relationships
-    const appointment = await Appointment.findById(appointmentId)
-      .populate('patient')
-      .populate('doctor')
-      .populate('department');
-
-    if (!appointment) {
-      throw new Error(`Appointment not found with id: ${appointmentId}`);
+    // Make sure phone number is in correct format
+    if (!phoneNumber.startsWith('+')) {
+      phoneNumber = `+${phoneNumber}`;
     }
 
-    // Get patient phone number
-    const phoneNumber = appointment.patient.getWhatsAppNumber();
+    // Remove any spaces from the phone number
+    phoneNumber = phoneNumber.replace(/\s/g, '');
 
-    // Find template to use (either specified or default)
-    let messageTemplate;
+    const message = await messageQueue.enqueueMessage({
+      ...context,
+      channel: 'whatsapp',
+      recipient: phoneNumber,
+      content: text,
+      payload: {
+        to: phoneNumber,
+        type: 'interactive',
+        interactive: {
+          type: 'list',
+          body: {
+            text: text
+          },
+          action: {
+            button: buttonText,
+            sections: sections
+          }
+        }
+      }
+    });
+
+    logger.info(`WhatsApp list message queued for ${phoneNumber}`);
     
-    if (templateId) {
-      messageTemplate = await MessageTemplate.findById(templateId);
-    } else {
-      messageTemplate = await MessageTemplate.findOne({
-        type: 'appointment_reminder',
-        isActive: true
-      });
+    return message;
+  } catch (error) {
+    logger.error(`Error queueing WhatsApp list message: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Queue a WhatsApp document, image, audio or video message
+ * @param {string} phoneNumber - Recipient phone number in international format
+ * @param {Object} attachment - Attachment record of the file to send
+ * @param {string} caption - Optional caption (documents, images and videos)
+ * @param {Object} context - Message record fields (patient, appointment)
+ * @returns {Promise<Object>} - Queued message record
+ */
+const sendMediaMessage = async (phoneNumber, attachment, caption, context = {}) => {
+  try {
+    // Make sure phone number is in correct format
+    if (!phoneNumber.startsWith('+')) {
+      phoneNumber = `+${phoneNumber}`;
     }
 
-    if (!messageTemplate) {
-      throw new Error('No active appointment reminder template found');
+    // Remove any spaces from the phone number
+    phoneNumber = phoneNumber.replace(/\s/g, '');
+
+    if (attachment.status !== 'stored' || !attachment.storageKey) {
+      throw new ErrorResponse(`Attachment ${attachment._id} has no stored file to send`, 400);
     }
 
-    // Prepare variables for template
-    const appointmentDate = moment(appointment.date).format('dddd, MMMM D, YYYY');
-    const appointmentTime = `${appointment.startTime} - ${appointment.endTime}`;
-    const doctorName = appointment.doctor.name;
-    const departmentName = appointment.department.name;
-    const locationStr = `${appointment.location.building || ''}, Floor ${appointment.location.floor || ''}, Room ${appointment.location.roomNumber || ''}`;
-    
-    const variables = {
-      patient_name: appointment.patient.name,
-      appointment_date: appointmentDate,
-      appointment_time: appointmentTime,
-      doctor_name: doctorName,
-      department: departmentName,
-      location: locationStr,
-      preparation: appointment.preparationInstructions || 'No special preparation required.'
-    };
+    const type = attachment.kind === 'sticker' ? 'image' : attachment.kind;
 
-    // Send the message
-    const messageResponse = await sendTemplatedMessage(
-      phoneNumber,
-      messageTemplate.externalTemplateId,
-      variables
-    );
+    // The provider downloads the file from a signed link to this API
+    const media = { link: attachmentStore.getSignedUrl(attachment) };
 
-    // Record the message in our database
-    const message = await Message.create({
-      patient: appointment.patient._id,
-      appointment: appointment._id,
-      direction: 'outbound',
+    if (caption && type !== 'audio') {
+      media.caption = caption.slice(0, 1024);
+    }
+
+    if (type === 'document') {
+      media.filename = attachment.filename || 'document.pdf';
+    }
+
+    const message = await messageQueue.enqueueMessage({
+      ...context,
       channel: 'whatsapp',
-      messageTemplate: messageTemplate._id,
-      content: messageTemplate.content,
-      variables: variables,
-      externalMessageId: messageResponse.id,
-      status: 'sent',
-      sentAt: new Date()
+      recipient: phoneNumber,
+      content: caption || `${type}: ${attachment.filename || attachment._id}`,
+      attachments: [attachment._id],
+      payload: {
+        to: phoneNumber,
+        type,
+        [type]: media
+      }
     });
 
-    // Update appointment with reminder info
-    const reminderIndex = appointment.reminders.findIndex(
-      reminder => reminder.type === 'whatsapp' && !reminder.sent
-    );
-
-    if (reminderIndex !== -1) {
-      appointment.reminders[reminderIndex].sent = true;
-      appointment.reminders[reminderIndex].messageId = message._id;
-      appointment.reminders[reminderIndex].status = 'sent';
-      await appointment.save();
-    }
+    logger.info(`WhatsApp ${type} message queued for ${phoneNumber}`);
 
     return message;
   } catch (error) {
-    logger.error(`Error sending appointment reminder: ${error.message}`);
+    logger.error(`Error queueing WhatsApp media message: ${error.message}`);
     throw error;
   }
 };
 
 /**
- * Send initial appointment notification after booking
- * @param {string} appointmentId - Appointment ID
- * @returns {Promise<Object>} - Message record
+ * Queue a WhatsApp location pin
+ * @param {string} phoneNumber - Recipient phone number in international format
+ * @param {Object} location - { latitude, longitude, name, address }
+ * @param {Object} context - Message record fields (patient, appointment)
+ * @returns {Promise<Object>} - Queued message record
  */
-const sendAppointmentNotification = async (appointmentId) => {
+const sendLocationMessage = async (phoneNumber, location, context = {}) => {
   try {
-    // Fetch appointment with populated relationships
-    const appointment = await Appointment.findById(appointmentId)
-      .populate('patient')
-      .populate('doctor')
-      .populate('department');
-
-    if (!appointment) {
-      throw new Error(`Appointment not found with id: ${appointmentId}`);
+    // Make sure phone number is in correct format
+    if (!phoneNumber.startsWith('+')) {
+      phoneNumber = `+${phoneNumber}`;
     }
 
-    // Get patient phone number
-    const phoneNumber = appointment.patient.getWhatsAppNumber();
+    // Remove any spaces from the phone number
+    phoneNumber = phoneNumber.replace(/\s/g, '');
 
-    // Find template for initial notification
-    const messageTemplate = await MessageTemplate.findOne({
-      type: 'appointment_confirmation',
-      isActive: true
+    const message = await messageQueue.enqueueMessage({
+      ...context,
+      channel: 'whatsapp',
+      recipient: phoneNumber,
+      content: `Location: ${[location.name, location.address].filter(Boolean).join(', ')}`,
+      location,
+      payload: {
+        to: phoneNumber,
+        type: 'location',
+        location
+      }
     });
 
-    if (!messageTemplate) {
-      throw new Error('No active appointment confirmation template found');
+    logger.info(`WhatsApp location message queued for ${phoneNumber}`);
+
+    return message;
+  } catch (error) {
+    logger.error(`Error queueing WhatsApp location message: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Idempotency key for a specific reminder; the message queue refuses a second message with it
+ * @param {string} reminderId - Reminder subdocument ID
+ * @returns {string}
+ */
+const getReminderIdempotencyKey = (reminderId) => `reminder:${reminderId}`;
+
+/**
+ * Atomically mark a pending reminder as sent so only one caller can dispatch it
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} reminderId - Reminder subdocument ID
+ * @param {string} messageId - ID of the message that will carry the reminder
+ * @param {string} channel - Channel the message goes out on
+ * @returns {Promise<boolean>} - Whether this call claimed the reminder
+ */
+const claimReminder = async (appointmentId, reminderId, messageId, channel) => {
+  const result = await Appointment.updateOne(
+    {
+      _id: appointmentId,
+      reminders: { $elemMatch: { _id: reminderId, sent: false, status: 'pending' } }
+    },
+    {
+      $set: {
+        'reminders.$.sent': true,
+        'reminders.$.messageId': messageId,
+        'reminders.$.channel': channel,
+        'reminders.$.idempotencyKey': getReminderIdempotencyKey(reminderId)
+      }
     }
+  );
 
-    // Prepare variables for template
-    const appointmentDate = moment(appointment.date).format('dddd, MMMM D, YYYY');
-    const appointmentTime = `${appointment.startTime} - ${appointment.endTime}`;
-    const doctorName = appointment.doctor.name;
-    const departmentName = appointment.department.name;
-    const locationStr = `${appointment.location.building || ''}, Floor ${appointment.location.floor || ''}, Room ${appointment.location.roomNumber || ''}`;
-    
-    const variables = {
-      patient_name: appointment.patient.name,
-      appointment_date: appointmentDate,
-      appointment_time: appointmentTime,
-      doctor_name: doctorName,
-      department: departmentName,
-      location: locationStr,
-      preparation: appointment.preparationInstructions || 'No special preparation required.'
-    };
+  return result.modifiedCount === 1;
+};
 
-    // Send the message
-    const messageResponse = await sendTemplatedMessage(
-      phoneNumber,
-      messageTemplate.externalTemplateId,
-      variables
-    );
+/**
+ * Give a claimed reminder back when its message could not be queued
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} reminderId - Reminder subdocument ID
+ */
+const releaseReminder = async (appointmentId, reminderId) => {
+  await Appointment.updateOne(
+    { _id: appointmentId, 'reminders._id': reminderId },
+    {
+      $set: { 'reminders.$.sent': false },
+      $unset: { 'reminders.$.messageId': '', 'reminders.$.channel': '', 'reminders.$.idempotencyKey': '' }
+    }
+  );
+};
 
-    // Create interactive buttons for user response
-    const buttons = [
-      {
-        id: 'confirm',
-        title: 'Confirm'
-      },
-      {
-        id: 'reschedule',
-        title: 'Reschedule'
-      },
-      {
-        id: 'cancel',
-        title: 'Cancel'
+/**
+ * Mark a pending reminder as skipped so it is never sent
+ * @param {string} appointmentId - Appointment ID
+ * @param {string} reminderId - Reminder subdocument ID
+ * @param {string} reason - 'superseded', 'appointment_started', 'condition_not_met', 'opted_out'
+ *   or 'channel_not_consented'
+ * @returns {Promise<boolean>} - Whether the reminder was still pending
+ */
+const skipReminder = async (appointmentId, reminderId, reason) => {
+  const result = await Appointment.updateOne(
+    {
+      _id: appointmentId,
+      reminders: { $elemMatch: { _id: reminderId, sent: false, status: 'pending' } }
+    },
+    {
+      $set: {
+        'reminders.$.status': 'skipped',
+        'reminders.$.skipReason': reason,
+        'reminders.$.skippedAt': new Date()
       }
-    ];
+    }
+  );
 
-    // Send interactive message for confirmation
-    const interactiveResponse = await sendInteractiveMessage(
-      phoneNumber,
-      'Please confirm your appointment:',
-      buttons
-    );
+  return result.modifiedCount === 1;
+};
 
-    // Record the messages in our database
-    const notificationMessage = await Message.create({
-      patient: appointment.patient._id,
-      appointment: appointment._id,
-      direction: 'outbound',
-      channel: 'whatsapp',
-      messageTemplate: messageTemplate._id,
-      content: messageTemplate.content,
-      variables: variables,
-      externalMessageId: messageResponse.id,
-      status: 'sent',
-      sentAt: new Date()
-    });
+/**
+ * Check the send conditions a reminder policy attached to a reminder
+ * @param {Object} appointment - Appointment document
+ * @param {Object} reminder - Reminder subdocument
+ * @returns {boolean} - Whether the reminder should be sent
+ */
+const meetsReminderConditions = (appointment, reminder) => {
+  const conditions = reminder.conditions || {};
 
-    const interactiveMessage = await Message.create({
-      patient: appointment.patient._id,
-      appointment: appointment._id,
-      direction: 'outbound',
-      channel: 'whatsapp',
-      content: 'Please confirm your appointment:',
-      externalMessageId: interactiveResponse.id,
-      status: 'sent',
-      sentAt: new Date()
-    });
+  if (conditions.appointmentStatuses && conditions.appointmentStatuses.length &&
+      !conditions.appointmentStatuses.includes(appointment.status)) {
+    return false;
+  }
 
-    return {
-      notification: notificationMessage,
-      interactive: interactiveMessage
-    };
+  if (conditions.onlyIfUnconfirmed && appointment.status === 'confirmed') {
+    return false;
+  }
+
+  if (conditions.requiresPreparationInstructions && !appointment.preparationInstructions) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Channel a reminder goes out on
+ * @param {Object|null} reminder - Appointment reminder (null when sent by hand)
+ * @param {Object} patient - Patient document
+ * @returns {string} - 'whatsapp', 'sms' or 'email'
+ */
+const getReminderChannel = (reminder, patient) => {
+  if (reminder && ['sms', 'email'].includes(reminder.type)) {
+    return reminder.type;
+  }
+
+  // Patients without WhatsApp who accept SMS, or else email
+  const preferences = patient.communicationPreferences || {};
+
+  if (preferences.whatsapp !== false) {
+    return 'whatsapp';
+  }
+
+  if (preferences.sms) {
+    return 'sms';
+  }
+
+  return preferences.email && patient.email ? 'email' : 'whatsapp';
+};
+
+/**
+ * Text of an SMS reminder; kept short so it fits in two parts
+ * @param {Object} variables - Reminder template variables
+ * @returns {string}
+ */
+const buildSmsReminder = (variables) =>
+  `Reminder: ${variables.patient_name}, your appointment with ${variables.doctor_name} (${variables.department}) is on ${variables.appointment_date}, ${variables.appointment_time}.`;
+
+/**
+ * Email reminder: HTML and text bodies with the appointment as a calendar invite
+ * @param {Object} appointment - Appointment document
+ * @param {Object} variables - Reminder template variables
+ * @returns {Object} - Email for emailService.sendEmail
+ */
+const buildEmailReminder = (appointment, variables) => ({
+  ...emailService.buildReminderEmail(variables),
+  attachments: [{
+    filename: 'appointment.ics',
+    contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+    content: buildAppointmentInvite(appointment, {
+      summary: `Appointment with ${variables.doctor_name}`,
+      description: `${variables.department}\n${variables.preparation}`,
+      location: variables.location,
+      organizer: { name: emailService.config.fromName, email: emailService.config.from }
+    })
+  }]
+});
+
+/**
+ * Variables of the appointment reminder template
+ * @param {Object} appointment - Appointment with patient, doctor and department populated
+ * @returns {Object}
+ */
+const buildReminderVariables = (appointment) => ({
+  patient_name: appointment.patient.name,
+  appointment_date: moment(appointment.date).format('dddd, MMMM D, YYYY'),
+  appointment_time: `${appointment.startTime} - ${appointment.endTime}`,
+  doctor_name: appointment.doctor.name,
+  department: appointment.department.name,
+  location: `${appointment.location.building || ''}, Floor ${appointment.location.floor || ''}, Room ${appointment.location.roomNumber || ''}`,
+  preparation: appointment.preparationInstructions || 'No special preparation required.'
+});
+
+/**
+ * Queue a reminder on a channel
+ * @param {Object} appointment - Appointment with patient, doctor and department populated
+ * @param {string} channel - 'whatsapp', 'sms' or 'email'
+ * @param {Object|null} messageTemplate - WhatsApp reminder template (unused on other channels)
+ * @param {Object} context - Message record fields (_id, patient, appointment, idempotencyKey, ...)
+ * @returns {Promise<Object>} - Queued message record
+ */
+const queueReminderMessage = async (appointment, channel, messageTemplate, context) => {
+  const phoneNumber = appointment.patient.getWhatsAppNumber();
+  const variables = buildReminderVariables(appointment);
+
+  if (channel === 'sms') {
+    return smsService.sendTextMessage(phoneNumber, buildSmsReminder(variables), context);
+  }
+
+  if (channel === 'email') {
+    return emailService.sendEmail(appointment.patient.email, buildEmailReminder(appointment, variables), context);
+  }
+
+  const message = await sendTemplatedMessage(
+    phoneNumber,
+    messageTemplate.externalTemplateId,
+    variables,
+    {
+      ...context,
+      messageTemplate
+    }
+  );
+
+  // Replies to the reminder are about this appointment, unless the patient is
+  // busy with another flow (a reply quoting the reminder still finds it)
+  await conversationService.transition(appointment.patient._id, 'awaiting_appointment_reply', {
+    appointment,
+    message: message._id,
+    keepActiveFlow: true
+  });
+
+  // The reminder went out; a failed document request must not undo it
+  try {
+    await requestMissingDocuments(appointment, phoneNumber);
   } catch (error) {
-    logger.error(`Error sending appointment notification: ${error.message}`);
-    throw error;
+    logger.error(`Could not request documents for appointment ${appointment._id}: ${error.message}`);
   }
+
+  return message;
 };
 
 /**
- * Send appointment update notification (for reschedules or cancellations)
+ * Send appointment reminder via WhatsApp, or by SMS or email for reminders on
+ * those channels and patients who do not accept WhatsApp
  * @param {string} appointmentId - Appointment ID
+ * @param {string} templateId - Optional template ID, will use default if not provided
+ * @param {string} reminderId - Optional reminder subdocument to send; without it an
+ *   extra reminder is sent that is not tied to any scheduled reminder
  * @returns {Promise<Object>} - Message record
  */
-const sendAppointmentUpdateNotification = async (appointmentId) => {
+const sendAppointmentReminder = async (appointmentId, templateId, reminderId) => {
   try {
     // Fetch appointment with populated relationships
     const appointment = await Appointment.findById(appointmentId)
@@ -357,8 +561,551 @@ const sendAppointmentUpdateNotification = async (appointmentId) => {
       throw new Error(`Appointment not found with id: ${appointmentId}`);
     }
 
-    // Get patient phone number
-    const phoneNumber = appointment.patient.getWhatsAppNumber();
+    // A reminder is pointless once the appointment has started
+    if (appointment.getStartDateTime() <= new Date()) {
+      throw new ErrorResponse('Cannot send a reminder for an appointment that has already started', 400);
+    }
+
+    const reminder = reminderId ? appointment.reminders.id(reminderId) : null;
+
+    if (reminderId) {
+      if (!reminder) {
+        throw new ErrorResponse(`Reminder not found with id of ${reminderId}`, 404);
+      }
+
+      if (reminder.sent || reminder.status !== 'pending') {
+        throw new ErrorResponse(`Reminder ${reminderId} has already been ${reminder.sent ? 'sent' : reminder.status}`, 409);
+      }
+    }
+
+    const channel = getReminderChannel(reminder, appointment.patient);
+
+    if (channel === 'email' && !appointment.patient.email) {
+      throw new ErrorResponse(`Patient ${appointment.patient.name} has no email address`, 400);
+    }
+
+    // Find template to use (specified, set by the reminder policy, or default)
+    let messageTemplate;
+    
+    templateId = templateId || (reminder && reminder.template);
+
+    if (templateId) {
+      messageTemplate = await MessageTemplate.findById(templateId);
+    } else {
+      messageTemplate = await MessageTemplate.findOne({
+        type: 'appointment_reminder',
+        isActive: true
+      });
+    }
+
+    // SMS and email reminders are composed here and need no WhatsApp template
+    if (!messageTemplate && channel === 'whatsapp') {
+      throw new Error('No active appointment reminder template found');
+    }
+
+    // Link the reminder to the message before queueing it, so the queue can
+    // move the reminder to 'sent' as soon as the provider accepts the message
+    const messageId = new mongoose.Types.ObjectId();
+
+    if (reminderId && !(await claimReminder(appointment._id, reminderId, messageId.toString(), channel))) {
+      throw new ErrorResponse(`Reminder ${reminderId} has already been sent`, 409);
+    }
+
+    const context = {
+      _id: messageId,
+      patient: appointment.patient._id,
+      appointment: appointment._id,
+      idempotencyKey: reminderId ? getReminderIdempotencyKey(reminderId) : undefined
+    };
+
+    // Queue the message
+    try {
+      return await queueReminderMessage(appointment, channel, messageTemplate, context);
+    } catch (error) {
+      if (reminderId) {
+        await releaseReminder(appointment._id, reminderId);
+      }
+      throw error;
+    }
+  } catch (error) {
+    logger.error(`Error sending appointment reminder: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Ask the patient for the documents still missing from an appointment's checklist
+ * @param {Object} appointment - Appointment document
+ * @param {string} phoneNumber - Patient WhatsApp number
+ * @returns {Promise<Object|null>} - Message record, or null if nothing is missing
+ */
+const requestMissingDocuments = async (appointment, phoneNumber) => {
+  const outstanding = appointment.getOutstandingDocuments();
+
+  if (!outstanding.length) {
+    return null;
+  }
+
+  // Items keep their checklist number so a caption like "2" can be matched
+  const list = outstanding
+    .map(item => `${appointment.documentChecklist.indexOf(item) + 1}. ${item.name}${item.status === 'rejected' ? ` (new copy needed: ${item.rejectionReason})` : ''}`)
+    .join('\n');
+
+  const message = await sendTextMessage(
+    phoneNumber,
+    `Please send us the following documents before your appointment on ${moment(appointment.date).format('dddd, MMMM D')}:\n${list}\n\nReply with a photo or PDF of each one, with its name or number as the caption.`,
+    {
+      patient: appointment.patient._id || appointment.patient,
+      appointment: appointment._id
+    }
+  );
+
+  const requestedAt = new Date();
+  outstanding.forEach(item => {
+    item.requestedAt = requestedAt;
+  });
+  await appointment.save();
+
+  return message;
+};
+
+/**
+ * File a document sent by a patient against the checklist of their appointment
+ * @param {Object} attachment - Stored inbound attachment
+ * @param {Object|null} appointment - Appointment the patient is replying about, if known
+ * @param {Object} patient - Patient document
+ * @param {Object} message - Inbound message record
+ * @param {string} phoneNumber - Patient WhatsApp number
+ * @returns {Promise<Object|null>} - Checklist item, or null if the file could not be matched
+ */
+const fileInboundDocument = async (attachment, appointment, patient, message, phoneNumber) => {
+  const target = await documentService.findAppointmentForDocument(patient._id, appointment);
+
+  // Not every file is paperwork; without an open checklist it is just a message
+  if (!target) {
+    return null;
+  }
+
+  const item = documentService.matchChecklistItem(target, attachment.caption || attachment.filename);
+
+  message.appointment = target._id;
+
+  if (!item) {
+    message.review = { status: 'pending' };
+    await message.save();
+
+    await sendTextMessage(
+      phoneNumber,
+      'Thank you, we received your file. Our staff will check which document it is.',
+      { patient: patient._id, appointment: target._id }
+    );
+    return null;
+  }
+
+  await message.save();
+  await documentService.recordReceivedDocument(target, item, attachment);
+
+  const remaining = target.getOutstandingDocuments();
+  const followUp = remaining.length
+    ? `We are still waiting for: ${remaining.map(rest => rest.name).join(', ')}.`
+    : 'We now have all the documents needed for your appointment.';
+
+  await sendTextMessage(
+    phoneNumber,
+    `Thank you, we received your ${item.name}. ${followUp}`,
+    { patient: patient._id, appointment: target._id }
+  );
+
+  return item;
+};
+
+/**
+ * Ask one question of a pre-visit questionnaire
+ * @param {Object} appointment - Appointment document
+ * @param {Object} questionnaire - Questionnaire document
+ * @param {Object} question - Question to ask
+ * @param {string} phoneNumber - Patient WhatsApp number
+ * @param {string} intro - Optional text sent before the question
+ * @returns {Promise<Object>} - Message record
+ */
+const sendQuestionnaireQuestion = async (appointment, questionnaire, question, phoneNumber, intro) => {
+  const patientId = appointment.patient._id || appointment.patient;
+  const context = { patient: patientId, appointment: appointment._id };
+  const position = questionnaire.questions.findIndex(candidate => candidate.key === question.key) + 1;
+  const text = `${intro ? `${intro}\n\n` : ''}(${position}/${questionnaire.questions.length}) ${question.text}`;
+  const replyId = (option) => encodeButtonPayload('questionnaire', appointment, [question.key, option.id]);
+
+  let message;
+
+  if (question.answerType === 'buttons') {
+    message = await sendInteractiveMessage(
+      phoneNumber,
+      text,
+      question.options.map(option => ({ id: replyId(option), title: option.title })),
+      context
+    );
+  } else if (question.answerType === 'list') {
+    message = await sendListMessage(
+      phoneNumber,
+      text,
+      'Choose an answer',
+      [{ title: 'Answers', rows: question.options.map(option => ({ id: replyId(option), title: option.title })) }],
+      context
+    );
+  } else {
+    message = await sendTextMessage(phoneNumber, text, context);
+  }
+
+  // Typed replies answer this question until the appointment starts
+  await conversationService.transition(patientId, 'answering_questionnaire', {
+    appointment,
+    data: { questionnaire: questionnaire._id.toString(), question: question.key },
+    expiresAt: appointment.getStartDateTime(),
+    message: message._id
+  });
+
+  return message;
+};
+
+/**
+ * Send the pre-visit questionnaire of an appointment
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} options - { questionnaire } to skip the lookup, { resend } to start over
+ * @returns {Promise<Object>} - Message record of the first question
+ */
+const sendQuestionnaire = async (appointmentId, options = {}) => {
+  const appointment = await Appointment.findById(appointmentId).populate('patient');
+
+  if (!appointment) {
+    throw new ErrorResponse(`Appointment not found with id of ${appointmentId}`, 404);
+  }
+
+  const questionnaire = options.questionnaire || await Questionnaire.findForAppointment(appointment);
+
+  if (!questionnaire) {
+    throw new ErrorResponse('No active questionnaire applies to this appointment', 404);
+  }
+
+  // Typed replies would be read as answers and break the reschedule in progress
+  const conversation = await conversationService.getActiveConversation(appointment.patient._id);
+
+  if (conversation && conversation.flow === 'reschedule') {
+    throw new ErrorResponse('The patient is rescheduling an appointment; try again later', 409);
+  }
+
+  if (!(await questionnaireService.claimQuestionnaire(appointment._id, questionnaire._id, options.resend))) {
+    throw new ErrorResponse('The questionnaire has already been sent for this appointment', 409);
+  }
+
+  const claimed = await Appointment.findById(appointment._id).populate('patient');
+
+  try {
+    return await sendQuestionnaireQuestion(
+      claimed,
+      questionnaire,
+      questionnaire.questions[0],
+      claimed.patient.getWhatsAppNumber(),
+      questionnaire.introduction ||
+        `Before your appointment on ${moment(claimed.date).format('dddd, MMMM D')}, please answer a few short questions.`
+    );
+  } catch (error) {
+    // Let the next run try again
+    await Appointment.updateOne({ _id: claimed._id }, { $unset: { 'questionnaire.status': '' } });
+    throw error;
+  }
+};
+
+/**
+ * Handle a patient's answer to a questionnaire question
+ * @param {Object} appointment - Appointment the questionnaire is about
+ * @param {string} questionKey - Key of the question answered
+ * @param {Object} reply - { optionId } from a button or list reply, or { text }
+ * @param {Object} patient - Patient document
+ * @param {string} phoneNumber - Patient WhatsApp number
+ * @returns {Promise<string>} - 'answered', 'completed', 'invalid' or 'closed'
+ */
+const handleQuestionnaireAnswer = async (appointment, questionKey, reply, patient, phoneNumber) => {
+  const context = { patient: patient._id, appointment: appointment._id };
+  const state = appointment.questionnaire || {};
+  const questionnaire = state.questionnaire ? await Questionnaire.findById(state.questionnaire) : null;
+  const question = questionnaire && questionnaire.questions.find(candidate => candidate.key === questionKey);
+
+  if (!question || !['sent', 'in_progress', 'completed'].includes(state.status)) {
+    await sendTextMessage(phoneNumber, 'This questionnaire is no longer open. Please contact us if you need to update your answers.', context);
+    return 'closed';
+  }
+
+  const parsed = questionnaireService.parseAnswer(question, reply);
+
+  if (!parsed) {
+    await sendQuestionnaireQuestion(appointment, questionnaire, question, phoneNumber, 'Sorry, we did not understand your answer. Please use one of the options below.');
+    return 'invalid';
+  }
+
+  await appointment.populate('doctor');
+  const { nextQuestion } = await questionnaireService.recordAnswer(appointment, questionnaire, question, parsed);
+
+  if (nextQuestion) {
+    await sendQuestionnaireQuestion(appointment, questionnaire, nextQuestion, phoneNumber);
+    return 'answered';
+  }
+
+  await conversationService.endConversation(patient._id, 'completed', { appointment });
+  await sendTextMessage(
+    phoneNumber,
+    appointment.questionnaire.hasRedFlags
+      ? 'Thank you for your answers. Your care team will review them and may contact you before your visit.'
+      : 'Thank you for your answers. See you at your appointment!',
+    context
+  );
+  return 'completed';
+};
+
+/**
+ * Send the satisfaction survey of a completed visit
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Object>} - Message record
+ */
+const sendFollowUp = async (appointmentId) => {
+  const appointment = await Appointment.findById(appointmentId)
+    .populate('patient')
+    .populate('doctor')
+    .populate('department');
+
+  if (!appointment) {
+    throw new ErrorResponse(`Appointment not found with id of ${appointmentId}`, 404);
+  }
+
+  // Only a plain confirm/cancel question may be replaced by the survey
+  const conversation = await conversationService.getActiveConversation(appointment.patient._id);
+
+  if (conversation && conversation.flow !== 'appointment_reply') {
+    throw new ErrorResponse('The patient is in another conversation; try again later', 409);
+  }
+
+  if (!(await followUpService.claimFollowUp(appointment._id))) {
+    throw new ErrorResponse('The follow-up has already been sent for this appointment', 409);
+  }
+
+  const phoneNumber = appointment.patient.getWhatsAppNumber();
+  const context = { patient: appointment.patient._id, appointment: appointment._id };
+
+  let message;
+
+  try {
+    const messageTemplate = await MessageTemplate.findOne({ type: 'follow_up', isActive: true });
+
+    // The template must ask for the 0-10 rating itself
+    message = messageTemplate
+      ? await sendTemplatedMessage(
+        phoneNumber,
+        messageTemplate.externalTemplateId,
+        {
+          patient_name: appointment.patient.name,
+          doctor_name: appointment.doctor.name,
+          department: appointment.department.name,
+          appointment_date: moment(appointment.date).format('dddd, MMMM D, YYYY')
+        },
+        { ...context, messageTemplate }
+      )
+      : await sendTextMessage(
+        phoneNumber,
+        `Hello ${appointment.patient.name}, thank you for your visit with ${appointment.doctor.name}. On a scale from 0 to 10, how likely are you to recommend us to a friend or family member? Please reply with a number.`,
+        context
+      );
+  } catch (error) {
+    if (error.statusCode === 403) {
+      await followUpService.skipFollowUp(appointment._id, error.reason || 'opted_out');
+    } else {
+      await followUpService.releaseFollowUp(appointment._id);
+    }
+    throw error;
+  }
+
+  await Appointment.updateOne({ _id: appointment._id }, { 'followUp.message': message._id });
+
+  await conversationService.transition(appointment.patient._id, 'awaiting_rating', {
+    appointment,
+    expiresAt: moment().add(followUpService.config.replyHours, 'hours').toDate(),
+    message: message._id
+  });
+
+  return message;
+};
+
+/**
+ * Handle a patient's reply to the satisfaction survey
+ * @param {Object} appointment - Appointment the survey is about
+ * @param {Object} conversation - Active follow-up conversation
+ * @param {string} text - Patient reply
+ * @param {Object} patient - Patient document
+ * @param {string} phoneNumber - Patient WhatsApp number
+ * @returns {Promise<string>} - 'rated', 'commented', 'invalid' or 'completed'
+ */
+const handleFollowUpReply = async (appointment, conversation, text, patient, phoneNumber) => {
+  const context = { patient: patient._id, appointment: appointment._id };
+  const thanks = 'Thank you for your feedback, it helps us improve our care.';
+
+  if (conversation.state === 'awaiting_feedback_comment') {
+    if (!followUpService.isSkipReply(text)) {
+      await followUpService.recordComment(appointment, text);
+    }
+
+    await conversationService.endConversation(patient._id, 'completed', { appointment });
+    await sendTextMessage(phoneNumber, thanks, context);
+    return 'commented';
+  }
+
+  const answer = followUpService.parseRating(text);
+
+  if (!answer) {
+    await sendTextMessage(phoneNumber, 'Please reply with a number from 0 (not at all likely) to 10 (extremely likely).', context);
+    return 'invalid';
+  }
+
+  await followUpService.recordRating(appointment, answer);
+
+  if (answer.comment) {
+    await conversationService.endConversation(patient._id, 'completed', { appointment });
+    await sendTextMessage(phoneNumber, thanks, context);
+    return 'completed';
+  }
+
+  const message = await sendTextMessage(
+    phoneNumber,
+    'Thank you! Is there anything you would like to tell us about your visit? Reply SKIP if not.',
+    context
+  );
+
+  await conversationService.transition(patient._id, 'awaiting_feedback_comment', {
+    appointment,
+    expiresAt: moment().add(followUpService.config.replyHours, 'hours').toDate(),
+    message: message._id
+  });
+  return 'rated';
+};
+
+/**
+ * Send initial appointment notification after booking
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Object>} - Message record
+ */
+const sendAppointmentNotification = async (appointmentId) => {
+  try {
+    // Fetch appointment with populated relationships
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('patient')
+      .populate('doctor')
+      .populate('department');
+
+    if (!appointment) {
+      throw new Error(`Appointment not found with id: ${appointmentId}`);
+    }
+
+    // Get patient phone number
+    const phoneNumber = appointment.patient.getWhatsAppNumber();
+
+    // Find template for initial notification
+    const messageTemplate = await MessageTemplate.findOne({
+      type: 'appointment_confirmation',
+      isActive: true
+    });
+
+    if (!messageTemplate) {
+      throw new Error('No active appointment confirmation template found');
+    }
+
+    // Prepare variables for template
+    const appointmentDate = moment(appointment.date).format('dddd, MMMM D, YYYY');
+    const appointmentTime = `${appointment.startTime} - ${appointment.endTime}`;
+    const doctorName = appointment.doctor.name;
+    const departmentName = appointment.department.name;
+    const locationStr = `${appointment.location.building || ''}, Floor ${appointment.location.floor || ''}, Room ${appointment.location.roomNumber || ''}`;
+    
+    const variables = {
+      patient_name: appointment.patient.name,
+      appointment_date: appointmentDate,
+      appointment_time: appointmentTime,
+      doctor_name: doctorName,
+      department: departmentName,
+      location: locationStr,
+      preparation: appointment.preparationInstructions || 'No special preparation required.'
+    };
+
+    // Queue the message
+    const notificationMessage = await sendTemplatedMessage(
+      phoneNumber,
+      messageTemplate.externalTemplateId,
+      variables,
+      {
+        patient: appointment.patient._id,
+        appointment: appointment._id,
+        messageTemplate
+      }
+    );
+
+    // Create interactive buttons for user response; each id names the appointment
+    const buttons = [
+      {
+        id: encodeButtonPayload('confirm', appointment),
+        title: 'Confirm'
+      },
+      {
+        id: encodeButtonPayload('reschedule', appointment),
+        title: 'Reschedule'
+      },
+      {
+        id: encodeButtonPayload('cancel', appointment),
+        title: 'Cancel'
+      }
+    ];
+
+    // Queue interactive message for confirmation
+    const interactiveMessage = await sendInteractiveMessage(
+      phoneNumber,
+      'Please confirm your appointment:',
+      buttons,
+      {
+        patient: appointment.patient._id,
+        appointment: appointment._id
+      }
+    );
+
+    await conversationService.transition(appointment.patient._id, 'awaiting_appointment_reply', {
+      appointment,
+      message: interactiveMessage._id,
+      keepActiveFlow: true
+    });
+
+    return {
+      notification: notificationMessage,
+      interactive: interactiveMessage
+    };
+  } catch (error) {
+    logger.error(`Error sending appointment notification: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Send appointment update notification (for reschedules or cancellations)
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Object>} - Message record
+ */
+const sendAppointmentUpdateNotification = async (appointmentId) => {
+  try {
+    // Fetch appointment with populated relationships
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('patient')
+      .populate('doctor')
+      .populate('department');
+
+    if (!appointment) {
+      throw new Error(`Appointment not found with id: ${appointmentId}`);
+    }
+
+    // Get patient phone number
+    const phoneNumber = appointment.patient.getWhatsAppNumber();
 
     // Determine template type based on appointment status
     let templateType;
@@ -371,84 +1118,548 @@ const sendAppointmentUpdateNotification = async (appointmentId) => {
       templateType = 'appointment_confirmation';
     }
 
-    // Find appropriate template
-    const messageTemplate = await MessageTemplate.findOne({
-      type: templateType,
-      isActive: true
-    });
+    // Find appropriate template
+    const messageTemplate = await MessageTemplate.findOne({
+      type: templateType,
+      isActive: true
+    });
+
+    if (!messageTemplate) {
+      throw new Error(`No active ${templateType} template found`);
+    }
+
+    // Prepare variables for template
+    const appointmentDate = moment(appointment.date).format('dddd, MMMM D, YYYY');
+    const appointmentTime = `${appointment.startTime} - ${appointment.endTime}`;
+    const doctorName = appointment.doctor.name;
+    const departmentName = appointment.department.name;
+    const locationStr = `${appointment.location.building || ''}, Floor ${appointment.location.floor || ''}, Room ${appointment.location.roomNumber || ''}`;
+    
+    const variables = {
+      patient_name: appointment.patient.name,
+      appointment_date: appointmentDate,
+      appointment_time: appointmentTime,
+      doctor_name: doctorName,
+      department: departmentName,
+      location: locationStr,
+      preparation: appointment.preparationInstructions || 'No special preparation required.',
+      reason: appointment.cancelReason || appointment.rescheduleDetails?.reason || 'No reason provided'
+    };
+
+    // For rescheduled appointments, add previous date information
+    if (appointment.status === 'rescheduled' && appointment.rescheduleDetails) {
+      const previousDate = moment(appointment.rescheduleDetails.previousDate).format('dddd, MMMM D, YYYY');
+      const previousTime = `${appointment.rescheduleDetails.previousStartTime} - ${appointment.rescheduleDetails.previousEndTime}`;
+      
+      variables.previous_date = previousDate;
+      variables.previous_time = previousTime;
+    }
+
+    // Queue the message
+    const message = await sendTemplatedMessage(
+      phoneNumber,
+      messageTemplate.externalTemplateId,
+      variables,
+      {
+        patient: appointment.patient._id,
+        appointment: appointment._id,
+        messageTemplate
+      }
+    );
+
+    // A cancelled appointment no longer expects an answer from the patient
+    if (appointment.status === 'cancelled') {
+      await conversationService.endConversation(appointment.patient._id, 'completed', { appointment });
+    }
+
+    return message;
+  } catch (error) {
+    logger.error(`Error sending appointment update notification: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Send status update notification
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Object>} - Message record
+ */
+const sendStatusUpdateNotification = async (appointmentId) => {
+  try {
+    // This is a wrapper around sendAppointmentUpdateNotification for status changes
+    return await sendAppointmentUpdateNotification(appointmentId);
+  } catch (error) {
+    logger.error(`Error sending status update notification: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Send the location of an appointment as a map pin, built from the department
+ * coordinates and address and the room of the appointment
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Object>} - Message record
+ */
+const sendAppointmentLocation = async (appointmentId) => {
+  try {
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('patient')
+      .populate('department');
+
+    if (!appointment) {
+      throw new ErrorResponse(`Appointment not found with id of ${appointmentId}`, 404);
+    }
+
+    const department = appointment.department;
+    const coordinates = (department && department.coordinates) || {};
+
+    // Departments without coordinates use the clinic's
+    const latitude = coordinates.latitude ?? parseFloat(process.env.CLINIC_LATITUDE);
+    const longitude = coordinates.longitude ?? parseFloat(process.env.CLINIC_LONGITUDE);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      throw new ErrorResponse(`No coordinates set for department ${department ? department.name : appointment.department}`, 400);
+    }
+
+    const { building, floor, roomNumber } = appointment.location || {};
+    const room = [
+      building,
+      floor ? `Floor ${floor}` : null,
+      roomNumber ? `Room ${roomNumber}` : null
+    ].filter(Boolean).join(', ');
+
+    return await sendLocationMessage(
+      appointment.patient.getWhatsAppNumber(),
+      {
+        latitude,
+        longitude,
+        name: department ? department.name : process.env.CLINIC_NAME,
+        address: [room, (department && department.address) || process.env.CLINIC_ADDRESS].filter(Boolean).join(' - ')
+      },
+      {
+        patient: appointment.patient._id,
+        appointment: appointment._id
+      }
+    );
+  } catch (error) {
+    logger.error(`Error sending appointment location: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Send the preparation document of an appointment, captioned with its
+ * preparation instructions
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<Object>} - Message record
+ */
+const sendPreparationDocument = async (appointmentId) => {
+  try {
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('patient')
+      .populate('preparationDocument');
+
+    if (!appointment) {
+      throw new ErrorResponse(`Appointment not found with id of ${appointmentId}`, 404);
+    }
+
+    if (!appointment.preparationDocument) {
+      throw new ErrorResponse('This appointment has no preparation document', 400);
+    }
+
+    return await sendMediaMessage(
+      appointment.patient.getWhatsAppNumber(),
+      appointment.preparationDocument,
+      appointment.preparationInstructions,
+      {
+        patient: appointment.patient._id,
+        appointment: appointment._id
+      }
+    );
+  } catch (error) {
+    logger.error(`Error sending preparation document: ${error.message}`);
+    throw error;
+  }
+};
+
+// Patient answers that change an appointment
+const APPOINTMENT_ACTIONS = ['confirm', 'reschedule', 'cancel'];
+
+// Actions of the self-service reschedule flow, sent as signed reply ids
+// (utils/buttonPayload) with these extra fields:
+//   reschedule_slot     <YYYYMMDD>:<HHmm>  - a time picked from the list
+//   reschedule_confirm  <holdId>           - confirm the held time
+//   reschedule_more                        - show other times
+//   reschedule_keep                        - keep the current time
+const RESCHEDULE_STEPS = ['slot', 'confirm', 'more', 'keep'];
+
+/**
+ * Parse a reply from the reschedule flow
+ * @param {Object} payload - Valid result of decodeButtonPayload()
+ * @returns {Object|null} - { step, appointmentId, holdId, date, startTime } or null
+ */
+const parseRescheduleReply = (payload) => {
+  const step = payload ? payload.action.replace(/^reschedule_/, '') : null;
+
+  if (!payload || !payload.action.startsWith('reschedule_') || !RESCHEDULE_STEPS.includes(step)) {
+    return null;
+  }
+
+  const reply = { step, appointmentId: payload.appointmentId };
+
+  if (step === 'slot') {
+    const [date, time] = payload.args;
+    reply.date = moment(date, 'YYYYMMDD', true);
+    reply.startTime = time ? `${time.slice(0, 2)}:${time.slice(2, 4)}` : null;
+
+    if (!reply.date.isValid() || !/^\d{2}:\d{2}$/.test(reply.startTime)) {
+      return null;
+    }
+  }
+
+  if (step === 'confirm') {
+    reply.holdId = payload.args[0];
+  }
+
+  return reply;
+};
+
+/**
+ * Offer the next open slots for an appointment as an interactive list
+ * @param {Object} appointment - Appointment record
+ * @param {Object} patient - Patient record
+ * @param {string} phoneNumber - Patient's WhatsApp number
+ * @param {string} intro - Optional line shown before the list
+ */
+const startRescheduleFlow = async (appointment, patient, phoneNumber, intro) => {
+  const slots = await rescheduleService.getOfferedSlots(appointment);
+  const context = { patient: patient._id, appointment: appointment._id };
+
+  if (!slots.length) {
+    // Nothing free soon - staff will handle the actual rescheduling
+    await Appointment.updateOne({ _id: appointment._id }, { status: 'rescheduled' });
+    await conversationService.endConversation(patient._id, 'completed');
+
+    await sendTextMessage(
+      phoneNumber,
+      `We've received your request to reschedule your appointment. Our staff will contact you shortly to arrange a new time.`,
+      context
+    );
+    return;
+  }
+
+  const rows = slots.map(slot => ({
+    id: encodeButtonPayload('reschedule_slot', appointment, [
+      moment(slot.date).format('YYYYMMDD'),
+      slot.startTime.replace(':', '')
+    ]),
+    title: `${moment(slot.date).format('ddd D MMM')} ${slot.startTime}`,
+    description: `${moment(slot.date).format('dddd, MMMM D')}, ${slot.startTime} - ${slot.endTime}`
+  }));
+
+  rows.push({
+    id: encodeButtonPayload('reschedule_keep', appointment),
+    title: 'Keep current time',
+    description: `${moment(appointment.date).format('dddd, MMMM D')} at ${appointment.startTime}`
+  });
+
+  const message = await sendListMessage(
+    phoneNumber,
+    `${intro ? `${intro}\n\n` : ''}Please choose a new time for your appointment:`,
+    'Choose a time',
+    [{ title: 'Available times', rows }],
+    context
+  );
+
+  await conversationService.transition(patient._id, 'choosing_slot', { appointment, message: message._id });
+};
+
+/**
+ * Handle a reply from the reschedule flow
+ * @param {Object} reply - Result of parseRescheduleReply()
+ * @param {Object} patient - Patient record
+ * @param {string} phoneNumber - Patient's WhatsApp number
+ * @returns {Promise<string>} - Outcome of the step
+ */
+const handleRescheduleReply = async (reply, patient, phoneNumber) => {
+  const appointment = await rescheduleService.getReschedulableAppointment(reply.appointmentId, patient._id);
+  const context = { patient: patient._id, appointment: appointment._id };
+
+  try {
+    switch (reply.step) {
+      case 'slot': {
+        const hold = await rescheduleService.holdSlot(appointment, {
+          date: reply.date.toDate(),
+          startTime: reply.startTime
+        });
+
+        const message = await sendInteractiveMessage(
+          phoneNumber,
+          `${moment(hold.date).format('dddd, MMMM D, YYYY')} at ${hold.startTime} is held for you for ${rescheduleService.config.holdMinutes} minutes. Do you want to move your appointment to this time?`,
+          [
+            { id: encodeButtonPayload('reschedule_confirm', appointment, [hold._id.toString()]), title: 'Confirm' },
+            { id: encodeButtonPayload('reschedule_more', appointment), title: 'Other times' },
+            { id: encodeButtonPayload('reschedule_keep', appointment), title: 'Keep current' }
+          ],
+          context
+        );
+
+        // A typed "yes" now confirms this hold
+        await conversationService.transition(patient._id, 'confirming_slot', {
+          appointment,
+          data: { holdId: hold._id.toString() },
+          expiresAt: hold.expiresAt,
+          message: message._id
+        });
+        return 'held';
+      }
 
-    if (!messageTemplate) {
-      throw new Error(`No active ${templateType} template found`);
+      case 'confirm': {
+        const updated = await rescheduleService.confirmHold(reply.holdId, patient._id);
+        await conversationService.endConversation(patient._id, 'completed');
+        eventBus.publishAppointmentStatus(updated, appointment.status, 'patient');
+
+        await sendTextMessage(
+          phoneNumber,
+          `Your appointment has been moved to ${moment(updated.date).format('dddd, MMMM D, YYYY')} at ${updated.startTime}. Thank you!`,
+          context
+        );
+        return 'rescheduled';
+      }
+
+      case 'more':
+        await rescheduleService.releaseHolds(appointment._id);
+        await startRescheduleFlow(appointment, patient, phoneNumber);
+        return 'offered';
+
+      case 'keep':
+        await rescheduleService.releaseHolds(appointment._id);
+        await conversationService.endConversation(patient._id, 'completed');
+
+        await sendTextMessage(
+          phoneNumber,
+          `No problem, your appointment stays on ${moment(appointment.date).format('dddd, MMMM D, YYYY')} at ${appointment.startTime}.`,
+          context
+        );
+        return 'kept';
     }
+  } catch (error) {
+    // The slot was taken or the hold ran out: offer fresh times
+    if (error.statusCode === 409 || error.statusCode === 410) {
+      await startRescheduleFlow(
+        appointment,
+        patient,
+        phoneNumber,
+        `Sorry, ${error.statusCode === 410 ? 'the time you chose is no longer held' : 'that time has just been taken'}.`
+      );
+      return 'offered';
+    }
+    throw error;
+  }
+};
 
-    // Prepare variables for template
-    const appointmentDate = moment(appointment.date).format('dddd, MMMM D, YYYY');
-    const appointmentTime = `${appointment.startTime} - ${appointment.endTime}`;
-    const doctorName = appointment.doctor.name;
-    const departmentName = appointment.department.name;
-    const locationStr = `${appointment.location.building || ''}, Floor ${appointment.location.floor || ''}, Room ${appointment.location.roomNumber || ''}`;
-    
-    const variables = {
-      patient_name: appointment.patient.name,
-      appointment_date: appointmentDate,
-      appointment_time: appointmentTime,
-      doctor_name: doctorName,
-      department: departmentName,
-      location: locationStr,
-      preparation: appointment.preparationInstructions || 'No special preparation required.',
-      reason: appointment.cancelReason || appointment.rescheduleDetails?.reason || 'No reason provided'
-    };
+/**
+ * Apply a patient's answer to an appointment and acknowledge it
+ * @param {Object} appointment - Appointment document
+ * @param {string} action - 'confirm', 'reschedule' or 'cancel'
+ * @param {Object} patient - Patient document
+ * @param {string} phoneNumber - Number the acknowledgment is sent to
+ */
+const applyAppointmentAction = async (appointment, action, patient, phoneNumber) => {
+  let previousStatus;
 
-    // For rescheduled appointments, add previous date information
-    if (appointment.status === 'rescheduled' && appointment.rescheduleDetails) {
-      const previousDate = moment(appointment.rescheduleDetails.previousDate).format('dddd, MMMM D, YYYY');
-      const previousTime = `${appointment.rescheduleDetails.previousStartTime} - ${appointment.rescheduleDetails.previousEndTime}`;
+  switch (action) {
+    case 'confirm':
+      previousStatus = appointment.status;
+      appointment.status = 'confirmed';
+      await appointment.save();
+      eventBus.publishAppointmentStatus(appointment, previousStatus, 'patient');
+      await conversationService.endConversation(patient._id, 'completed', { appointment });
       
-      variables.previous_date = previousDate;
-      variables.previous_time = previousTime;
+      // Send confirmation acknowledgment
+      await sendTextMessage(
+        phoneNumber,
+        `Thank you for confirming your appointment on ${moment(appointment.date).format('dddd, MMMM D, YYYY')} at ${appointment.startTime}.`,
+        { patient: patient._id, appointment: appointment._id }
+      );
+      break;
+      
+    case 'reschedule':
+      // Let the patient pick a new time themselves
+      await startRescheduleFlow(appointment, patient, phoneNumber);
+      break;
+      
+    case 'cancel':
+      previousStatus = appointment.status;
+      appointment.status = 'cancelled';
+      appointment.cancelReason = 'Cancelled by patient via WhatsApp';
+      await appointment.save();
+      eventBus.publishAppointmentStatus(appointment, previousStatus, 'patient');
+      await conversationService.endConversation(patient._id, 'completed', { appointment });
+      
+      // Send cancellation acknowledgment
+      await sendTextMessage(
+        phoneNumber,
+        `Your appointment on ${moment(appointment.date).format('dddd, MMMM D, YYYY')} at ${appointment.startTime} has been cancelled. If you need to schedule a new appointment, please contact us.`,
+        { patient: patient._id, appointment: appointment._id }
+      );
+      break;
+  }
+};
+
+/**
+ * Opt a patient out after a free-text request and confirm it
+ * @param {Object} patient - Patient document
+ * @param {Object} message - Inbound message holding the request
+ * @param {Object} context - Extra consent ledger fields ({ source, changedBy })
+ */
+const applyOptOutRequest = async (patient, message, context = {}) => {
+  const language = (message.intent && message.intent.language) || 'en';
+
+  await consentService.applyConsentKeyword(
+    patient,
+    {
+      action: 'opt_out',
+      language,
+      keyword: message.intent && message.intent.matched ? message.intent.matched.join(', ') : undefined
+    },
+    { rawMessage: message.content, message: message._id, ...context }
+  );
+  await conversationService.endConversation(patient._id, 'opted_out');
+
+  await sendTextMessage(
+    patient.getWhatsAppNumber(),
+    consentService.getConfirmationMessage('opt_out', language),
+    { patient: patient._id, bypassConsent: true }
+  );
+};
+
+// Typed answers accepted in the reschedule states, mapped to flow steps
+const RESCHEDULE_TEXT_STEPS = {
+  choosing_slot: { cancel: 'keep' },
+  confirming_slot: { confirm: 'confirm', cancel: 'keep', reschedule: 'more' }
+};
+
+/**
+ * Work out which appointment an inbound reply is about: signed button payloads
+ * name it, a reply quoting one of our messages is about that message's
+ * appointment, otherwise the open conversation decides
+ * @param {Object} patient - Patient document
+ * @param {Object|null} payload - Authentic result of decodeButtonPayload()
+ * @param {string} quotedMessageId - Provider id of the message being replied to
+ * @param {Object|null} conversation - Active conversation
+ * @returns {Promise<Object>} - { appointment, source }; source is 'payload', 'quoted', 'conversation' or null
+ */
+const resolveReplyAppointment = async (patient, payload, quotedMessageId, conversation) => {
+  if (payload) {
+    const appointment = await Appointment.findById(payload.appointmentId);
+
+    return appointment && appointment.patient.equals(patient._id)
+      ? { appointment, source: 'payload' }
+      : { appointment: null, source: null };
+  }
+
+  let quotedAppointment = null;
+
+  if (quotedMessageId) {
+    const quoted = await Message.findOne({ externalMessageId: quotedMessageId, patient: patient._id });
+    const appointment = quoted && quoted.appointment ? await Appointment.findById(quoted.appointment) : null;
+
+    // Quoting a message about an appointment that has started answers nothing
+    if (appointment && appointment.getStartDateTime() > new Date()) {
+      quotedAppointment = appointment;
+    }
+  }
+
+  if (conversation && conversation.appointment &&
+      (!quotedAppointment || quotedAppointment._id.equals(conversation.appointment))) {
+    const appointment = await Appointment.findById(conversation.appointment);
+
+    if (appointment) {
+      return { appointment, source: 'conversation' };
     }
+  }
 
-    // Send the message
-    const messageResponse = await sendTemplatedMessage(
-      phoneNumber,
-      messageTemplate.externalTemplateId,
-      variables
-    );
+  return quotedAppointment
+    ? { appointment: quotedAppointment, source: 'quoted' }
+    : { appointment: null, source: null };
+};
 
-    // Record the message in our database
-    const message = await Message.create({
-      patient: appointment.patient._id,
-      appointment: appointment._id,
-      direction: 'outbound',
-      channel: 'whatsapp',
-      messageTemplate: messageTemplate._id,
-      content: messageTemplate.content,
-      variables: variables,
-      externalMessageId: messageResponse.id,
-      status: 'sent',
-      sentAt: new Date()
-    });
+// Appointment statuses a button can no longer change, as told to the patient
+const CLOSED_STATUSES = {
+  cancelled: 'has been cancelled',
+  completed: 'has already taken place',
+  'no-show': 'was marked as missed'
+};
 
-    return message;
-  } catch (error) {
-    logger.error(`Error sending appointment update notification: ${error.message}`);
-    throw error;
+/**
+ * Why a button payload cannot be acted on
+ * @param {Object} payload - Result of decodeButtonPayload()
+ * @param {Object|null} appointment - Appointment named by the payload
+ * @returns {string|null} - 'tampered', 'expired', 'not_found', 'closed', 'stale' or null when usable
+ */
+const getPayloadProblem = (payload, appointment) => {
+  if (!payload.valid) {
+    return payload.reason;
+  }
+
+  if (!appointment) {
+    return 'not_found';
+  }
+
+  if (CLOSED_STATUSES[appointment.status]) {
+    return 'closed';
   }
+
+  // The appointment moved after the message was sent
+  if (isStalePayload(payload, appointment)) {
+    return 'stale';
+  }
+
+  return null;
 };
 
 /**
- * Send status update notification
- * @param {string} appointmentId - Appointment ID
- * @returns {Promise<Object>} - Message record
+ * Tell a patient why a button they tapped did nothing
+ * @param {string} problem - Result of getPayloadProblem()
+ * @param {Object|null} appointment - Appointment named by the payload
+ * @param {Object} patient - Patient document
+ * @param {string} phoneNumber - Patient's WhatsApp number
  */
-const sendStatusUpdateNotification = async (appointmentId) => {
-  try {
-    // This is a wrapper around sendAppointmentUpdateNotification for status changes
-    return await sendAppointmentUpdateNotification(appointmentId);
-  } catch (error) {
-    logger.error(`Error sending status update notification: ${error.message}`);
-    throw error;
+const replyToUnusablePayload = async (problem, appointment, patient, phoneNumber) => {
+  const when = appointment
+    ? `${moment(appointment.date).format('dddd, MMMM D, YYYY')} at ${appointment.startTime}`
+    : null;
+  let text;
+
+  switch (problem) {
+    case 'expired':
+      text = appointment
+        ? `This button has expired: your appointment on ${when} has already started. Please contact us if you need help.`
+        : 'This button has expired. Please contact us if you need help.';
+      break;
+
+    case 'closed':
+      text = `Your appointment on ${when} ${CLOSED_STATUSES[appointment.status]} and can no longer be changed here. Please contact us if you need a new appointment.`;
+      break;
+
+    case 'stale':
+      text = `Your appointment has changed since that message. It is now on ${when}.`;
+      break;
+
+    case 'not_found':
+      text = 'We could not find the appointment this button refers to. Please contact us if you need help.';
+      break;
+
+    default:
+      // Tampered payloads are left to staff without a reply
+      return;
   }
+
+  await sendTextMessage(phoneNumber, text, {
+    patient: patient._id,
+    appointment: appointment ? appointment._id : undefined
+  });
 };
 
 /**
@@ -462,18 +1673,41 @@ const processIncomingMessage = async (webhookData) => {
     
     // Extract key information from webhook payload
     const { from, id, timestamp, type } = webhookData;
-    let content, action = 'none';
+    let content, media = null, location = null, replyId = null, action = 'none';
 
     // Extract content based on message type
     if (type === 'text') {
       content = webhookData.text.body;
     } else if (type === 'interactive' && webhookData.interactive.type === 'button_reply') {
       content = webhookData.interactive.button_reply.title;
-      action = webhookData.interactive.button_reply.id.toLowerCase();
+      replyId = webhookData.interactive.button_reply.id;
+    } else if (type === 'interactive' && webhookData.interactive.type === 'list_reply') {
+      content = webhookData.interactive.list_reply.title;
+      replyId = webhookData.interactive.list_reply.id;
+    } else if (mediaService.MEDIA_TYPES.includes(type)) {
+      // Referral letters, insurance cards, photos...: the file is stored below
+      media = webhookData[type] || {};
+      content = media.caption || (media.filename ? `Document: ${media.filename}` : `${type.charAt(0).toUpperCase()}${type.slice(1)} received`);
+    } else if (type === 'location') {
+      location = {
+        latitude: webhookData.location.latitude,
+        longitude: webhookData.location.longitude,
+        name: webhookData.location.name,
+        address: webhookData.location.address
+      };
+      content = `Location: ${[location.name, location.address].filter(Boolean).join(', ') || `${location.latitude}, ${location.longitude}`}`;
     } else {
       content = `Message of type: ${type}`;
     }
 
+    // Signed reply ids carry the action and the appointment; plain ids come from
+    // buttons sent before ids were signed and are routed by the conversation
+    const payload = replyId ? decodeButtonPayload(replyId) : null;
+
+    if (replyId) {
+      action = payload ? payload.action : replyId.toLowerCase();
+    }
+
     // Find patient by phone number
     const patientPhoneNumber = from.replace(/\+/, '');
     const patient = await Patient.findOne({
@@ -485,25 +1719,15 @@ const processIncomingMessage = async (webhookData) => {
       return { success: false, error: 'Patient not found' };
     }
 
-    // Find recent messages to this patient
-    const recentMessages = await Message.find({
-      patient: patient._id,
-      direction: 'outbound',
-      createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Last 7 days
-    })
-      .populate('appointment')
-      .sort('-createdAt')
-      .limit(5);
-    
-    // If we have recent messages, associate this with the most recent appointment
-    let appointment = null;
-    
-    for (const message of recentMessages) {
-      if (message.appointment) {
-        appointment = message.appointment;
-        break;
-      }
-    }
+    // The conversation says what the patient is answering, if anything
+    const conversation = await conversationService.getActiveConversation(patient._id);
+    const rescheduleReply = payload && payload.valid ? parseRescheduleReply(payload) : null;
+    const { appointment, source } = await resolveReplyAppointment(
+      patient,
+      payload && payload.reason !== 'tampered' ? payload : null,
+      webhookData.context && webhookData.context.id,
+      conversation
+    );
 
     // Create record of incoming message
     const incomingMessage = await Message.create({
@@ -515,60 +1739,164 @@ const processIncomingMessage = async (webhookData) => {
       externalMessageId: id,
       status: 'read',
       readAt: new Date(timestamp * 1000),
-      responseAction: action
+      responseAction: rescheduleReply
+        ? 'reschedule'
+        : [...APPOINTMENT_ACTIONS, 'none'].includes(action) ? action : 'other',
+      location: location || undefined,
+      // A forged button reply is left for staff to look at
+      review: payload && payload.reason === 'tampered' ? { status: 'pending' } : undefined
     });
 
+    let attachment = null;
+
+    if (media) {
+      attachment = await mediaService.storeInboundMedia(type, media, {
+        patient: patient._id,
+        message: incomingMessage._id
+      });
+
+      incomingMessage.attachments = [attachment._id];
+      await incomingMessage.save();
+    }
+
+    await conversationService.recordInbound(patient._id, incomingMessage._id);
+    const thread = await inboxService.recordMessage(incomingMessage);
+
+    eventBus.publish('message.inbound', {
+      messageId: incomingMessage._id,
+      threadId: thread._id,
+      patientId: patient._id,
+      patientName: patient.name,
+      appointmentId: appointment ? appointment._id : null,
+      type,
+      content,
+      attachments: incomingMessage.attachments
+    }, { department: thread.assignedDepartment || (appointment && appointment.department) });
+
+    // Opt-out/opt-in keywords take precedence over any appointment action
+    const consentKeyword = type === 'text' ? consentService.detectConsentKeyword(content) : null;
+
+    if (consentKeyword) {
+      await consentService.applyConsentKeyword(patient, consentKeyword, {
+        rawMessage: content,
+        message: incomingMessage._id
+      });
+
+      if (consentKeyword.action === 'opt_out') {
+        await conversationService.endConversation(patient._id, 'opted_out');
+      }
+
+      // The confirmation is the one message an opted-out patient still receives
+      await sendTextMessage(
+        from,
+        consentService.getConfirmationMessage(consentKeyword.action, consentKeyword.language),
+        { patient: patient._id, bypassConsent: true }
+      );
+
+      return incomingMessage;
+    }
+
+    // Files may be documents the appointment is waiting for
+    if (attachment && attachment.status === 'stored') {
+      await fileInboundDocument(attachment, appointment, patient, incomingMessage, from);
+      return incomingMessage;
+    }
+
+    // Buttons that no longer apply are explained instead of acted on
+    const payloadProblem = payload ? getPayloadProblem(payload, appointment) : null;
+
+    if (payloadProblem) {
+      logger.warn(`Ignored ${payloadProblem} button reply from patient ${patient._id}: ${replyId}`);
+      await replyToUnusablePayload(payloadProblem, appointment, patient, from);
+      return incomingMessage;
+    }
+
+    if (rescheduleReply) {
+      await handleRescheduleReply(rescheduleReply, patient, from);
+      return incomingMessage;
+    }
+
+    if (payload && payload.action === 'questionnaire') {
+      await handleQuestionnaireAnswer(appointment, payload.args[0], { optionId: payload.args[1] }, patient, from);
+      return incomingMessage;
+    }
+
+    // While a questionnaire is open, typed replies answer the current question
+    if (type === 'text' && action === 'none' && source === 'conversation' && conversation.flow === 'questionnaire') {
+      await handleQuestionnaireAnswer(appointment, conversation.data.question, { text: content }, patient, from);
+      return incomingMessage;
+    }
+
+    if (type === 'text' && action === 'none' && source === 'conversation' && conversation.flow === 'follow_up') {
+      await handleFollowUpReply(appointment, conversation, content, patient, from);
+      return incomingMessage;
+    }
+
+    // Free-text replies are classified; only confident results are acted on,
+    // everything else waits for staff review
+    if (type === 'text' && action === 'none') {
+      const intent = intentClassifier.classifyIntent(content);
+
+      incomingMessage.intent = {
+        name: intent.intent,
+        confidence: intent.confidence,
+        language: intent.language,
+        matched: intent.matched
+      };
+
+      // While choosing a new time, typed answers map to steps of the reschedule flow
+      const flowStep = source === 'conversation' && conversation.flow === 'reschedule'
+        ? (RESCHEDULE_TEXT_STEPS[conversation.state] || {})[intent.intent]
+        : null;
+      const actionable = intent.intent === 'opt_out' || Boolean(flowStep) ||
+        (appointment && !(source === 'conversation' && conversation.flow === 'reschedule') &&
+          APPOINTMENT_ACTIONS.includes(intent.intent));
+
+      if (actionable && !intent.needsReview) {
+        action = intent.intent;
+        incomingMessage.responseAction = flowStep
+          ? 'reschedule'
+          : APPOINTMENT_ACTIONS.includes(action) ? action : 'other';
+      } else {
+        incomingMessage.review = { status: 'pending' };
+      }
+
+      await incomingMessage.save();
+
+      logger.info(`Reply classified as ${intent.intent} (${intent.confidence})${intent.needsReview ? ', sent to review' : ''}`);
+
+      if (action === 'opt_out') {
+        await applyOptOutRequest(patient, incomingMessage);
+        return incomingMessage;
+      }
+
+      if (actionable && !intent.needsReview && flowStep) {
+        await handleRescheduleReply(
+          { step: flowStep, appointmentId: appointment._id, holdId: conversation.data && conversation.data.holdId },
+          patient,
+          from
+        );
+        return incomingMessage;
+      }
+    }
+
     // If this is a response to a specific outbound message, link them
     if (webhookData.context && webhookData.context.id) {
       const outboundMessage = await Message.findOne({
-        externalMessageId: webhookData.context.id
+        externalMessageId: webhookData.context.id,
+        patient: patient._id
       });
       
       if (outboundMessage) {
         outboundMessage.responseMessage = incomingMessage._id;
-        outboundMessage.responseAction = action;
+        outboundMessage.responseAction = incomingMessage.responseAction;
         await outboundMessage.save();
       }
     }
 
     // Process patient response if it relates to an appointment
-    if (appointment && action !== 'none') {
-      switch (action) {
-        case 'confirm':
-          appointment.status = 'confirmed';
-          await appointment.save();
-          
-          // Send confirmation acknowledgment
-          await sendTextMessage(
-            from,
-            `Thank you for confirming your appointment on ${moment(appointment.date).format('dddd, MMMM D, YYYY')} at ${appointment.startTime}.`
-          );
-          break;
-          
-        case 'reschedule':
-          // Mark as pending reschedule - staff will handle the actual rescheduling
-          appointment.status = 'rescheduled';
-          await appointment.save();
-          
-          // Send reschedule acknowledgment
-          await sendTextMessage(
-            from,
-            `We've received your request to reschedule your appointment. Our staff will contact you shortly to arrange a new time.`
-          );
-          break;
-          
-        case 'cancel':
-          appointment.status = 'cancelled';
-          appointment.cancelReason = 'Cancelled by patient via WhatsApp';
-          await appointment.save();
-          
-          // Send cancellation acknowledgment
-          await sendTextMessage(
-            from,
-            `Your appointment on ${moment(appointment.date).format('dddd, MMMM D, YYYY')} at ${appointment.startTime} has been cancelled. If you need to schedule a new appointment, please contact us.`
-          );
-          break;
-      }
+    if (appointment && APPOINTMENT_ACTIONS.includes(action)) {
+      await applyAppointmentAction(appointment, action, patient, from);
     }
 
     return incomingMessage;
@@ -578,6 +1906,108 @@ const processIncomingMessage = async (webhookData) => {
   }
 };
 
+/**
+ * Resolve a patient reply that was left for staff review
+ * @param {string} messageId - Inbound message ID
+ * @param {Object} review - { action, appointmentId, note, userId }; action is
+ *   'confirm', 'reschedule', 'cancel', 'opt_out' or 'none' (dismiss)
+ * @returns {Promise<Object>} - Reviewed message
+ */
+const resolveReview = async (messageId, { action, appointmentId, note, userId }) => {
+  const message = await Message.findById(messageId).populate('patient');
+
+  if (!message || message.direction !== 'inbound') {
+    throw new ErrorResponse(`Inbound message not found with id of ${messageId}`, 404);
+  }
+
+  if (!message.review || message.review.status !== 'pending') {
+    throw new ErrorResponse('This message is not waiting for review', 409);
+  }
+
+  if (![...APPOINTMENT_ACTIONS, 'opt_out', 'none'].includes(action)) {
+    throw new ErrorResponse(`Invalid review action: ${action}`, 400);
+  }
+
+  if (APPOINTMENT_ACTIONS.includes(action)) {
+    const appointment = await Appointment.findById(appointmentId || message.appointment);
+
+    if (!appointment) {
+      throw new ErrorResponse('An appointment is required to apply this action', 400);
+    }
+
+    await applyAppointmentAction(appointment, action, message.patient, message.patient.getWhatsAppNumber());
+
+    message.appointment = appointment._id;
+    message.responseAction = action;
+  } else if (action === 'opt_out') {
+    await applyOptOutRequest(message.patient, message, { source: 'staff', changedBy: userId });
+    message.responseAction = 'other';
+  }
+
+  message.review = {
+    status: action === 'none' ? 'dismissed' : 'applied',
+    action,
+    note,
+    reviewedBy: userId,
+    reviewedAt: new Date()
+  };
+  await message.save();
+
+  logger.info(`Reply ${message._id} reviewed: ${action}`);
+  return message;
+};
+
+/**
+ * Extract delivery status updates from a webhook payload
+ * Supports both a `statuses` array and a single status object
+ * @param {Object} webhookData - Webhook payload from 1CONFIRMED
+ * @returns {Array<Object>} - Normalized status updates
+ */
+const extractStatusUpdates = (webhookData) => {
+  let statuses = [];
+
+  if (Array.isArray(webhookData.statuses)) {
+    statuses = webhookData.statuses;
+  } else if (webhookData.type === 'status' || (webhookData.status && !webhookData.from)) {
+    statuses = [webhookData];
+  }
+
+  return statuses.map(item => {
+    const errors = item.errors || (item.error ? [item.error] : []);
+
+    return {
+      externalMessageId: item.message_id || item.id,
+      status: String(item.status || '').toLowerCase(),
+      timestamp: item.timestamp ? new Date(item.timestamp * 1000) : new Date(),
+      details: errors.length > 0
+        ? errors.map(err => err.title || err.message || JSON.stringify(err)).join('; ')
+        : undefined
+    };
+  });
+};
+
+/**
+ * Route a webhook payload to status or inbound message processing
+ * @param {Object} webhookData - Webhook payload from 1CONFIRMED
+ * @returns {Promise<Object>} - Processing results
+ */
+const processWebhookPayload = async (webhookData) => {
+  const statusUpdates = extractStatusUpdates(webhookData);
+
+  if (statusUpdates.length > 0) {
+    const results = [];
+
+    for (const update of statusUpdates) {
+      results.push(await messageStatusService.processStatusUpdate(update));
+    }
+
+    return { type: 'status', results };
+  }
+
+  const message = await processIncomingMessage(webhookData);
+  return { type: 'message', results: [message] };
+};
+
 /**
  * Schedule reminders for upcoming appointments
  * @returns {Promise<Object>} - Results of the scheduling operation
@@ -587,37 +2017,111 @@ const scheduleReminders = async () => {
     const now = new Date();
     const results = {
       scheduled: 0,
+      skipped: 0,
       errors: 0,
       details: []
     };
 
-    // Find all unsent reminders scheduled before now
+    // Find all appointments with a pending reminder scheduled before now
     const appointments = await Appointment.find({
-      'reminders.scheduledTime': { $lte: now },
-      'reminders.sent': false,
+      reminders: {
+        $elemMatch: {
+          type: { $in: ['whatsapp', 'sms', 'email'] },
+          sent: false,
+          status: 'pending',
+          scheduledTime: { $lte: now }
+        }
+      },
       status: { $nin: ['cancelled', 'completed', 'no-show'] }
-    }).populate('patient').populate('doctor').populate('department');
+    });
+
+    // Every outcome is kept in the run details and pushed to the event stream
+    const record = (appointment, detail) => {
+      results.details.push(detail);
+      eventBus.publish('reminder.dispatched', detail, { department: appointment.department });
+    };
+
+    const skip = async (appointment, reminder, reason) => {
+      if (await skipReminder(appointment._id, reminder._id, reason)) {
+        results.skipped++;
+        record(appointment, {
+          appointmentId: appointment._id,
+          reminderId: reminder._id,
+          status: 'skipped',
+          reason
+        });
+      }
+    };
 
     for (const appointment of appointments) {
-      for (const reminder of appointment.reminders) {
-        if (!reminder.sent && reminder.scheduledTime <= now) {
-          try {
-            // Send the reminder
-            await sendAppointmentReminder(appointment._id);
-            results.scheduled++;
-            results.details.push({
-              appointmentId: appointment._id,
-              status: 'success'
-            });
-          } catch (error) {
-            results.errors++;
-            results.details.push({
-              appointmentId: appointment._id,
-              status: 'error',
-              message: error.message
-            });
-          }
+      // Due reminders, oldest first
+      const dueReminders = appointment.reminders
+        .filter(reminder =>
+          ['whatsapp', 'sms', 'email'].includes(reminder.type) &&
+          !reminder.sent &&
+          reminder.status === 'pending' &&
+          reminder.scheduledTime <= now
+        )
+        .sort((a, b) => a.scheduledTime - b.scheduledTime);
+
+      // Never remind about an appointment that has already started
+      if (appointment.getStartDateTime() <= now) {
+        for (const reminder of dueReminders) {
+          await skip(appointment, reminder, 'appointment_started');
+        }
+        continue;
+      }
+
+      // Reminders whose policy conditions no longer hold are never sent
+      const eligibleReminders = [];
+
+      for (const reminder of dueReminders) {
+        if (meetsReminderConditions(appointment, reminder)) {
+          eligibleReminders.push(reminder);
+        } else {
+          await skip(appointment, reminder, 'condition_not_met');
+        }
+      }
+
+      // Only the most recent due reminder is sent; older ones it supersedes are skipped
+      const reminder = eligibleReminders.pop();
+
+      if (!reminder) {
+        continue;
+      }
+
+      for (const stale of eligibleReminders) {
+        await skip(appointment, stale, 'superseded');
+      }
+
+      try {
+        const message = await sendAppointmentReminder(appointment._id, null, reminder._id);
+        results.scheduled++;
+        record(appointment, {
+          appointmentId: appointment._id,
+          reminderId: reminder._id,
+          messageId: message._id,
+          status: 'success'
+        });
+      } catch (error) {
+        // Claimed in the meantime (e.g. sent by hand): nothing left to do
+        if (error.statusCode === 409) {
+          continue;
         }
+
+        // Patient opted out, or refuses the reminder's channel: it will never be sent
+        if (error.statusCode === 403) {
+          await skip(appointment, reminder, error.reason || 'opted_out');
+          continue;
+        }
+
+        results.errors++;
+        record(appointment, {
+          appointmentId: appointment._id,
+          reminderId: reminder._id,
+          status: 'error',
+          message: error.message
+        });
       }
     }
 
@@ -628,15 +2132,187 @@ const scheduleReminders = async () => {
   }
 };
 
+/**
+ * Resend reminders that failed, or were not delivered in time, on the next
+ * channel of their policy's fallback rule
+ * @returns {Promise<Object>} - Results of the run
+ */
+const processReminderFallbacks = async () => {
+  const results = {
+    fallbacks: 0,
+    exhausted: 0,
+    errors: 0,
+    details: []
+  };
+
+  const due = await reminderFallbackService.getDueFallbacks();
+
+  for (const { appointment, reminder, reason, channel } of due) {
+    const detail = {
+      appointmentId: appointment._id,
+      reminderId: reminder._id,
+      from: reminder.channel || reminder.type,
+      reason
+    };
+
+    if (!channel) {
+      await reminderFallbackService.markFallbackExhausted(appointment._id, reminder._id);
+      results.exhausted++;
+      results.details.push({ ...detail, status: 'exhausted' });
+      continue;
+    }
+
+    const previousMessageId = reminder.messageId;
+    const messageId = new mongoose.Types.ObjectId();
+
+    // Handled by another run in the meantime
+    if (!(await reminderFallbackService.claimFallback(appointment._id, reminder, { channel, reason, messageId }))) {
+      continue;
+    }
+
+    try {
+      const messageTemplate = channel === 'whatsapp'
+        ? await (reminder.template
+          ? MessageTemplate.findById(reminder.template)
+          : MessageTemplate.findOne({ type: 'appointment_reminder', isActive: true }))
+        : null;
+
+      if (channel === 'whatsapp' && !messageTemplate) {
+        throw new Error('No active appointment reminder template found');
+      }
+
+      await queueReminderMessage(appointment, channel, messageTemplate, {
+        _id: messageId,
+        patient: appointment.patient._id,
+        appointment: appointment._id,
+        idempotencyKey: `${getReminderIdempotencyKey(reminder._id)}:${channel}`,
+        fallback: { previous: previousMessageId, reason }
+      });
+
+      await reminderFallbackService.supersedeMessage(previousMessageId, messageId);
+
+      results.fallbacks++;
+      const fallbackDetail = { ...detail, status: 'fallback', channel, messageId };
+      results.details.push(fallbackDetail);
+      eventBus.publish('reminder.dispatched', fallbackDetail, { department: appointment.department._id });
+
+      logger.info(`Reminder ${reminder._id} ${reason === 'failed' ? 'failed' : 'not delivered'} on ${detail.from}, resent by ${channel}`);
+    } catch (error) {
+      await reminderFallbackService.releaseFallback(appointment._id, reminder, messageId, error.message);
+      logger.error(`Could not resend reminder ${reminder._id} by ${channel}: ${error.message}`);
+
+      results.errors++;
+      results.details.push({ ...detail, status: 'error', channel, message: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Send the satisfaction surveys that are due
+ * @returns {Promise<Object>} - Results of the run
+ */
+const sendDueFollowUps = async () => {
+  const results = {
+    scheduled: 0,
+    errors: 0,
+    details: []
+  };
+
+  const appointments = await followUpService.getDueFollowUps();
+
+  for (const appointment of appointments) {
+    try {
+      const message = await sendFollowUp(appointment._id);
+      results.scheduled++;
+      results.details.push({ appointmentId: appointment._id, messageId: message._id, status: 'success' });
+    } catch (error) {
+      // Sent in the meantime, or the patient is in another conversation: try again next run
+      if (error.statusCode === 409) {
+        continue;
+      }
+
+      // Patient opted out, or refuses the survey's channel: the survey was skipped
+      if (error.statusCode === 403) {
+        results.details.push({ appointmentId: appointment._id, status: 'skipped', reason: error.reason || 'opted_out' });
+        continue;
+      }
+
+      results.errors++;
+      results.details.push({ appointmentId: appointment._id, status: 'error', message: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Send the pre-visit questionnaires that are due
+ * @returns {Promise<Object>} - Results of the run
+ */
+const sendDueQuestionnaires = async () => {
+  const results = {
+    scheduled: 0,
+    expired: await questionnaireService.expireQuestionnaires(),
+    errors: 0,
+    details: []
+  };
+
+  const due = await questionnaireService.getDueQuestionnaires();
+
+  for (const { appointment, questionnaire } of due) {
+    try {
+      const message = await sendQuestionnaire(appointment._id, { questionnaire });
+      results.scheduled++;
+      results.details.push({ appointmentId: appointment._id, messageId: message._id, status: 'success' });
+    } catch (error) {
+      // Sent in the meantime, or the patient is busy rescheduling: try again next run
+      if (error.statusCode === 409) {
+        continue;
+      }
+
+      results.errors++;
+      results.details.push({ appointmentId: appointment._id, status: 'error', message: error.message });
+    }
+  }
+
+  return results;
+};
+
+// WhatsApp messages are delivered through the 1CONFIRMED API
+channels.registerChannel('whatsapp', {
+  sendText: sendTextMessage,
+  deliver: async (message) => {
+    const response = await confirmedAPI.post('/messages', message.payload);
+    return { externalMessageId: response.data.id };
+  }
+});
+
 module.exports = {
   sendTemplatedMessage,
   sendTextMessage,
+  buildReminderVariables,
   sendInteractiveMessage,
+  sendListMessage,
+  sendMediaMessage,
+  sendLocationMessage,
+  sendAppointmentLocation,
+  sendPreparationDocument,
+  requestMissingDocuments,
+  sendQuestionnaire,
+  sendFollowUp,
   sendAppointmentReminder,
   sendAppointmentNotification,
   sendAppointmentUpdateNotification,
   sendStatusUpdateNotification,
   processIncomingMessage,
-  scheduleReminders
+  resolveReview,
+  processStatusUpdate: messageStatusService.processStatusUpdate,
+  processWebhookPayload,
+  scheduleReminders,
+  processReminderFallbacks,
+  sendDueQuestionnaires,
+  sendDueFollowUps
 };
 
@@ -0,0 +1,129 @@
+// backend/src/utils/buttonPayload.js - Signed ids for WhatsApp buttons and list rows
+//
+// An id reads <action>:<appointmentId>[:<arg>...]:<start>:<signature>, where <start>
+// is the appointment start (unix seconds, base 36) when the message was sent. The
+// payload expires when that time passes, and callers can tell it is stale once the
+// appointment has moved. The signature is a truncated HMAC-SHA256 in lower-case hex,
+// so the id survives providers that lowercase reply ids.
+
+const crypto = require('crypto');
+const moment = require('moment');
+
+const SIGNATURE_LENGTH = 16;
+
+const readSecret = () => process.env.BUTTON_PAYLOAD_SECRET || process.env.JWT_SECRET;
+
+// Anyone could forge ids signed with an empty key, so refuse to sign without one
+const getSecret = () => {
+  const secret = readSecret();
+
+  if (!secret) {
+    throw new Error('BUTTON_PAYLOAD_SECRET (or JWT_SECRET) must be set to sign reply ids');
+  }
+
+  return secret;
+};
+
+const sign = (body) => crypto
+  .createHmac('sha256', getSecret())
+  .update(body)
+  .digest('hex')
+  .slice(0, SIGNATURE_LENGTH);
+
+/**
+ * Start of an appointment as unix seconds (works on documents and plain records)
+ * @param {Object} appointment - Appointment with date and startTime
+ * @returns {number}
+ */
+const getStartSeconds = (appointment) => {
+  const [hours, minutes] = (appointment.startTime || '00:00').split(':').map(Number);
+
+  return moment(appointment.date)
+    .startOf('day')
+    .add(hours || 0, 'hours')
+    .add(minutes || 0, 'minutes')
+    .unix();
+};
+
+/**
+ * Build a signed reply id
+ * @param {string} action - Action the button stands for (no ':')
+ * @param {Object} appointment - Appointment the button is about
+ * @param {Array<string>} args - Extra fields for the action (no ':')
+ * @returns {string}
+ */
+const encodeButtonPayload = (action, appointment, args = []) => {
+  const body = [
+    action,
+    (appointment._id || appointment.id).toString(),
+    ...args,
+    getStartSeconds(appointment).toString(36)
+  ].join(':');
+
+  return `${body}:${sign(body)}`;
+};
+
+/**
+ * Read a reply id
+ * @param {string} replyId - Button or list reply id
+ * @returns {Object|null} - null when the id is not a signed payload, otherwise
+ *   { action, appointmentId, args, startsAt, valid, reason } where reason is
+ *   'tampered' or 'expired' for invalid payloads
+ */
+const decodeButtonPayload = (replyId) => {
+  const parts = (replyId || '').split(':');
+
+  if (parts.length < 4) {
+    return null;
+  }
+
+  const signature = parts.pop();
+  const body = parts.join(':');
+  const [action, appointmentId, ...args] = parts;
+  const start = args.pop();
+
+  if (!/^[0-9a-f]{24}$/i.test(appointmentId) || !/^[0-9a-z]+$/i.test(start)) {
+    return null;
+  }
+
+  const payload = {
+    action: action.toLowerCase(),
+    appointmentId: appointmentId.toLowerCase(),
+    args,
+    startsAt: new Date(parseInt(start, 36) * 1000)
+  };
+
+  // Without a secret no id can be told authentic
+  if (!readSecret()) {
+    return { ...payload, valid: false, reason: 'tampered' };
+  }
+
+  const expected = Buffer.from(sign(body.toLowerCase()));
+  const received = Buffer.from(signature.toLowerCase());
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { ...payload, valid: false, reason: 'tampered' };
+  }
+
+  if (payload.startsAt <= new Date()) {
+    return { ...payload, valid: false, reason: 'expired' };
+  }
+
+  return { ...payload, valid: true };
+};
+
+/**
+ * Whether an appointment has moved since a payload was issued
+ * @param {Object} payload - Result of decodeButtonPayload()
+ * @param {Object} appointment - Current appointment
+ * @returns {boolean}
+ */
+const isStalePayload = (payload, appointment) => (
+  getStartSeconds(appointment) !== payload.startsAt.getTime() / 1000
+);
+
+module.exports = {
+  encodeButtonPayload,
+  decodeButtonPayload,
+  isStalePayload
+};
@@ -0,0 +1,103 @@
+// backend/src/utils/icsCalendar.js - iCalendar (.ics) invites for appointments
+//
+// Builds a single VEVENT per appointment (RFC 5545). Times are written in UTC so
+// calendar clients show them in the patient's own time zone. The UID is derived
+// from the appointment, so sending a new invite after a reschedule updates the
+// event already in the patient's calendar instead of adding a second one.
+
+const moment = require('moment');
+
+/**
+ * Escape a text value (commas, semicolons, backslashes and line breaks)
+ * @param {string} value - Text value
+ * @returns {string}
+ */
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets, as the format requires
+ * @param {string} line - Content line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length ? 74 : 75;
+
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Quote a parameter value; double quotes cannot appear in one, so they are dropped
+ * @param {string} value - Parameter value
+ * @returns {string}
+ */
+const quoteParam = (value) => `"${String(value || '').replace(/["\r\n]/g, '')}"`;
+
+const formatDate = (date) => moment(date).utc().format('YYYYMMDD[T]HHmmss[Z]');
+
+/**
+ * Build the .ics invite of an appointment
+ * @param {Object} appointment - Appointment document
+ * @param {Object} details - { summary, description, location, organizer: { name, email } }
+ * @returns {string} - Calendar file content
+ */
+const buildAppointmentInvite = (appointment, details = {}) => {
+  const start = appointment.getStartDateTime();
+  const [hours, minutes] = (appointment.endTime || '').split(':').map(Number);
+  const end = appointment.endTime
+    ? moment(appointment.date).startOf('day').add(hours || 0, 'hours').add(minutes || 0, 'minutes').toDate()
+    : moment(start).add(30, 'minutes').toDate();
+  const domain = details.organizer && details.organizer.email
+    ? details.organizer.email.split('@')[1]
+    : 'appointments.local';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Appointment Reminders//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:appointment-${appointment._id}@${domain}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    // A later invite for the same appointment replaces this one
+    `SEQUENCE:${Math.floor(Date.now() / 1000)}`,
+    `SUMMARY:${escapeText(details.summary || 'Appointment')}`,
+    details.description && `DESCRIPTION:${escapeText(details.description)}`,
+    details.location && `LOCATION:${escapeText(details.location)}`,
+    details.organizer && details.organizer.email &&
+      `ORGANIZER;CN=${quoteParam(details.organizer.name || details.organizer.email)}:mailto:${details.organizer.email}`,
+    `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'BEGIN:VALARM',
+    'TRIGGER:-PT1H',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(details.summary || 'Appointment')}`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.filter(Boolean).map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildAppointmentInvite
+};
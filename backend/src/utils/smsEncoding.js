@@ -0,0 +1,100 @@
+// backend/src/utils/smsEncoding.js - SMS encoding, length and segment counting
+//
+// Text made only of GSM 03.38 characters is sent as GSM-7: 160 characters in a
+// single SMS, 153 per part once it is split (the rest of each part holds the
+// concatenation header). The characters of the extension table (€, [, ], {, }, ...)
+// take two. Any other character switches the whole message to UCS-2: 70 UTF-16
+// code units in a single SMS, 67 per part; emoji take two. An escape sequence or
+// a surrogate pair is never split across two parts.
+
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '\f^{}\\[~]|€';
+
+const LIMITS = {
+  'GSM-7': { single: 160, part: 153 },
+  'UCS-2': { single: 70, part: 67 }
+};
+
+// Typographic characters that have a GSM-7 look-alike; left as they are, one
+// curly quote would halve the length of the message
+const REPLACEMENTS = {
+  '‘': '\'',
+  '’': '\'',
+  '“': '"',
+  '”': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  ' ': ' ',
+  '•': '-'
+};
+
+/**
+ * Replace typographic characters by their GSM-7 equivalents
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+const normalizeSmsText = (text) => (text || '')
+  .replace(/[‘’“”–—… •]/g, char => REPLACEMENTS[char]);
+
+/**
+ * Whether a text can be sent as GSM-7
+ * @param {string} text - Message text
+ * @returns {boolean}
+ */
+const isGsm7 = (text) => [...text].every(char => GSM_BASIC.includes(char) || GSM_EXTENDED.includes(char));
+
+/**
+ * Encoding, length and number of parts of an SMS
+ * @param {string} text - Message text (normalize it first)
+ * @returns {Object} - { encoding, characters, units, segments, perSegment, remaining }
+ *   units are GSM-7 septets or UCS-2 code units; remaining is what still fits in the last part
+ */
+const getSmsInfo = (text) => {
+  const encoding = isGsm7(text) ? 'GSM-7' : 'UCS-2';
+  const chars = [...text];
+  const cost = encoding === 'GSM-7'
+    ? char => (GSM_EXTENDED.includes(char) ? 2 : 1)
+    : char => char.length;
+  const units = chars.reduce((total, char) => total + cost(char), 0);
+  const { single, part } = LIMITS[encoding];
+
+  if (units <= single) {
+    return {
+      encoding,
+      characters: chars.length,
+      units,
+      segments: units === 0 ? 0 : 1,
+      perSegment: single,
+      remaining: single - units
+    };
+  }
+
+  // Fill the parts one character at a time so two-unit characters are not split
+  let segments = 1;
+  let used = 0;
+
+  chars.forEach(char => {
+    if (used + cost(char) > part) {
+      segments++;
+      used = 0;
+    }
+    used += cost(char);
+  });
+
+  return {
+    encoding,
+    characters: chars.length,
+    units,
+    segments,
+    perSegment: part,
+    remaining: part - used
+  };
+};
+
+module.exports = {
+  normalizeSmsText,
+  isGsm7,
+  getSmsInfo
+};
@@ -0,0 +1,198 @@
+// backend/src/utils/templateRenderer.js - Message template rendering
+//
+// Templates use double-brace placeholders:
+//   {{patient_name}}                  the value of a variable
+//   {{preparation|None required}}     the value, or the text after | when it is empty
+//   {{#if location}}...{{else}}...{{/if}}, {{#unless location}}...{{/unless}}
+//                                     text kept only when a variable has (or has not) a value
+// Blocks can be nested. A value is empty when it is missing, null or ''.
+
+const NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+const TAG_PATTERN = /\{\{\s*([^}]*?)\s*\}\}/g;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Parse template content into a tree of text, variable and block nodes
+ * @param {string} content - Template content
+ * @returns {Array<Object>} - Nodes
+ * @throws {Error} - On an invalid placeholder or unbalanced blocks
+ */
+const parseTemplate = (content) => {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.otherwise : node.children;
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+
+  while ((match = TAG_PATTERN.exec(content)) !== null) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: content.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const tag = match[1];
+    const block = /^#(if|unless)\s+(\S+)$/.exec(tag);
+
+    if (block) {
+      if (!NAME_PATTERN.test(block[2])) {
+        throw new Error(`Invalid variable name in {{${tag}}}`);
+      }
+
+      const node = { type: 'block', negate: block[1] === 'unless', keyword: block[1], name: block[2], children: [], otherwise: [] };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const node = stack[stack.length - 1];
+
+      if (node === root || node.inElse) {
+        throw new Error('{{else}} without a matching {{#if}}');
+      }
+      node.inElse = true;
+    } else if (/^\/(if|unless)$/.test(tag)) {
+      const node = stack.pop();
+
+      if (node === root || `/${node.keyword}` !== tag) {
+        throw new Error(`{{${tag}}} without a matching {{#${tag.slice(1)}}}`);
+      }
+      delete node.inElse;
+    } else {
+      const separator = tag.indexOf('|');
+      const name = (separator === -1 ? tag : tag.slice(0, separator)).trim();
+
+      if (!NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid placeholder {{${tag}}}`);
+      }
+
+      current().push({
+        type: 'variable',
+        name,
+        fallback: separator === -1 ? undefined : tag.slice(separator + 1).trim()
+      });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`{{#${stack[stack.length - 1].keyword} ${stack[stack.length - 1].name}}} is never closed`);
+  }
+
+  if (lastIndex < content.length) {
+    root.children.push({ type: 'text', value: content.slice(lastIndex) });
+  }
+
+  return root.children;
+};
+
+/**
+ * How each variable is used: as a value (with or without a default) or in a condition
+ * @param {Array<Object>} nodes - Parsed template
+ * @param {Object} usage - Accumulator
+ * @returns {Object} - { name: { value, withoutDefault, fallback, condition } }
+ */
+const collectUsage = (nodes, usage = {}) => {
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      return;
+    }
+
+    const entry = usage[node.name] || (usage[node.name] = { value: false, withoutDefault: false, condition: false });
+
+    if (node.type === 'variable') {
+      entry.value = true;
+      entry.withoutDefault = entry.withoutDefault || node.fallback === undefined;
+
+      if (entry.fallback === undefined && node.fallback !== undefined) {
+        entry.fallback = node.fallback;
+      }
+    } else {
+      entry.condition = true;
+      collectUsage(node.children, usage);
+      collectUsage(node.otherwise, usage);
+    }
+  });
+
+  return usage;
+};
+
+/**
+ * Names of the variables a template refers to
+ * @param {string} content - Template content
+ * @returns {Array<string>}
+ */
+const getPlaceholders = (content) => Object.keys(collectUsage(parseTemplate(content || '')));
+
+const renderNodes = (nodes, values) => nodes.map(node => {
+  if (node.type === 'text') {
+    return node.value;
+  }
+
+  const value = values[node.name];
+
+  if (node.type === 'variable') {
+    return isEmpty(value) ? (node.fallback || '') : String(value);
+  }
+
+  return renderNodes(isEmpty(value) === node.negate ? node.children : node.otherwise, values);
+}).join('');
+
+/**
+ * Render a template
+ * @param {string} content - Template content
+ * @param {Object} variables - Values by variable name
+ * @param {Array<Object>} declared - Declared variables ([{ name, required }]; required defaults to true)
+ * @returns {Object} - {
+ *     text: rendered text,
+ *     variables: values sent with the message: every declared and used variable as a
+ *       string, an empty one replaced by its default (or '') so the provider renders
+ *       the same text,
+ *     missing: required variables without a value (and used ones without a default),
+ *     unused: given variables the template does not use,
+ *     undeclared: placeholders that are not declared
+ *   }
+ */
+const renderTemplate = (content, variables = {}, declared = []) => {
+  const values = variables || {};
+  const nodes = parseTemplate(content || '');
+  const usage = collectUsage(nodes);
+  const declaredNames = declared.map(variable => variable.name);
+
+  // A variable whose every use has a default is never missing
+  const needsValue = (name) => (usage[name] ? usage[name].withoutDefault || !usage[name].value : true);
+
+  const missing = [
+    ...declared.filter(variable => variable.required !== false),
+    ...Object.keys(usage).filter(name => !declaredNames.includes(name) && usage[name].withoutDefault).map(name => ({ name }))
+  ]
+    .map(variable => variable.name)
+    .filter(name => isEmpty(values[name]) && needsValue(name));
+
+  const resolved = {};
+  [...new Set([...declaredNames, ...Object.keys(usage)])].forEach(name => {
+    if (!isEmpty(values[name])) {
+      resolved[name] = String(values[name]);
+    } else {
+      resolved[name] = (usage[name] && usage[name].fallback) || '';
+    }
+  });
+
+  return {
+    text: renderNodes(nodes, values),
+    variables: resolved,
+    missing: [...new Set(missing)],
+    unused: Object.keys(values).filter(name => !usage[name]),
+    undeclared: Object.keys(usage).filter(name => !declaredNames.includes(name))
+  };
+};
+
+module.exports = {
+  NAME_PATTERN,
+  parseTemplate,
+  getPlaceholders,
+  renderTemplate
+};